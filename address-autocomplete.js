@@ -3,7 +3,10 @@
 // Polite usage: debounced, min-length, small result set, in-memory cache.
 
 (function (global) {
-  const PHOTON_URL = 'https://photon.komoot.io/api/';
+  // Endpoint comes from fs-config.js (FS_CONFIG.addressApi); null disables lookups.
+  const PHOTON_URL = (global.FS_CONFIG && 'addressApi' in global.FS_CONFIG)
+    ? global.FS_CONFIG.addressApi
+    : 'https://photon.komoot.io/api/';
   const MIN_LEN = 3;
   const DEBOUNCE_MS = 180;
   const MAX_RESULTS = 8;
@@ -20,11 +23,13 @@
   // Preconnect to speed up first request
   (function preconnectOnce(){
     try {
-      if (document.getElementById('preconnect-photon')) return;
+      if (!PHOTON_URL || document.getElementById('preconnect-photon')) return;
+      const origin = new URL(PHOTON_URL, location.href).origin;
+      if (origin === location.origin) return;
       const l = document.createElement('link');
       l.id = 'preconnect-photon';
       l.rel = 'preconnect';
-      l.href = 'https://photon.komoot.io';
+      l.href = origin;
       l.crossOrigin = '';
       document.head.appendChild(l);
     } catch {}
@@ -165,6 +170,7 @@
   }
 
   async function fetchPhoton(query, { lang = DEFAULT_LANG, bbox = DE_BBOX, biasLonLat = null, signal = undefined } = {}) {
+    if (!PHOTON_URL) return [];
     const qn = normalizeQuery(query);
     if (!qn || qn.length < MIN_LEN) return [];
     const neg = negativeCache.get(qn);
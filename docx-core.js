@@ -4,48 +4,83 @@
 let py = null;
 let pyLoaded = false;
 
+// Browser global (null when running headless, e.g. from docx-core.node.js)
+const _root = (typeof window !== 'undefined') ? window : null;
+
 // IMPORTANT: do NOT declare `W_NS` here because extractor.html already declares it.
 // Use a unique internal constant instead.
-const _DOCX_W_NS = (window.DOCX_W_NS = window.DOCX_W_NS || "http://schemas.openxmlformats.org/wordprocessingml/2006/main");
+const _DOCX_W_NS = _root
+  ? (_root.DOCX_W_NS = _root.DOCX_W_NS || "http://schemas.openxmlformats.org/wordprocessingml/2006/main")
+  : "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
 
 // Baseline storage (matches your working snippet)
 const _BASE_PATH = 'customXml/originalDocument.xml';
 const _META_PATH = 'customXml/rebuilder_meta.json';
+// Other parts changed by a removal (notes, comments), saved before the first change
+const _BASE_PARTS_DIR = 'customXml/originalParts/';
 
 function _hasFn(x) { return typeof x === 'function'; }
 
+// ------------------------------
+// Pluggable environment (zip + XML implementations)
+// ------------------------------
+// In the browser everything falls back to the page globals (window.JSZip,
+// DOMParser, XMLSerializer, window.loadPyodide). Headless callers inject
+// their own implementations, e.g. jszip + @xmldom/xmldom under Node.
+const _env = {
+  JSZip: null,
+  DOMParser: null,
+  XMLSerializer: null,
+  loadPyodide: null
+};
+
+function configureDocxCore(opts = {}) {
+  for (const k of Object.keys(_env)) {
+    if (opts[k] !== undefined) _env[k] = opts[k] || null;
+  }
+  return { ..._env };
+}
+
+function _hasDom() { return typeof document !== 'undefined' && !!document.head; }
+
 // ------------------------------
 // JSZip loader
 // ------------------------------
 async function ensureJSZip() {
-  if (window.JSZip) return window.JSZip;
+  if (_env.JSZip) return _env.JSZip;
+  if (_root?.JSZip) return _root.JSZip;
+  if (!_hasDom()) throw new Error('JSZip not configured (call configureDocxCore({ JSZip }))');
+
+  // fs-config.js: respects FS_CONFIG.assetBase and reports failures to the page
+  if (_hasFn(_root.FS_CONFIG?.loadAsset)) return await _root.FS_CONFIG.loadAsset('jszip');
 
+  const src = 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js';
   await new Promise((res, rej) => {
     const existing = document.querySelector('script[data-fs-jszip]');
     if (existing) {
       existing.addEventListener('load', () => res(), { once: true });
-      existing.addEventListener('error', () => rej(new Error('Failed to load JSZip')), { once: true });
+      existing.addEventListener('error', () => rej(new Error('Failed to load JSZip from ' + src)), { once: true });
       return;
     }
     const s = document.createElement('script');
-    s.dataset.fsJszip = '1';
-    s.dataset.fsJszip = '1';
     s.setAttribute('data-fs-jszip','1');
-    s.src = 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js';
+    s.src = src;
     s.onload = () => res();
-    s.onerror = () => rej(new Error('Failed to load JSZip'));
+    s.onerror = () => rej(new Error('Failed to load JSZip from ' + src));
     document.head.appendChild(s);
   });
 
-  if (!window.JSZip) throw new Error('JSZip not available after loading attempt');
-  return window.JSZip;
+  if (!_root.JSZip) throw new Error('JSZip not available after loading attempt');
+  return _root.JSZip;
 }
 
 // ------------------------------
 // XML helpers
 // ------------------------------
 function _xmlParse(xmlText) {
-  const dp = new DOMParser();
+  const Parser = _env.DOMParser || (typeof DOMParser !== 'undefined' ? DOMParser : null);
+  if (!Parser) throw new Error('DOMParser not configured (call configureDocxCore({ DOMParser }))');
+  const dp = new Parser();
   const doc = dp.parseFromString(xmlText, 'application/xml');
   const pe = doc.getElementsByTagName('parsererror');
   if (pe && pe.length) {
@@ -55,7 +90,9 @@ function _xmlParse(xmlText) {
   return doc;
 }
 function _xmlSerialize(doc) {
-  return new XMLSerializer().serializeToString(doc);
+  const Serializer = _env.XMLSerializer || (typeof XMLSerializer !== 'undefined' ? XMLSerializer : null);
+  if (!Serializer) throw new Error('XMLSerializer not configured (call configureDocxCore({ XMLSerializer }))');
+  return new Serializer().serializeToString(doc);
 }
 
 function _getAttr(node, attrName) {
@@ -237,8 +274,7 @@ function _isBodyEl(n) {
   return tn === 'w:body' || tn.endsWith(':body');
 }
 
-/** Returns all paragraphs in document order under <w:body> (including inside tables/SDTs). */
-function _getBodyParagraphs(dom) {
+function _findBody(dom) {
   // Prefer NS lookup
   let body = null;
   try {
@@ -250,6 +286,12 @@ function _getBodyParagraphs(dom) {
     const all = Array.from(dom.getElementsByTagName('*') || []);
     body = all.find(_isBodyEl) || null;
   }
+  return body;
+}
+
+/** Returns all paragraphs in document order under <w:body> (including inside tables/SDTs). */
+function _getBodyParagraphs(dom) {
+  const body = _findBody(dom);
   if (!body) return [];
 
   const out = [];
@@ -264,6 +306,746 @@ function _getBodyParagraphs(dom) {
   return out;
 }
 
+// ------------------------------
+// Body-level blocks (removal unit: p, tbl, sdt, bookmarks, ...)
+// ------------------------------
+function _isWEl(n, localName) {
+  return _isElement(n) && n.namespaceURI === _DOCX_W_NS && n.localName === localName;
+}
+
+function _isBlockContainerSdt(sdt) {
+  const content = _findChildNS(sdt, _DOCX_W_NS, 'sdtContent');
+  if (!content) return false;
+  return _childElements(content).some(k => _isWEl(k, 'p') || _isWEl(k, 'tbl') || _isWEl(k, 'sdt'));
+}
+
+/**
+ * Flattens <w:body> into removable blocks in document order. Block-level SDTs
+ * are unwrapped so a heading section may start or end inside one; the
+ * trailing body <w:sectPr> is never part of the list.
+ */
+function _getBodyBlocks(dom) {
+  const body = _findBody(dom);
+  const out = [];
+  if (!body) return out;
+
+  (function walk(container) {
+    for (let c = container.firstChild; c; c = c.nextSibling) {
+      if (!_isElement(c)) continue;
+      if (container === body && _isWEl(c, 'sectPr')) continue;
+      if (_isWEl(c, 'sdt') && _isBlockContainerSdt(c)) {
+        walk(_findChildNS(c, _DOCX_W_NS, 'sdtContent'));
+        continue;
+      }
+      out.push(c);
+    }
+  })(body);
+
+  return out;
+}
+
+function _blockIndexOf(node, blockIndex) {
+  for (let n = node; n; n = n.parentNode) {
+    if (blockIndex.has(n)) return blockIndex.get(n);
+  }
+  return -1;
+}
+
+function _blockSummary(block) {
+  const kind = _nodeLocalName(block);
+  const text = _normalizeText(Array.from(block.getElementsByTagNameNS(_DOCX_W_NS, 't')).map(t => t.textContent || '').join(''));
+  const out = { kind, text: text.length > 80 ? text.slice(0, 77) + '...' : text };
+  if (kind === 'bookmarkStart' || kind === 'bookmarkEnd') out.name = _getAttr(block, 'w:name') || _getAttr(block, 'w:id') || '';
+  return out;
+}
+
+function _paragraphSectPr(p) {
+  const pPr = _isWEl(p, 'p') ? _findChildNS(p, _DOCX_W_NS, 'pPr') : null;
+  return pPr ? _findChildNS(pPr, _DOCX_W_NS, 'sectPr') : null;
+}
+
+// A removed paragraph may end a section that started before the removed
+// range; keep that section break at the position of the removed range.
+function _preserveSectionBreak(doc, removedBlocks, blocks, from) {
+  let lastSect = null;
+  for (const b of removedBlocks) {
+    const paras = _isWEl(b, 'p') ? [b] : Array.from(b.getElementsByTagNameNS(_DOCX_W_NS, 'p'));
+    for (const p of paras) {
+      const sp = _paragraphSectPr(p);
+      if (sp) lastSect = sp;
+    }
+  }
+  if (!lastSect) return false;
+
+  // Nothing kept in that section (document start or right after another break)
+  const prev = blocks[from - 1];
+  if (!prev || !prev.parentNode || _paragraphSectPr(prev)) return false;
+
+  if (_isWEl(prev, 'p')) {
+    let pPr = _findChildNS(prev, _DOCX_W_NS, 'pPr');
+    if (!pPr) {
+      pPr = doc.createElementNS(_DOCX_W_NS, 'w:pPr');
+      prev.insertBefore(pPr, prev.firstChild);
+    }
+    pPr.appendChild(lastSect.cloneNode(true));
+  } else {
+    const p = doc.createElementNS(_DOCX_W_NS, 'w:p');
+    const pPr = doc.createElementNS(_DOCX_W_NS, 'w:pPr');
+    pPr.appendChild(lastSect.cloneNode(true));
+    p.appendChild(pPr);
+    prev.parentNode.insertBefore(p, prev.nextSibling);
+  }
+  return true;
+}
+
+// bookmarkStart/bookmarkEnd whose partner was removed with a hidden section
+function _pruneOrphanBookmarks(doc) {
+  const starts = Array.from(doc.getElementsByTagNameNS(_DOCX_W_NS, 'bookmarkStart'));
+  const ends = Array.from(doc.getElementsByTagNameNS(_DOCX_W_NS, 'bookmarkEnd'));
+  const startIds = new Set(starts.map(b => _getAttr(b, 'w:id')));
+  const endIds = new Set(ends.map(b => _getAttr(b, 'w:id')));
+  const removed = [];
+  for (const b of starts) {
+    if (!endIds.has(_getAttr(b, 'w:id')) && b.parentNode) { removed.push(_getAttr(b, 'w:name') || ''); b.parentNode.removeChild(b); }
+  }
+  for (const b of ends) {
+    if (!startIds.has(_getAttr(b, 'w:id')) && b.parentNode) b.parentNode.removeChild(b);
+  }
+  return removed;
+}
+
+/**
+ * Removes the blocks covered by baseline paragraph ranges from the current document.
+ * Ranges are inclusive paragraph indices; the section ends right before the
+ * paragraph at `end + 1` (the next heading at the same or a higher level).
+ */
+// Paragraph ranges -> body-level block ranges [from, to, rangeNo]; ranges whose
+// heading and boundary share one block fall back to their paragraphs.
+function _resolveBlockRanges(blocks, blockIndex, curParas, ranges) {
+  const curCount = curParas.length;
+  const blockRanges = [];
+  const nested = [];   // [paragraph, rangeNo]
+  const clamped = [];
+
+  ranges.forEach(([start, end], rangeNo) => {
+    const s = Math.max(0, Math.min(curCount - 1, start));
+    const e = Math.max(0, Math.min(curCount - 1, end));
+    if (s !== start || e !== end) clamped.push({ stage: 'current', start, end, clampedStart: s, clampedEnd: e });
+    const startBlock = _blockIndexOf(curParas[s], blockIndex);
+    const stopBlock = (e + 1 < curCount) ? _blockIndexOf(curParas[e + 1], blockIndex) : blocks.length;
+    if (startBlock < 0) return;
+
+    if (stopBlock > startBlock) {
+      blockRanges.push([startBlock, stopBlock - 1, rangeNo]);
+    } else {
+      // Heading and its boundary live in the same block (e.g. one table):
+      // only paragraph-level handling is possible there.
+      for (let i = s; i <= e; i++) nested.push([curParas[i], rangeNo]);
+    }
+  });
+
+  return { blockRanges, nested, clamped };
+}
+
+function _removeParagraphRangesAsBlocks(doc, curParas, ranges) {
+  const blocks = _getBodyBlocks(doc);
+  const blockIndex = new Map(blocks.map((b, i) => [b, i]));
+  const { blockRanges, nested, clamped } = _resolveBlockRanges(blocks, blockIndex, curParas, ranges);
+  const nestedParas = nested.map(([p]) => p);
+
+  const report = { blocks: [], ranges: [], nestedParagraphs: 0, sectionBreaksPreserved: 0, orphanBookmarks: [], clamped };
+
+  // Descending so earlier indices stay valid (nodes are detached, not reindexed)
+  blockRanges.sort((a, b) => b[0] - a[0]);
+  const done = new Set();
+  for (const [from, to] of blockRanges) {
+    const removed = [];
+    for (let i = from; i <= to; i++) {
+      if (done.has(i)) continue;
+      done.add(i);
+      removed.push(blocks[i]);
+    }
+    if (!removed.length) continue;
+
+    if (_preserveSectionBreak(doc, removed, blocks, from)) report.sectionBreaksPreserved++;
+
+    for (const b of removed) {
+      report.blocks.push({ index: blockIndex.get(b), ..._blockSummary(b) });
+      if (b.parentNode) b.parentNode.removeChild(b);
+    }
+    report.ranges.push({ fromBlock: from, toBlock: to });
+  }
+
+  for (const p of nestedParas) {
+    const parent = p.parentNode;
+    if (!parent) continue;
+    parent.removeChild(p);
+    report.nestedParagraphs++;
+    // A table cell must keep at least one paragraph
+    if (_isWEl(parent, 'tc') && !_findChildNS(parent, _DOCX_W_NS, 'p')) parent.appendChild(doc.createElementNS(_DOCX_W_NS, 'w:p'));
+  }
+
+  report.blocks.sort((a, b) => a.index - b.index);
+  report.ranges.sort((a, b) => a.fromBlock - b.fromBlock);
+  report.orphanBookmarks = _pruneOrphanBookmarks(doc);
+  return report;
+}
+
+// ------------------------------
+// Non-destructive hide ('vanish' mode)
+// ------------------------------
+// Hidden ranges stay in the document: their blocks are wrapped in block SDTs
+// tagged `fs:hidden:<baseline start>` and every run, paragraph mark and table row
+// inside gets w:vanish (w:hidden for rows). In Word the sections can be shown via
+// "Show hidden text" / the content control; restoreDocxFromBackup_JS(…, { unhideOnly: true })
+// reverts exactly these marks. Marks that already existed are recorded in the
+// rebuilder meta (hiddenSections[tag].preHidden) and survive the undo.
+const _HIDDEN_TAG_PREFIX = 'fs:hidden:';
+const _HIDDEN_ALIAS = 'Ausgeblendet (Form Suite)';
+
+// CT_RPr / CT_TrPr children that must follow w:vanish / w:hidden (schema order)
+const _RPR_AFTER_VANISH = new Set([
+  'webHidden', 'color', 'spacing', 'w', 'kern', 'position', 'sz', 'szCs', 'highlight', 'u',
+  'effect', 'bdr', 'shd', 'fitText', 'vertAlign', 'rtl', 'cs', 'em', 'lang', 'eastAsianLayout',
+  'specVanish', 'oMath', 'rPrChange'
+]);
+const _TRPR_AFTER_HIDDEN = new Set(['ins', 'del', 'trPrChange']);
+
+function _insertBeforeFirstOf(parent, el, names) {
+  for (let c = parent.firstChild; c; c = c.nextSibling) {
+    if (c.nodeType === 1 && names.has(_nodeLocalName(c))) return parent.insertBefore(el, c);
+  }
+  return parent.appendChild(el);
+}
+
+// Elements that carry a hidden mark, in a stable order (rows, paragraph marks, runs)
+function _hideTargets(container) {
+  const all = ln => Array.from(container.getElementsByTagNameNS(_DOCX_W_NS, ln));
+  return [...all('tr'), ...all('p'), ...all('r')];
+}
+
+// The w:vanish / w:hidden element of a target; created (in schema order) when `create`
+function _hiddenMarkOf(doc, el, create) {
+  const kind = _nodeLocalName(el);
+  const mk = qn => doc.createElementNS(_DOCX_W_NS, qn);
+  let props = null;
+
+  if (kind === 'tr') {
+    props = _findChildNS(el, _DOCX_W_NS, 'trPr');
+    if (!props && create) {
+      const ex = _findChildNS(el, _DOCX_W_NS, 'tblPrEx');
+      props = el.insertBefore(mk('w:trPr'), ex ? ex.nextSibling : el.firstChild);
+    }
+  } else if (kind === 'p') {
+    let pPr = _findChildNS(el, _DOCX_W_NS, 'pPr');
+    if (!pPr && create) pPr = el.insertBefore(mk('w:pPr'), el.firstChild);
+    props = pPr ? _findChildNS(pPr, _DOCX_W_NS, 'rPr') : null;
+    if (pPr && !props && create) props = _insertBeforeFirstOf(pPr, mk('w:rPr'), new Set(['sectPr', 'pPrChange']));
+  } else {
+    props = _findChildNS(el, _DOCX_W_NS, 'rPr');
+    if (!props && create) props = el.insertBefore(mk('w:rPr'), el.firstChild);
+  }
+  if (!props) return null;
+
+  const name = (kind === 'tr') ? 'hidden' : 'vanish';
+  let mark = _findChildNS(props, _DOCX_W_NS, name);
+  if (!mark && create) mark = _insertBeforeFirstOf(props, mk('w:' + name), (kind === 'tr') ? _TRPR_AFTER_HIDDEN : _RPR_AFTER_VANISH);
+  return mark;
+}
+
+function _wrapInHiddenSdt(doc, nodes, tag) {
+  const mk = qn => doc.createElementNS(_DOCX_W_NS, qn);
+  const sdt = mk('w:sdt');
+  const pr = sdt.appendChild(mk('w:sdtPr'));
+  _setAttrAny(pr.appendChild(mk('w:alias')), _DOCX_W_NS, 'val', 'w:val', _HIDDEN_ALIAS);
+  _setAttrAny(pr.appendChild(mk('w:tag')), _DOCX_W_NS, 'val', 'w:val', tag);
+  const content = sdt.appendChild(mk('w:sdtContent'));
+  nodes[0].parentNode.insertBefore(sdt, nodes[0]);
+  for (const n of nodes) content.appendChild(n);
+  return content;
+}
+
+// Marks everything inside a wrapper as hidden; returns the targets that already were
+function _markHidden(doc, content) {
+  const preHidden = [];
+  _hideTargets(content).forEach((el, i) => {
+    if (_hiddenMarkOf(doc, el, false)) preHidden.push(i);
+    else _hiddenMarkOf(doc, el, true);
+  });
+  return preHidden;
+}
+
+// Split nodes (document order) into runs of adjacent siblings
+function _siblingGroups(nodes) {
+  const groups = [];
+  let cur = null;
+  for (const n of nodes) {
+    let prev = n.previousSibling;
+    while (prev && prev.nodeType !== 1) prev = prev.previousSibling;
+    if (cur && prev === cur[cur.length - 1]) cur.push(n);
+    else groups.push(cur = [n]);
+  }
+  return groups;
+}
+
+// 'vanish' counterpart of _removeParagraphRangesAsBlocks. keys[rangeNo] names the
+// section (baseline start idx) in the SDT tag.
+function _hideParagraphRangesAsBlocks(doc, curParas, ranges, keys) {
+  const blocks = _getBodyBlocks(doc);
+  const blockIndex = new Map(blocks.map((b, i) => [b, i]));
+  const { blockRanges, nested, clamped } = _resolveBlockRanges(blocks, blockIndex, curParas, ranges);
+
+  const report = { blocks: [], ranges: [], nestedParagraphs: 0, clamped, sections: [] };
+  const byRange = new Map();   // rangeNo -> nodes to wrap
+  const take = (rangeNo, n) => { if (!byRange.has(rangeNo)) byRange.set(rangeNo, []); byRange.get(rangeNo).push(n); };
+
+  const done = new Set();
+  for (const [from, to, rangeNo] of blockRanges) {
+    for (let i = from; i <= to; i++) {
+      if (done.has(i)) continue;
+      done.add(i);
+      take(rangeNo, blocks[i]);
+      report.blocks.push({ index: i, ..._blockSummary(blocks[i]) });
+    }
+    report.ranges.push({ fromBlock: from, toBlock: to });
+  }
+  for (const [p, rangeNo] of nested) {
+    take(rangeNo, p);
+    report.nestedParagraphs++;
+  }
+
+  for (const [rangeNo, nodes] of byRange) {
+    _siblingGroups(nodes).forEach((group, g) => {
+      const tag = _HIDDEN_TAG_PREFIX + keys[rangeNo] + (g ? '.' + g : '');
+      const preHidden = _markHidden(doc, _wrapInHiddenSdt(doc, group, tag));
+      report.sections.push({ tag, preHidden });
+    });
+  }
+
+  report.blocks.sort((a, b) => a.index - b.index);
+  report.ranges.sort((a, b) => a.fromBlock - b.fromBlock);
+  return report;
+}
+
+// Reverts 'vanish' mode in place; returns the number of unwrapped section SDTs.
+function _unhideSections(doc, hiddenSections) {
+  const sdts = Array.from(doc.getElementsByTagNameNS(_DOCX_W_NS, 'sdt')).filter(sdt => {
+    const pr = _findChildNS(sdt, _DOCX_W_NS, 'sdtPr');
+    const tagEl = pr ? _findChildNS(pr, _DOCX_W_NS, 'tag') : null;
+    return String(_getAttr(tagEl, 'w:val') || '').startsWith(_HIDDEN_TAG_PREFIX);
+  });
+
+  // Innermost first, so nested wrappers unwrap cleanly
+  for (const sdt of sdts.reverse()) {
+    const tag = _getAttr(_findChildNS(_findChildNS(sdt, _DOCX_W_NS, 'sdtPr'), _DOCX_W_NS, 'tag'), 'w:val');
+    const keep = new Set(hiddenSections?.[tag]?.preHidden || []);
+    const content = _findChildNS(sdt, _DOCX_W_NS, 'sdtContent');
+    if (content) {
+      _hideTargets(content).forEach((el, i) => {
+        if (keep.has(i)) return;
+        const mark = _hiddenMarkOf(doc, el, false);
+        if (!mark) return;
+        // Drop property containers that only existed for the mark
+        let n = mark;
+        do {
+          const parent = n.parentNode;
+          parent.removeChild(n);
+          n = parent;
+        } while (n !== el && !_childElements(n).length);
+      });
+      while (content.firstChild) sdt.parentNode.insertBefore(content.firstChild, sdt);
+    }
+    sdt.parentNode.removeChild(sdt);
+  }
+  return sdts.length;
+}
+
+// _unhideSections for the story parts besides the body (hidden conditional clauses)
+async function _unhideStoryParts(zip, hiddenSections) {
+  let revealed = 0;
+  for (const partName of _storyPartNames(zip)) {
+    if (partName === 'word/document.xml') continue;
+    const xml = await zip.file(partName).async('string');
+    if (!xml.includes(_HIDDEN_TAG_PREFIX)) continue;
+    const dom = _xmlParse(xml);
+    const n = _unhideSections(dom, hiddenSections);
+    if (n) zip.file(partName, _xmlSerialize(dom));
+    revealed += n;
+  }
+  return revealed;
+}
+
+async function _readRebuilderMeta(zip) {
+  const f = zip.file(_META_PATH);
+  if (!f) return {};
+  try { return JSON.parse(await f.async('string')) || {}; } catch { return {}; }
+}
+
+// ------------------------------
+// Track-changes export ('track' mode)
+// ------------------------------
+// Removed ranges stay in the document as tracked deletions (w:del, author
+// "Form Suite") with a comment naming the hiding rule(s); SDT values that differ
+// from the baseline are marked as tracked insertions (w:ins). Accepting all
+// changes in Word yields the same content as 'remove' mode.
+const _REVISION_AUTHOR = 'Form Suite';
+const _COMMENTS_PATH = 'word/comments.xml';
+const _COMMENTS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/comments';
+const _COMMENTS_CT = 'application/vnd.openxmlformats-officedocument.wordprocessingml.comments+xml';
+
+// Shared id counter + stamp for all revisions/comments of one export
+function _revisionContext(...doms) {
+  let max = 0;
+  for (const dom of doms) {
+    const all = dom ? dom.getElementsByTagName('*') : [];
+    for (let i = 0; i < all.length; i++) {
+      const n = Number(_getAttrAny(all[i], _DOCX_W_NS, 'id', 'w:id'));
+      if (Number.isFinite(n) && n > max) max = n;
+    }
+  }
+  return {
+    author: _REVISION_AUTHOR,
+    date: new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'),
+    nextId: () => String(++max)
+  };
+}
+
+function _revisionEl(doc, ctx, qname) {
+  const el = doc.createElementNS(_DOCX_W_NS, qname);
+  _setAttrAny(el, _DOCX_W_NS, 'id', 'w:id', ctx.nextId());
+  _setAttrAny(el, _DOCX_W_NS, 'author', 'w:author', ctx.author);
+  _setAttrAny(el, _DOCX_W_NS, 'date', 'w:date', ctx.date);
+  return el;
+}
+
+function _renameWEl(doc, el, qname) {
+  const n = doc.createElementNS(_DOCX_W_NS, qname);
+  for (const a of Array.from(el.attributes || [])) n.setAttributeNS(a.namespaceURI, a.name, a.value);
+  while (el.firstChild) n.appendChild(el.firstChild);
+  el.parentNode.replaceChild(n, el);
+  return n;
+}
+
+function _hasWAncestor(node, localName, stop) {
+  for (let n = node.parentNode; n && n !== stop; n = n.parentNode) {
+    if (_isWEl(n, localName)) return true;
+  }
+  return false;
+}
+
+// Wraps adjacent runs in one w:del / w:ins each
+function _wrapRunsInRevision(doc, ctx, runs, qname) {
+  for (const group of _siblingGroups(runs)) {
+    const rev = _revisionEl(doc, ctx, qname);
+    group[0].parentNode.insertBefore(rev, group[0]);
+    for (const r of group) rev.appendChild(r);
+  }
+}
+
+function _markParagraphDeleted(doc, ctx, p) {
+  let pPr = _findChildNS(p, _DOCX_W_NS, 'pPr');
+  if (!pPr) pPr = p.insertBefore(doc.createElementNS(_DOCX_W_NS, 'w:pPr'), p.firstChild);
+  let rPr = _findChildNS(pPr, _DOCX_W_NS, 'rPr');
+  if (!rPr) rPr = _insertBeforeFirstOf(pPr, doc.createElementNS(_DOCX_W_NS, 'w:rPr'), new Set(['sectPr', 'pPrChange']));
+  if (_findChildNS(rPr, _DOCX_W_NS, 'del')) return;
+  // CT_ParaRPr starts with ins, del, ...
+  let after = rPr.firstChild;
+  while (after && !(after.nodeType === 1 && _nodeLocalName(after) !== 'ins')) after = after.nextSibling;
+  rPr.insertBefore(_revisionEl(doc, ctx, 'w:del'), after);
+}
+
+function _markRowDeleted(doc, ctx, tr) {
+  let trPr = _findChildNS(tr, _DOCX_W_NS, 'trPr');
+  if (!trPr) {
+    const ex = _findChildNS(tr, _DOCX_W_NS, 'tblPrEx');
+    trPr = tr.insertBefore(doc.createElementNS(_DOCX_W_NS, 'w:trPr'), ex ? ex.nextSibling : tr.firstChild);
+  }
+  if (!_findChildNS(trPr, _DOCX_W_NS, 'del')) _insertBeforeFirstOf(trPr, _revisionEl(doc, ctx, 'w:del'), new Set(['trPrChange']));
+}
+
+// Tracked deletion of whole blocks / paragraphs (runs, paragraph marks, table rows)
+function _trackDeleteNodes(doc, ctx, nodes) {
+  for (const node of nodes) {
+    const desc = ln => Array.from(node.getElementsByTagNameNS(_DOCX_W_NS, ln));
+    for (const tr of desc('tr')) _markRowDeleted(doc, ctx, tr);
+    for (const p of (_isWEl(node, 'p') ? [node] : []).concat(desc('p'))) _markParagraphDeleted(doc, ctx, p);
+
+    const runs = desc('r').filter(r => !_hasWAncestor(r, 'del', node.parentNode));
+    for (const r of runs) {
+      for (const t of Array.from(r.getElementsByTagNameNS(_DOCX_W_NS, 't'))) _renameWEl(doc, t, 'w:delText');
+      for (const t of Array.from(r.getElementsByTagNameNS(_DOCX_W_NS, 'instrText'))) _renameWEl(doc, t, 'w:delInstrText');
+    }
+    _wrapRunsInRevision(doc, ctx, runs, 'w:del');
+  }
+}
+
+// Comment spanning the first paragraph of a removed range
+function _anchorRangeComment(doc, commentsDom, ctx, nodes, text) {
+  const first = nodes.map(n => _isWEl(n, 'p') ? n : _firstNS(n, 'p')).find(Boolean);
+  if (!first) return false;
+
+  const id = ctx.nextId();
+  const mk = qn => doc.createElementNS(_DOCX_W_NS, qn);
+  const withId = el => { _setAttrAny(el, _DOCX_W_NS, 'id', 'w:id', id); return el; };
+
+  const pPr = _findChildNS(first, _DOCX_W_NS, 'pPr');
+  first.insertBefore(withId(mk('w:commentRangeStart')), pPr ? pPr.nextSibling : first.firstChild);
+  first.appendChild(withId(mk('w:commentRangeEnd')));
+  const ref = mk('w:r');
+  ref.appendChild(withId(mk('w:commentReference')));
+  first.appendChild(ref);
+
+  const cmk = qn => commentsDom.createElementNS(_DOCX_W_NS, qn);
+  const comment = cmk('w:comment');
+  _setAttrAny(comment, _DOCX_W_NS, 'id', 'w:id', id);
+  _setAttrAny(comment, _DOCX_W_NS, 'author', 'w:author', ctx.author);
+  _setAttrAny(comment, _DOCX_W_NS, 'date', 'w:date', ctx.date);
+  _setAttrAny(comment, _DOCX_W_NS, 'initials', 'w:initials', 'FS');
+  for (const line of String(text).split('\n')) {
+    const p = comment.appendChild(cmk('w:p'));
+    const t = p.appendChild(cmk('w:r')).appendChild(cmk('w:t'));
+    t.textContent = line;
+    _setXmlSpaceIfNeeded(t, line);
+  }
+  commentsDom.documentElement.appendChild(comment);
+  return true;
+}
+
+// 'track' counterpart of _removeParagraphRangesAsBlocks. comments[rangeNo] is the
+// comment text for that range (falsy: no comment).
+function _trackParagraphRangesAsBlocks(doc, curParas, ranges, comments, commentsDom, ctx) {
+  const blocks = _getBodyBlocks(doc);
+  const blockIndex = new Map(blocks.map((b, i) => [b, i]));
+  const { blockRanges, nested, clamped } = _resolveBlockRanges(blocks, blockIndex, curParas, ranges);
+
+  const report = { blocks: [], ranges: [], nestedParagraphs: 0, clamped, comments: 0 };
+  const byRange = new Map();
+  const take = (rangeNo, n) => { if (!byRange.has(rangeNo)) byRange.set(rangeNo, []); byRange.get(rangeNo).push(n); };
+
+  const done = new Set();
+  for (const [from, to, rangeNo] of blockRanges) {
+    for (let i = from; i <= to; i++) {
+      if (done.has(i)) continue;
+      done.add(i);
+      take(rangeNo, blocks[i]);
+      report.blocks.push({ index: i, ..._blockSummary(blocks[i]) });
+    }
+    report.ranges.push({ fromBlock: from, toBlock: to });
+  }
+  for (const [p, rangeNo] of nested) {
+    take(rangeNo, p);
+    report.nestedParagraphs++;
+  }
+
+  for (const [rangeNo, nodes] of byRange) {
+    if (comments[rangeNo] && _anchorRangeComment(doc, commentsDom, ctx, nodes, comments[rangeNo])) report.comments++;
+    _trackDeleteNodes(doc, ctx, nodes);
+  }
+
+  report.blocks.sort((a, b) => a.index - b.index);
+  report.ranges.sort((a, b) => a.fromBlock - b.fromBlock);
+  return report;
+}
+
+function _sdtKey(sdt) {
+  const pr = _findChildNS(sdt, _DOCX_W_NS, 'sdtPr');
+  return _getAttr(_findChildNS(pr, _DOCX_W_NS, 'tag'), 'w:val') || _getAttr(_findChildNS(pr, _DOCX_W_NS, 'alias'), 'w:val') || '';
+}
+
+// Runs of an SDT that are not inside a nested SDT
+function _ownSdtRuns(content) {
+  const out = [];
+  (function walk(node) {
+    for (let c = node.firstChild; c; c = c.nextSibling) {
+      if (c.nodeType !== 1) continue;
+      const ln = _nodeLocalName(c);
+      if (ln === 'sdt') continue;
+      if (ln === 'r') out.push(c);
+      else if (c.firstChild) walk(c);
+    }
+  })(content);
+  return out;
+}
+
+// Marks SDT content that differs from the baseline (same tag, same occurrence) as
+// tracked insertion. Returns the number of SDTs marked.
+function _trackInsertedSdtValues(curDom, baseDom, ctx) {
+  const textsByKey = (dom) => {
+    const m = new Map();
+    for (const sdt of Array.from(dom.getElementsByTagNameNS(_DOCX_W_NS, 'sdt'))) {
+      const key = _sdtKey(sdt);
+      const content = _findChildNS(sdt, _DOCX_W_NS, 'sdtContent');
+      if (!key || !content) continue;
+      if (!m.has(key)) m.set(key, []);
+      m.get(key).push({ sdt, content, text: _paraFingerprint(content) });
+    }
+    return m;
+  };
+  const base = textsByKey(baseDom);
+  const cur = textsByKey(curDom);
+
+  let marked = 0;
+  for (const [key, list] of cur) {
+    list.forEach((entry, i) => {
+      const before = base.get(key)?.[i];
+      if (before && before.text === entry.text) return;
+      const runs = _ownSdtRuns(entry.content)
+        .filter(r => !_hasWAncestor(r, 'del', entry.content) && !_hasWAncestor(r, 'ins', entry.content));
+      if (!runs.length) return;
+      _wrapRunsInRevision(curDom, ctx, runs, 'w:ins');
+      marked++;
+    });
+  }
+  return marked;
+}
+
+async function _loadCommentsDom(zip) {
+  const f = zip.file(_COMMENTS_PATH);
+  if (f) return _xmlParse(await f.async('string'));
+  return _xmlParse(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:comments xmlns:w="${_DOCX_W_NS}"/>`);
+}
+
+async function _saveCommentsDom(zip, commentsDom) {
+  zip.file(_COMMENTS_PATH, _xmlSerialize(commentsDom));
+  await _ensureContentTypes(zip, _COMMENTS_PATH, _COMMENTS_CT);
+  await _ensureDocumentRelationship(zip, _COMMENTS_REL, 'comments.xml');
+}
+
+// ------------------------------
+// Conditional clauses (rule targets `if:<name>`)
+// ------------------------------
+// Besides headings, rules can target a tagged content control: visibility map keys
+// starting with `if:` are SDT tags (block or inline, in any story part). HIDE
+// removes every control with that tag, SHOW or no entry leaves it untouched. An
+// inline control takes its paragraph along when nothing else is left in it, unless
+// the paragraph is the last one of its container or carries the section properties.
+// 'vanish' wraps the control in an fs:hidden: SDT like a section; 'track' deletes
+// its content as a revision.
+const _CLAUSE_TAG_PREFIX = 'if:';
+
+function _hiddenClauseTags(visibilityMap) {
+  const tags = new Set();
+  for (const [k, v] of Object.entries(visibilityMap || {})) {
+    if (k.startsWith(_CLAUSE_TAG_PREFIX) && String(v).toUpperCase() === 'HIDE') tags.add(k);
+  }
+  return tags;
+}
+
+// Controls tagged with one of `tags`, outermost only (nested matches go along)
+function _clauseSdts(doc, tags) {
+  const out = [];
+  const matched = new Set();
+  for (const sdt of Array.from(doc.getElementsByTagNameNS(_DOCX_W_NS, 'sdt'))) {
+    const pr = _findChildNS(sdt, _DOCX_W_NS, 'sdtPr');
+    const tag = String(_getAttr(_findChildNS(pr, _DOCX_W_NS, 'tag'), 'w:val') || '').trim();
+    if (!tags.has(tag)) continue;
+    let inside = false;
+    for (let n = sdt.parentNode; n && !inside; n = n.parentNode) inside = matched.has(n);
+    matched.add(sdt);
+    if (!inside) out.push({ sdt, tag });
+  }
+  return out;
+}
+
+function _parentParagraph(node) {
+  for (let n = node.parentNode; n && n.nodeType === 1; n = n.parentNode) {
+    if (_isWEl(n, 'p')) return n;
+  }
+  return null;
+}
+
+// Returns true when the paragraph went too
+function _removeInlineClause(p, sdt) {
+  sdt.parentNode.removeChild(sdt);
+  if (_paragraphHasNontrivialContent(p)) return false;
+  const pPr = _findChildNS(p, _DOCX_W_NS, 'pPr');
+  if (pPr && _findChildNS(pPr, _DOCX_W_NS, 'sectPr')) return false;
+  const parent = p.parentNode;
+  if (!_isWEl(parent, 'body') && _childElements(parent).pop() === p) return false;
+  parent.removeChild(p);
+  return true;
+}
+
+function _removeBlockClause(doc, sdt) {
+  const parent = sdt.parentNode;
+  parent.removeChild(sdt);
+  // Cells must end with a paragraph, headers/footers/notes need at least one block
+  if (parent.namespaceURI !== _DOCX_W_NS || parent.localName === 'body' || !_BLOCK_CONTAINERS.has(parent.localName)) return;
+  const last = _childElements(parent).pop();
+  if (parent.localName === 'tc' ? !_isWEl(last, 'p') : !last) _appendEmptyParagraph(doc, parent);
+}
+
+// Applies the `if:` entries of a visibility map. The body (curDom) is changed in
+// place and left to the caller; other parts are written back (with backup).
+// Adds report.clauses entries and returns the number of controls hidden.
+async function _applyClauseTargets(zip, curDom, visibilityMap, { mode, reasons, report, meta }) {
+  const tags = _hiddenClauseTags(visibilityMap);
+  if (!tags.size) return 0;
+
+  const commentsDom = (mode === 'track') ? await _loadCommentsDom(zip) : null;
+  const parts = [];
+  for (const partName of _storyPartNames(zip)) {
+    if (partName === 'word/document.xml') { parts.push({ partName, dom: curDom }); continue; }
+    if (partName === _COMMENTS_PATH && commentsDom) { parts.push({ partName, dom: commentsDom }); continue; }
+    const xml = await zip.file(partName).async('string');
+    if (xml.includes(_CLAUSE_TAG_PREFIX)) parts.push({ partName, dom: _xmlParse(xml) });
+  }
+  const ctx = (mode === 'track') ? _revisionContext(...parts.map(x => x.dom), commentsDom) : null;
+
+  let hidden = 0;
+  let commentsChanged = false;
+  const occurrences = new Map();   // tag -> count, keeps the fs:hidden: tags unique
+  const found = new Set();
+  for (const { partName, dom } of parts) {
+    const sdts = _clauseSdts(dom, tags);
+    for (const { sdt, tag } of sdts) {
+      const p = _parentParagraph(sdt);
+      const entry = { tag, part: partName, kind: p ? 'inline' : 'block', ruleIds: _reasonRuleIds(reasons, tag), paragraphRemoved: false };
+      if (mode === 'vanish') {
+        const n = occurrences.get(tag) || 0;
+        occurrences.set(tag, n + 1);
+        const hiddenTag = _HIDDEN_TAG_PREFIX + tag + (n ? '.' + n : '');
+        const preHidden = _markHidden(dom, _wrapInHiddenSdt(dom, [sdt], hiddenTag));
+        meta.hiddenSections = { ...(meta.hiddenSections || {}), [hiddenTag]: { preHidden } };
+        report.sections.push(hiddenTag);
+      } else if (mode === 'track') {
+        // Comments are only anchored in the body
+        if (dom === curDom && _anchorRangeComment(dom, commentsDom, ctx, [p || sdt], _removalCommentText([{ text: tag, ruleIds: entry.ruleIds }]))) {
+          report.comments++;
+          commentsChanged = true;
+        }
+        _trackDeleteNodes(dom, ctx, [sdt]);
+      } else if (p) {
+        entry.paragraphRemoved = _removeInlineClause(p, sdt);
+      } else {
+        _removeBlockClause(dom, sdt);
+      }
+      report.clauses.push(entry);
+      found.add(tag);
+      hidden++;
+    }
+    if (!sdts.length || dom === curDom) continue;
+    if (dom === commentsDom) commentsChanged = true;
+    else await _writePartWithBackup(zip, partName, dom);
+  }
+
+  for (const tag of tags) {
+    if (!found.has(tag)) report.clauses.push({ tag, part: null, kind: null, ruleIds: _reasonRuleIds(reasons, tag), paragraphRemoved: false });
+  }
+  if (!hidden) return 0;
+
+  if (mode === 'vanish') {
+    zip.file(_META_PATH, JSON.stringify(meta, null, 2));
+  } else if (mode === 'track') {
+    if (commentsChanged) await _saveCommentsDom(zip, commentsDom);
+  } else {
+    const pruned = await _pruneOrphanNotes(zip, curDom);
+    for (const k of Object.keys(pruned)) report.notesPruned[k] += pruned[k];
+  }
+  try { console.log('[DOCX] applyRemovalWithBackup: conditional clauses', { mode, hidden, tags: Array.from(tags) }); } catch {}
+  return hidden;
+}
+
 // ------------------------------
 // Baseline-first plan inspector (used by UI / debugging)
 // ------------------------------
@@ -365,12 +1147,9 @@ function _pruneEmptySDTs(doc) {
   for (const sdt of sdts) {
     // If it contains any table, keep; otherwise check for any meaningful content
     if (sdt.getElementsByTagNameNS(_DOCX_W_NS,'tbl').length > 0) continue;
-    const ps = sdt.getElementsByTagNameNS(_DOCX_W_NS,'p');
-    let hasMeaning = false;
-    for (let i = 0; i < ps.length; i++) {
-      if (_paragraphHasNontrivialContent(ps[i])) { hasMeaning = true; break; }
-    }
-    if (!hasMeaning && sdt.parentNode) sdt.parentNode.removeChild(sdt);
+    // Works for block and inline (run-level) controls alike
+    const content = _findChildNS(sdt, _DOCX_W_NS, 'sdtContent') || sdt;
+    if (!_paragraphHasNontrivialContent(content) && sdt.parentNode) sdt.parentNode.removeChild(sdt);
   }
 }
 function _pruneDeadTables(doc) {
@@ -392,7 +1171,7 @@ function _compactWhitespace(doc) {
   while (n) {
     const next = n.nextSibling;
     if (n.namespaceURI === _DOCX_W_NS && n.localName === 'p') {
-      const keepForPage = _hasPageBreakRun(n) || _hasPageBreakBefore(n);
+      const keepForPage = _hasPageBreakRun(n) || _hasPageBreakBefore(n) || !!_paragraphSectPr(n);
       if (!keepForPage && _isEmptyParagraph(n)) body.removeChild(n);
     }
     n = next;
@@ -416,11 +1195,116 @@ function _compactWhitespace(doc) {
   }
 }
 
+// ------------------------------
+// Notes and comments orphaned by a removal
+// ------------------------------
+// Removing a body range takes the footnote/endnote references and comment
+// anchors in it along; the notes and comments themselves live in their own
+// parts and are dropped here (including commentsExtended/Ids/Extensible entries).
+// The untouched parts are kept below _BASE_PARTS_DIR for restoreDocxFromBackup.
+const _NOTE_PARTS = [
+  { path: 'word/footnotes.xml', el: 'footnote', ref: 'footnoteReference', key: 'footnotes' },
+  { path: 'word/endnotes.xml', el: 'endnote', ref: 'endnoteReference', key: 'endnotes' }
+];
+const _COMMENT_ANCHORS = ['commentRangeStart', 'commentRangeEnd', 'commentReference'];
+const _COMMENT_SIDE_PARTS = ['word/commentsExtended.xml', 'word/commentsIds.xml', 'word/commentsExtensible.xml'];
+
+async function _writePartWithBackup(zip, path, dom) {
+  const backup = _BASE_PARTS_DIR + path.replace(/^word\//, '');
+  if (!zip.file(backup)) zip.file(backup, await zip.file(path).async('string'));
+  zip.file(path, _xmlSerialize(dom));
+}
+
+function _idsOf(doms, localNames) {
+  const ids = new Set();
+  for (const dom of doms) {
+    for (const name of localNames) {
+      for (const el of Array.from(dom.getElementsByTagNameNS(_DOCX_W_NS, name) || [])) ids.add(_getAttr(el, 'w:id'));
+    }
+  }
+  return ids;
+}
+
+// Attribute by local name, whatever the (w14/w15/w16cid/w16cex) prefix
+function _attrByLocalName(el, local) {
+  for (const a of Array.from(el.attributes || [])) {
+    if ((a.localName || a.name.replace(/^.*:/, '')) === local) return a.value;
+  }
+  return null;
+}
+
+async function _pruneOrphanNotes(zip, bodyDom) {
+  const pruned = { footnotes: 0, endnotes: 0, comments: 0 };
+
+  // Footnote / endnote references can only sit in the body
+  for (const np of _NOTE_PARTS) {
+    const f = zip.file(np.path);
+    if (!f) continue;
+    const dom = _xmlParse(await f.async('string'));
+    const used = _idsOf([bodyDom], [np.ref]);
+    for (const note of _directChildrenNS(dom.documentElement, np.el)) {
+      const type = _getAttr(note, 'w:type');
+      if (type && type !== 'normal') continue;   // separators
+      if (used.has(_getAttr(note, 'w:id'))) continue;
+      dom.documentElement.removeChild(note);
+      pruned[np.key]++;
+    }
+    if (pruned[np.key]) await _writePartWithBackup(zip, np.path, dom);
+  }
+
+  // Comments may be anchored in any story part
+  const cf = zip.file(_COMMENTS_PATH);
+  if (!cf) return pruned;
+  const commentsDom = _xmlParse(await cf.async('string'));
+  const anchorDoms = [bodyDom];
+  for (const partName of _storyPartNames(zip)) {
+    if (partName === 'word/document.xml' || partName === _COMMENTS_PATH) continue;
+    try { anchorDoms.push(_xmlParse(await zip.file(partName).async('string'))); } catch {}
+  }
+  const used = _idsOf(anchorDoms, _COMMENT_ANCHORS);
+  const paraIds = new Set();
+  for (const c of _directChildrenNS(commentsDom.documentElement, 'comment')) {
+    if (used.has(_getAttr(c, 'w:id'))) continue;
+    for (const p of Array.from(c.getElementsByTagNameNS(_DOCX_W_NS, 'p'))) {
+      const pid = _attrByLocalName(p, 'paraId');
+      if (pid) paraIds.add(pid);
+    }
+    commentsDom.documentElement.removeChild(c);
+    pruned.comments++;
+  }
+  if (!pruned.comments) return pruned;
+  await _writePartWithBackup(zip, _COMMENTS_PATH, commentsDom);
+
+  // commentsExtended / commentsIds are keyed by paraId, commentsExtensible by durableId
+  const durableIds = new Set();
+  for (const path of _COMMENT_SIDE_PARTS) {
+    const f = zip.file(path);
+    if (!f) continue;
+    const dom = _xmlParse(await f.async('string'));
+    let changed = false;
+    for (const el of _childElements(dom.documentElement)) {
+      const pid = _attrByLocalName(el, 'paraId');
+      const did = _attrByLocalName(el, 'durableId');
+      if ((pid && paraIds.has(pid)) || (!pid && did && durableIds.has(did))) {
+        if (did) durableIds.add(did);
+        dom.documentElement.removeChild(el);
+        changed = true;
+      }
+    }
+    if (changed) await _writePartWithBackup(zip, path, dom);
+  }
+  return pruned;
+}
+
 // ------------------------------
 // Baseline embedding helper (bulletproof)
 // ------------------------------
 async function _ensureBaselineInZip(zip, originalBytesU8) {
-  if (zip.file(_BASE_PATH)) return;
+  if (!zip.file(_BASE_PATH)) await _embedBaseline(zip, originalBytesU8);
+  await registerPartContentTypes(zip, [_BASE_PATH, _META_PATH]);
+}
+
+async function _embedBaseline(zip, originalBytesU8) {
 
   // Prefer originalBytesU8's document.xml as baseline if provided
   if (originalBytesU8 instanceof Uint8Array && originalBytesU8.length) {
@@ -507,34 +1391,309 @@ function _computeHiddenRangesFromHeadingIdxs(hideIdxs, headings, paraCount) {
 }
 
 // ------------------------------
-// Removal: baseline-first (bulletproof)
+// Baseline -> current paragraph mapping
 // ------------------------------
-async function applyRemovalWithBackup_JS(bytesU8, visibilityMap, originalBytesU8) {
-  const JSZip = await ensureJSZip();
-  const input = (bytesU8 instanceof Uint8Array) ? bytesU8 : new Uint8Array(bytesU8 || []);
-  const zip = await JSZip.loadAsync(new Uint8Array(input));
-
-  // 1) Ensure baseline exists inside the zip (stable reference for idx)
-  await _ensureBaselineInZip(zip, originalBytesU8);
-
-  const baseFile = zip.file(_BASE_PATH);
-  if (!baseFile) {
-    console.warn('[DOCX] applyRemovalWithBackup: no baseline found; skipping removal.');
-    return await zip.generateAsync({ type: 'uint8array' });
-  }
+// The current document.xml may have been edited in Word after the baseline was
+// stored. Paragraphs are anchored by w14:paraId, bookmark names and unique text
+// fingerprints (text outside content controls, so filled-in SDT values do not
+// count as edits); the stretches between anchors are aligned by LCS on the
+// fingerprints, equal-length leftovers by position. Unmatched paragraphs map to -1.
+const _W14_NS = 'http://schemas.microsoft.com/office/word/2010/wordml';
+const _MAP_MIN_CONFIDENCE = 0.6;
+const _MAP_LCS_MAX_CELLS = 4e6;
+
+function _paraId(p) {
+  return String(_getAttrAny(p, _W14_NS, 'paraId', 'w14:paraId') || '').toUpperCase();
+}
 
-  // 2) Load baseline + current document.xml
-  const baseXml = await baseFile.async('string');
-  const curFile = zip.file('word/document.xml');
-  if (!curFile) {
-    console.warn('[DOCX] applyRemovalWithBackup: missing word/document.xml; skipping removal.');
-    return await zip.generateAsync({ type: 'uint8array' });
+function _paraBookmarks(p) {
+  const out = [];
+  const els = p.getElementsByTagNameNS(_DOCX_W_NS, 'bookmarkStart');
+  for (let i = 0; i < els.length; i++) {
+    const name = _getAttr(els[i], 'w:name') || '';
+    if (name && name !== '_GoBack') out.push('bm:' + name);
   }
-  const curXml = await curFile.async('string');
+  return out;
+}
 
-  // 3) Build style map once (from current zip)
-  let styleLevelMap = new Map();
-  const stylesFile = zip.file('word/styles.xml');
+function _paraFingerprint(p) {
+  let out = '';
+  (function walk(node) {
+    for (let c = node.firstChild; c; c = c.nextSibling) {
+      if (c.nodeType !== 1) continue;
+      const ln = _nodeLocalName(c);
+      if (ln === 'sdt') continue;
+      if (ln === 't') out += c.textContent || '';
+      else if (c.firstChild) walk(c);
+    }
+  })(p);
+  return _normalizeText(out).toLowerCase();
+}
+
+// key -> index, or -1 when the key occurs more than once
+function _uniqueKeyIndex(sigs, keysOf) {
+  const out = new Map();
+  sigs.forEach((sig, i) => {
+    for (const k of keysOf(sig)) out.set(k, out.has(k) ? -1 : i);
+  });
+  return out;
+}
+
+// pairs: [[baseIdx, curIdx, kind]] sorted by baseIdx -> longest subset increasing in curIdx
+function _longestIncreasing(pairs) {
+  const tails = [];
+  const prev = new Array(pairs.length).fill(-1);
+  for (let i = 0; i < pairs.length; i++) {
+    const c = pairs[i][1];
+    let lo = 0, hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (pairs[tails[mid]][1] < c) lo = mid + 1; else hi = mid;
+    }
+    if (lo > 0) prev[i] = tails[lo - 1];
+    tails[lo] = i;
+  }
+  const out = [];
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = prev[i]) out.push(pairs[i]);
+  return out.reverse();
+}
+
+// Align base[b0,b1) against cur[c0,c1) (half-open) and fill map/how in place
+function _alignGap(base, cur, b0, b1, c0, c1, map, how) {
+  const n = b1 - b0, m = c1 - c0;
+  if (n <= 0 || m <= 0) return;
+
+  const matches = [];
+  if (n * m <= _MAP_LCS_MAX_CELLS) {
+    const w = m + 1;
+    const dp = new Uint32Array((n + 1) * w);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        dp[i * w + j] = (base[b0 + i].text === cur[c0 + j].text)
+          ? dp[(i + 1) * w + j + 1] + 1
+          : Math.max(dp[(i + 1) * w + j], dp[i * w + j + 1]);
+      }
+    }
+    for (let i = 0, j = 0; i < n && j < m;) {
+      if (base[b0 + i].text === cur[c0 + j].text) { matches.push([b0 + i, c0 + j]); i++; j++; }
+      else if (dp[(i + 1) * w + j] >= dp[i * w + j + 1]) i++;
+      else j++;
+    }
+  }
+
+  let pb = b0 - 1, pc = c0 - 1;
+  for (const [b, c] of [...matches, [b1, c1]]) {
+    // Leftover stretch of equal length between two matches: pair up by position
+    if (b - pb === c - pc) {
+      for (let k = 1; pb + k < b; k++) { map[pb + k] = pc + k; how[pb + k] = 'position'; }
+    }
+    if (b < b1) { map[b] = c; how[b] = 'aligned'; }
+    pb = b; pc = c;
+  }
+}
+
+// -> { map: base idx -> cur idx | -1, how: match kind per base idx, confidence 0..1, identity, stats }
+function _mapBaselineToCurrent(baseParas, curParas) {
+  const sig = p => ({ id: _paraId(p), bookmarks: _paraBookmarks(p), text: _paraFingerprint(p) });
+  const base = baseParas.map(sig);
+  const cur = curParas.map(sig);
+  const map = new Array(base.length).fill(-1);
+  const how = new Array(base.length).fill(null);
+  const stats = { paraId: 0, bookmark: 0, text: 0, aligned: 0, position: 0, unmapped: 0 };
+
+  // Fast path: paragraph structure unchanged
+  if (base.length === cur.length && base.every((b, i) => b.text === cur[i].text)) {
+    for (let i = 0; i < map.length; i++) { map[i] = i; how[i] = 'identity'; }
+    return { map, how, confidence: 1, identity: true, stats };
+  }
+
+  // 1) Anchors, strongest first; a key must be unique on both sides
+  const kinds = [
+    ['paraId',   s => s.id ? [s.id] : []],
+    ['bookmark', s => s.bookmarks],
+    ['text',     s => s.text ? [s.text] : []]
+  ];
+  const pairs = [];
+  const usedB = new Set(), usedC = new Set();
+  for (const [kind, keysOf] of kinds) {
+    const bi = _uniqueKeyIndex(base, keysOf);
+    const ci = _uniqueKeyIndex(cur, keysOf);
+    for (const [k, b] of bi) {
+      const c = ci.get(k);
+      if (b < 0 || c == null || c < 0 || usedB.has(b) || usedC.has(c)) continue;
+      usedB.add(b); usedC.add(c);
+      pairs.push([b, c, kind]);
+    }
+  }
+
+  // 2) Keep the longest order-preserving subset (drops moved/colliding anchors)
+  pairs.sort((x, y) => x[0] - y[0]);
+  for (const [b, c, kind] of _longestIncreasing(pairs)) { map[b] = c; how[b] = kind; }
+
+  // 3) Align the stretches between anchors
+  let pb = -1, pc = -1;
+  for (let b = 0; b <= base.length; b++) {
+    if (b < base.length && map[b] < 0) continue;
+    const c = (b < base.length) ? map[b] : cur.length;
+    _alignGap(base, cur, pb + 1, b, pc + 1, c, map, how);
+    pb = b; pc = c;
+  }
+
+  let score = 0;
+  for (let i = 0; i < how.length; i++) {
+    if (!how[i]) { stats.unmapped++; continue; }
+    stats[how[i]]++;
+    score += (how[i] === 'position') ? 0.5 : 1;
+  }
+  const confidence = base.length ? Math.round(score / base.length * 100) / 100 : 1;
+  return { map, how, confidence, identity: false, stats };
+}
+
+// Translate baseline paragraph ranges [start, end] into current ones. Ranges whose
+// boundaries cannot be located reliably are refused instead of guessed.
+function _mapRangesToCurrent(ranges, mapping, baseCount, curCount, minConfidence) {
+  const mapped = [];
+  const refused = [];
+  const { map, how } = mapping;
+
+  for (const [start, end] of ranges) {
+    const curStart = map[start];
+    const curStop = (end + 1 < baseCount) ? map[end + 1] : curCount;
+
+    let inside = 0;
+    for (let i = start; i <= end; i++) {
+      const c = map[i];
+      if (c >= 0 && c >= curStart && c < curStop) inside += (how[i] === 'position') ? 0.5 : 1;
+    }
+    const confidence = Math.round(inside / (end - start + 1) * 100) / 100;
+
+    let reason = null;
+    if (curStart < 0) reason = 'start-unmapped';
+    else if (curStop < 0) reason = 'end-unmapped';
+    else if (curStop <= curStart) reason = 'out-of-order';
+    else if (how[start] === 'position') reason = 'start-uncertain';   // heading text changed
+    else if (confidence < minConfidence) reason = 'low-confidence';
+
+    if (reason) refused.push({ start, end, reason, confidence });
+    else mapped.push({ start, end, curStart, curEnd: curStop - 1, confidence });
+  }
+
+  return { mapped, refused };
+}
+
+// ------------------------------
+// Removal report ("what was removed and why")
+// ------------------------------
+// applyRemovalWithBackup*(…, { withReport: true }) resolves to { bytes, report }:
+//   status   'applied' | 'refused' | 'skipped' (reason: 'no-baseline' | 'no-document' | 'nothing-hidden' | …)
+//   counts   { baseParas, curParas, headings }
+//   hidden   [{ idx, text, level, heading, ruleIds, range: [start, end] | null, removed, refused }]
+//   ranges   [{ start, end, curStart, curEnd, confidence }]   baseline range -> current range
+//   refused  [{ start, end, reason, confidence }]              ranges left in place (mapping unreliable)
+//   mapping  { identity, confidence, stats }                    see _mapBaselineToCurrent
+//   clamped  [{ stage, start, end, clampedStart, clampedEnd }]
+//   revealed / sections   'vanish' SDTs revealed before applying / tags of those created now
+//   comments / insertions 'track' mode: review comments added / SDTs marked as inserted
+//   blocks / blockRanges / nestedParagraphs / sectionBreaksPreserved / orphanBookmarks
+//   notesPruned { footnotes, endnotes, comments }  whose references went with the removed ranges
+//   clauses  [{ tag, part, kind: 'block' | 'inline', ruleIds, paragraphRemoved }]   hidden `if:` controls
+//            (part null: no control with that tag)
+// `reasons` is keyed like the visibility map; each entry is either a list of rule ids
+// or the FS_RULES.evaluateRulesToVisibility explain shape { hideRuleIds: [...] }.
+// Visibility map keys 'if:<name>' hide every control tagged 'if:<name>' (block or
+// inline, in all story parts) instead of a heading's section.
+// `mode: 'vanish'` hides instead of deleting (see _hideParagraphRangesAsBlocks);
+// `mode: 'track'` deletes as Word revisions (see _trackParagraphRangesAsBlocks),
+// with `trackInsertions: false` to leave filled SDT values unmarked.
+// `minConfidence` (default _MAP_MIN_CONFIDENCE) is the share of a range's baseline
+// paragraphs that must be found inside its current range for it to be removed.
+function _newRemovalReport() {
+  return {
+    engine: 'js',
+    mode: 'remove',
+    status: 'skipped',
+    reason: null,
+    counts: { baseParas: 0, curParas: 0, headings: 0 },
+    hidden: [],
+    ranges: [],
+    refused: [],
+    mapping: null,
+    clamped: [],
+    revealed: 0,
+    sections: [],
+    comments: 0,
+    insertions: 0,
+    blocks: [],
+    blockRanges: [],
+    nestedParagraphs: 0,
+    sectionBreaksPreserved: 0,
+    orphanBookmarks: [],
+    notesPruned: { footnotes: 0, endnotes: 0, comments: 0 },
+    clauses: []
+  };
+}
+
+function _reasonRuleIds(reasons, idx) {
+  const r = reasons ? reasons[idx] : null;
+  if (!r) return [];
+  const ids = Array.isArray(r) ? r : (Array.isArray(r.hideRuleIds) ? r.hideRuleIds : []);
+  return ids.map(String);
+}
+
+// Comment for a tracked deletion: which headings went and which rules hid them
+function _removalCommentText(hiddenEntries) {
+  const lines = hiddenEntries.map(h => {
+    const why = h.ruleIds.length ? `Regel ${h.ruleIds.join(', ')}` : 'ohne Regelbezug';
+    return `„${h.text || '#' + h.idx}“ ausgeblendet (${why})`;
+  });
+  return [`Entfernt durch ${_REVISION_AUTHOR}`, ...lines].join('\n');
+}
+
+function _removalResult(bytes, report, withReport) {
+  return withReport ? { bytes, report } : bytes;
+}
+
+// ------------------------------
+// Removal: baseline-first (bulletproof)
+// ------------------------------
+async function applyRemovalWithBackup_JS(bytesU8, visibilityMap, originalBytesU8, opts = {}) {
+  const {
+    reasons = null,
+    withReport = false,
+    minConfidence = _MAP_MIN_CONFIDENCE,
+    mode = 'remove',
+    trackInsertions = true
+  } = opts || {};
+  const report = _newRemovalReport();
+  report.mode = mode;
+
+  const JSZip = await ensureJSZip();
+  const input = (bytesU8 instanceof Uint8Array) ? bytesU8 : new Uint8Array(bytesU8 || []);
+  const zip = await JSZip.loadAsync(new Uint8Array(input));
+
+  // 1) Ensure baseline exists inside the zip (stable reference for idx)
+  await _ensureBaselineInZip(zip, originalBytesU8);
+
+  const baseFile = zip.file(_BASE_PATH);
+  if (!baseFile) {
+    console.warn('[DOCX] applyRemovalWithBackup: no baseline found; skipping removal.');
+    report.reason = 'no-baseline';
+    return _removalResult(await zip.generateAsync({ type: 'uint8array' }), report, withReport);
+  }
+
+  // 2) Load baseline + current document.xml
+  const baseXml = await baseFile.async('string');
+  const curFile = zip.file('word/document.xml');
+  if (!curFile) {
+    console.warn('[DOCX] applyRemovalWithBackup: missing word/document.xml; skipping removal.');
+    report.reason = 'no-document';
+    return _removalResult(await zip.generateAsync({ type: 'uint8array' }), report, withReport);
+  }
+  const curXml = await curFile.async('string');
+
+  // 3) Build style map once (from current zip)
+  let styleLevelMap = new Map();
+  const stylesFile = zip.file('word/styles.xml');
   if (stylesFile) {
     try {
       const stylesXml = await stylesFile.async('string');
@@ -548,6 +1707,16 @@ async function applyRemovalWithBackup_JS(bytesU8, visibilityMap, originalBytesU8
   const baseDom = _xmlParse(baseXml);
   const curDom  = _xmlParse(curXml);
 
+  // Sections hidden by an earlier 'vanish' run are revealed first, so the
+  // visibility map always applies to the full document
+  const meta = await _readRebuilderMeta(zip);
+  report.revealed = _unhideSections(curDom, meta.hiddenSections) + await _unhideStoryParts(zip, meta.hiddenSections);
+  if (report.revealed || meta.hiddenSections) {
+    delete meta.hiddenSections;
+    zip.file(_META_PATH, JSON.stringify(meta, null, 2));
+    zip.file('word/document.xml', _xmlSerialize(curDom));
+  }
+
   // 4) Collect paragraphs from both
   const baseParas = _getBodyParagraphs(baseDom);
   const curParas  = _getBodyParagraphs(curDom);
@@ -578,6 +1747,45 @@ async function applyRemovalWithBackup_JS(bytesU8, visibilityMap, originalBytesU8
   }
   hideIdxs.sort((a,b)=>a-b);
 
+  // Conditional clauses (`if:` keys) go after the heading ranges, whatever became
+  // of those, so the baseline mapping below still sees the unchanged body
+  const finish = async (bodyChanged) => {
+    const clauses = await _applyClauseTargets(zip, curDom, visibilityMap, { mode, reasons, report, meta });
+    if (clauses && report.status === 'skipped') {
+      report.status = 'applied';
+      report.reason = null;
+    }
+    if (clauses || bodyChanged) zip.file('word/document.xml', _xmlSerialize(curDom));
+    return _removalResult(await zip.generateAsync({ type: 'uint8array' }), report, withReport);
+  };
+
+  report.counts = { baseParas: baseCount, curParas: curCount, headings: headings.length };
+  const headingByIdx = new Map(headings.map(h => [h.idx, h]));
+  const inRange = [];
+  for (const n of hideIdxs) {
+    const h = headingByIdx.get(n);
+    const p = baseParas[n];
+    const entry = {
+      idx: n,
+      text: h ? h.text : (p ? _stripLeadingNumber(_extractParagraphText(p)) : ''),
+      level: h ? h.level : null,
+      heading: !!h,
+      ruleIds: _reasonRuleIds(reasons, n),
+      range: null,
+      removed: false,
+      refused: null
+    };
+    report.hidden.push(entry);
+
+    // An idx outside the baseline points at nothing: never clamp it onto the last paragraph
+    if (n < 0 || n >= baseCount) {
+      entry.refused = 'out-of-range';
+      report.refused.push({ start: n, end: n, reason: 'out-of-range', confidence: 0 });
+    } else {
+      inRange.push(n);
+    }
+  }
+
   // DBG
   try {
     console.log('[DOCX] applyRemovalWithBackup: counts', {
@@ -589,63 +1797,128 @@ async function applyRemovalWithBackup_JS(bytesU8, visibilityMap, originalBytesU8
     });
   } catch {}
 
-  if (!hideIdxs.length) {
-    return await zip.generateAsync({ type: 'uint8array' });
+  if (!inRange.length) {
+    report.status = report.refused.length ? 'refused' : 'skipped';
+    report.reason = report.refused.length ? 'out-of-range' : 'nothing-hidden';
+    return finish(false);
   }
 
   // 7) Compute removal ranges against BASELINE heading boundaries
-  const ranges = _computeHiddenRangesFromHeadingIdxs(hideIdxs, headings, baseCount);
+  const ranges = _computeHiddenRangesFromHeadingIdxs(inRange, headings, baseCount);
+
+  // 7b) Locate those ranges in the CURRENT document (it may have been edited since)
+  const mapping = _mapBaselineToCurrent(baseParas, curParas);
+  const { mapped, refused } = _mapRangesToCurrent(ranges, mapping, baseCount, curCount, minConfidence);
+  report.mapping = { identity: mapping.identity, confidence: mapping.confidence, stats: mapping.stats };
+  report.ranges = mapped;
+  report.refused.push(...refused);
+
+  for (const h of report.hidden) {
+    if (h.refused) continue;
+    const r = [...mapped, ...refused].find(x => h.idx >= x.start && h.idx <= x.end);
+    if (!r) continue;
+    h.range = [r.start, r.end];
+    if (r.reason) h.refused = r.reason; else h.removed = true;
+  }
 
   try {
-    console.log('[DOCX] applyRemovalWithBackup: ranges', { rangesLen: ranges.length, sample: ranges.slice(0, 5) });
+    console.log('[DOCX] applyRemovalWithBackup: ranges', { rangesLen: ranges.length, sample: ranges.slice(0, 5), mapping: report.mapping });
+    if (report.refused.length) console.warn('[DOCX] applyRemovalWithBackup: refused (baseline/current mapping not reliable)', report.refused);
   } catch {}
 
-  // 8) Apply ranges to CURRENT doc paragraphs (descending)
-  let removed = 0;
-  const toRemove = [];
-  for (const [start, end] of ranges) {
-    const s = Math.max(0, Math.min(curCount - 1, start));
-    const e = Math.max(0, Math.min(curCount - 1, end));
-    for (let i = s; i <= e; i++) toRemove.push(i);
+  if (!mapped.length) {
+    report.status = 'refused';
+    report.reason = 'low-confidence';
+    return finish(false);
   }
-  const uniqRemove = Array.from(new Set(toRemove)).sort((a,b)=>b-a);
 
-  for (const idx of uniqRemove) {
-    const p = curParas[idx];
-    if (p && p.parentNode) {
-      p.parentNode.removeChild(p);
-      removed++;
-    }
-  }
+  // 8) Apply ranges to CURRENT doc body-level blocks (p, tbl, sdt, bookmarks)
+  const curRanges = mapped.map(r => [r.curStart, r.curEnd]);
+  let removal;
+  if (mode === 'vanish') {
+    removal = _hideParagraphRangesAsBlocks(curDom, curParas, curRanges, mapped.map(r => r.start));
+    meta.hiddenSections = {};
+    for (const sec of removal.sections) meta.hiddenSections[sec.tag] = { preHidden: sec.preHidden };
+    zip.file(_META_PATH, JSON.stringify(meta, null, 2));
+    report.sections = removal.sections.map(sec => sec.tag);
+  } else if (mode === 'track') {
+    const commentsDom = await _loadCommentsDom(zip);
+    const ctx = _revisionContext(curDom, commentsDom);
+    const comments = mapped.map(r => _removalCommentText(report.hidden.filter(h => h.range && h.range[0] === r.start)));
+    removal = _trackParagraphRangesAsBlocks(curDom, curParas, curRanges, comments, commentsDom, ctx);
+    report.comments = removal.comments;
+    report.insertions = trackInsertions ? _trackInsertedSdtValues(curDom, baseDom, ctx) : 0;
+    if (removal.comments) await _saveCommentsDom(zip, commentsDom);
+  } else {
+    removal = _removeParagraphRangesAsBlocks(curDom, curParas, curRanges);
 
-  // 9) Cleanup
-  _pruneEmptySDTs(curDom);
-  _pruneDeadTables(curDom);
-  _compactWhitespace(curDom);
+    // 9) Cleanup
+    _pruneEmptySDTs(curDom);
+    _pruneDeadTables(curDom);
+    _compactWhitespace(curDom);
+    report.notesPruned = await _pruneOrphanNotes(zip, curDom);
+  }
 
   try {
     console.log('[DOCX] applyRemovalWithBackup: removed', {
-      removedParas: removed,
+      removedBlocks: removal.blocks.length,
+      mode,
+      nestedParagraphs: removal.nestedParagraphs,
+      sectionBreaksPreserved: removal.sectionBreaksPreserved || 0,
+      orphanBookmarks: (removal.orphanBookmarks || []).length,
       curParasBefore: curCount,
-      curParasAfter: _getBodyParagraphs(curDom).length
+      curParasAfter: _getBodyParagraphs(curDom).length,
+      blocks: removal.blocks
     });
   } catch {}
 
+  report.status = 'applied';
+  report.blocks = removal.blocks;
+  report.blockRanges = removal.ranges;
+  report.nestedParagraphs = removal.nestedParagraphs;
+  report.sectionBreaksPreserved = removal.sectionBreaksPreserved || 0;
+  report.orphanBookmarks = removal.orphanBookmarks || [];
+  report.clamped.push(...removal.clamped);
+  if (report.clamped.length) {
+    try { console.warn('[DOCX] applyRemovalWithBackup: ranges clamped', report.clamped); } catch {}
+  }
+
   // 10) Write back
-  zip.file('word/document.xml', _xmlSerialize(curDom));
-  return await zip.generateAsync({ type: 'uint8array' });
+  return finish(true);
 }
 
-async function restoreDocxFromBackup_JS(bytesU8) {
+// Default: put the baseline document.xml (and saved note/comment parts) back.
+// { unhideOnly: true } (also used when no baseline is embedded) only reveals
+// sections hidden in 'vanish' mode and keeps every other change. Resolves to
+// null when there is nothing to restore.
+async function restoreDocxFromBackup_JS(bytesU8, { unhideOnly = false } = {}) {
   const JSZip = await ensureJSZip();
   const input = (bytesU8 instanceof Uint8Array) ? bytesU8 : new Uint8Array(bytesU8 || []);
   const zip = await JSZip.loadAsync(new Uint8Array(input));
+  const meta = await _readRebuilderMeta(zip);
 
   const base = zip.file(_BASE_PATH);
-  if (!base) return null;
+  if (base && !unhideOnly) {
+    const originalXml = await base.async('string');
+    zip.file('word/document.xml', originalXml);
+    for (const name of Object.keys(zip.files)) {
+      if (!name.startsWith(_BASE_PARTS_DIR) || zip.files[name].dir) continue;
+      zip.file('word/' + name.slice(_BASE_PARTS_DIR.length), await zip.file(name).async('string'));
+    }
+    zip.remove(_BASE_PARTS_DIR.replace(/\/$/, ''));
+  } else {
+    const curFile = zip.file('word/document.xml');
+    if (!curFile) return null;
+    const curDom = _xmlParse(await curFile.async('string'));
+    const revealed = _unhideSections(curDom, meta.hiddenSections) + await _unhideStoryParts(zip, meta.hiddenSections);
+    if (!revealed) return null;
+    zip.file('word/document.xml', _xmlSerialize(curDom));
+  }
 
-  const originalXml = await base.async('string');
-  zip.file('word/document.xml', originalXml);
+  if (meta.hiddenSections) {
+    delete meta.hiddenSections;
+    zip.file(_META_PATH, JSON.stringify(meta, null, 2));
+  }
   return await zip.generateAsync({ type: 'uint8array' });
 }
 
@@ -658,16 +1931,32 @@ async function ensurePy(forceReinit = false) {
     py = null;
   }
   if (!pyLoaded) {
+    if (_env.loadPyodide) {
+      py = await _env.loadPyodide();
+      pyLoaded = true;
+      return py;
+    }
+    if (!_hasDom()) throw new Error('Pyodide not configured (call configureDocxCore({ loadPyodide }))');
+
+    const cfg = _root.FS_CONFIG;
+    if (_hasFn(cfg?.loadAsset)) {
+      const loadPyodide = await cfg.loadAsset('pyodide');
+      py = await loadPyodide({ indexURL: cfg.assetDir('pyodide') });
+      pyLoaded = true;
+      return py;
+    }
+
+    const src = 'https://cdn.jsdelivr.net/pyodide/v0.25.1/full/pyodide.js';
     await new Promise((res, rej) => {
-      if (window.loadPyodide) return res();
+      if (_root.loadPyodide) return res();
       const s = document.createElement('script');
-      s.src = 'https://cdn.jsdelivr.net/pyodide/v0.25.1/full/pyodide.js';
+      s.src = src;
       s.onload = res;
-      s.onerror = rej;
+      s.onerror = () => rej(new Error('Failed to load Pyodide from ' + src));
       document.head.appendChild(s);
     });
 
-    py = await window.loadPyodide();
+    py = await _root.loadPyodide();
     pyLoaded = true;
   }
   return py;
@@ -738,6 +2027,60 @@ async function _ensureContentTypes(zip, partName, contentType) {
   zip.file(_CT_PATH, _xmlSerialize(ctDoc));
 }
 
+// Override entries for parts no Default covers (the customXml/*.json
+// bookkeeping parts), so packages written here need no ct-missing repair.
+async function registerPartContentTypes(zip, partNames) {
+  const f = zip.file(_CT_PATH);
+  if (!f) return;
+  const ctDoc = _xmlParse(await f.async('string'));
+  const defaults = new Set(Array.from(ctDoc.documentElement.getElementsByTagName('Default'))
+    .map(d => String(d.getAttribute('Extension') || '').toLowerCase()));
+  let touched = false;
+  for (const name of partNames) {
+    const ext = (String(name).match(/\.([^./]+)$/) || [])[1]?.toLowerCase() || '';
+    if (!zip.file(name) || defaults.has(ext) || !_DEFAULT_EXT_TYPES[ext]) continue;
+    _ensureContentTypesOverride(ctDoc, name, _DEFAULT_EXT_TYPES[ext]);
+    touched = true;
+  }
+  if (touched) zip.file(_CT_PATH, _xmlSerialize(ctDoc));
+}
+
+const _PKG_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+// Adds a document.xml relationship (type -> target) unless present; returns its Id.
+async function _ensureDocumentRelationship(zip, type, target) {
+  return _ensurePartRelationship(zip, 'word/document.xml', type, target);
+}
+
+function _relsPathForPart(partName) {
+  const i = partName.lastIndexOf('/');
+  return `${partName.slice(0, i + 1)}_rels/${partName.slice(i + 1)}.rels`;
+}
+
+// Same for any part (word/header1.xml -> word/_rels/header1.xml.rels).
+async function _ensurePartRelationship(zip, partName, type, target) {
+  const relsPath = _relsPathForPart(partName);
+  const f = zip.file(relsPath);
+  const dom = _xmlParse(f
+    ? await f.async('string')
+    : `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="${_PKG_REL_NS}"/>`);
+  const root = dom.documentElement;
+  const rels = Array.from(root.getElementsByTagName('Relationship'));
+  const hit = rels.find(r => r.getAttribute('Type') === type && r.getAttribute('Target') === target);
+  if (hit) return hit.getAttribute('Id');
+
+  const ids = new Set(rels.map(r => r.getAttribute('Id')));
+  let n = rels.length + 1;
+  while (ids.has('rId' + n)) n++;
+  const el = dom.createElementNS(_PKG_REL_NS, 'Relationship');
+  el.setAttribute('Id', 'rId' + n);
+  el.setAttribute('Type', type);
+  el.setAttribute('Target', target);
+  root.appendChild(el);
+  zip.file(relsPath, _xmlSerialize(dom));
+  return 'rId' + n;
+}
+
 function _findChildNS(parent, ns, localName) {
   if (!parent) return null;
   for (const n of Array.from(parent.childNodes || [])) {
@@ -766,52 +2109,207 @@ function _setAttrAny(el, ns, local, qname, value) {
   catch { el.setAttribute(qname, String(value)); }
 }
 
-async function readDocVarSettings(bytesU8, key) {
-  try {
-    const zip = await _loadZip(bytesU8);
-    const f = zip.file(_SETTINGS_PATH);
-    if (!f) return null;
+// ---- docVar envelope (chunking, compression, checksum) ----
+// Word truncates document variables beyond 65,280 characters and text custom
+// properties beyond 255. Every value is written as a header in `key` and its
+// data in key_1..key_n (deflated when too long for one part or { compress: true }):
+//   FSDV1;enc=deflate-base64;chunks=3;length=130000;crc32=1a2b3c4d
+// length / crc32 describe the original string (crc32 over its UTF-8 bytes) and
+// are checked when the value is reassembled. Values without a complete header
+// (written before the envelope) are read as they are.
+const _DOCVAR_HEADER_RE = /^FSDV(\d+);/;
+const _DOCVAR_VERSION = 1;
+const _DOCVAR_CHUNK_SETTINGS = 60000;
+const _DOCVAR_CHUNK_CUSTOM = 255;
+
+let _crcTable = null;
+function _crc32(u8) {
+  if (!_crcTable) {
+    _crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      _crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < u8.length; i++) crc = _crcTable[(crc ^ u8[i]) & 0xFF] ^ (crc >>> 8);
+  return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+}
 
-    const xmlText = await f.async('string');
-    const doc = _xmlParse(xmlText);
-    const settings = doc.documentElement;
-    if (!settings) return null;
+function _base64FromU8(u8) {
+  let bin = '';
+  for (let i = 0; i < u8.length; i += 0x8000) bin += String.fromCharCode.apply(null, u8.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
 
-    const docVars = _findChildNS(settings, _DOCX_W_NS, 'docVars');
-    if (!docVars) return null;
+function _u8FromBase64(b64) {
+  const bin = atob(b64);
+  const u8 = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) u8[i] = bin.charCodeAt(i);
+  return u8;
+}
 
-    const vars = Array.from(docVars.getElementsByTagNameNS(_DOCX_W_NS, 'docVar'));
-    for (const v of vars) {
-      const name = _getAttrAny(v, _DOCX_W_NS, 'name', 'w:name');
-      if (name === key) {
-        const val = _getAttrAny(v, _DOCX_W_NS, 'val', 'w:val');
-        return (val == null) ? '' : String(val);
-      }
+function _canDeflate() {
+  return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+async function _pipeBytes(u8, transform) {
+  const stream = new Blob([u8]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function _docVarChunkName(key, i) {
+  return `${key}_${i}`;
+}
+
+function _parseDocVarHeader(value) {
+  const m = String(value ?? '').match(_DOCVAR_HEADER_RE);
+  if (!m) return null;
+  const header = { version: Number(m[1]) };
+  for (const part of String(value).slice(m[0].length).split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0) header[part.slice(0, i)] = part.slice(i + 1);
+  }
+  header.chunks = Number(header.chunks) || 0;
+  header.length = Number(header.length) || 0;
+  return header;
+}
+
+// Chunk names a previously written header points to (removed before rewriting)
+function _staleDocVarNames(key, oldHeaderValue) {
+  const header = _parseDocVarHeader(oldHeaderValue);
+  const out = [];
+  for (let i = 1; i <= (header?.chunks || 0); i++) out.push(_docVarChunkName(key, i));
+  return out;
+}
+
+// -> [[name, value], ...] to store; the first entry is always `key` itself.
+async function _encodeDocVar(key, value, { chunkSize, compress = 'auto' } = {}) {
+  const s = String(value ?? '');
+  const u8 = new TextEncoder().encode(s);
+  const deflate = _canDeflate() && (compress === true || (compress !== false && s.length > chunkSize));
+  const data = deflate ? _base64FromU8(await _pipeBytes(u8, new CompressionStream('deflate'))) : s;
+  const chunks = [];
+  for (let i = 0; i < data.length; i += chunkSize) chunks.push(data.slice(i, i + chunkSize));
+  if (!chunks.length) chunks.push('');
+
+  const header = `FSDV${_DOCVAR_VERSION};enc=${deflate ? 'deflate-base64' : 'plain'};chunks=${chunks.length};length=${s.length};crc32=${_crc32(u8)}`;
+  return [[key, header], ...chunks.map((c, i) => [_docVarChunkName(key, i + 1), c])];
+}
+
+// get(name) -> stored value or null. Values without a complete header are returned unchanged.
+async function _decodeDocVar(key, get) {
+  const head = await get(key);
+  const header = _parseDocVarHeader(head);
+  if (!header || !header.enc || !header.crc32) return head;
+  if (header.version !== _DOCVAR_VERSION) throw new Error(`docVar „${key}“: unbekannte Formatversion ${header.version}`);
+
+  let data = '';
+  for (let i = 1; i <= header.chunks; i++) {
+    const chunk = await get(_docVarChunkName(key, i));
+    if (chunk == null) throw new Error(`docVar „${key}“ unvollständig: Teil ${i} von ${header.chunks} fehlt`);
+    data += chunk;
+  }
+
+  let s;
+  if (header.enc === 'plain') s = data;
+  else if (header.enc === 'deflate-base64') {
+    if (!_canDeflate()) throw new Error(`docVar „${key}“ ist komprimiert, DecompressionStream fehlt`);
+    s = new TextDecoder().decode(await _pipeBytes(_u8FromBase64(data), new DecompressionStream('deflate')));
+  } else {
+    throw new Error(`docVar „${key}“: unbekannte Kodierung ${header.enc}`);
+  }
+
+  if (s.length !== header.length || _crc32(new TextEncoder().encode(s)) !== header.crc32) {
+    const e = new Error(`docVar „${key}“: Prüfsumme stimmt nicht (Daten beschädigt oder abgeschnitten)`);
+    e.name = 'DocVarChecksumError';
+    throw e;
+  }
+  return s;
+}
+
+// Pyodide fallbacks (one variable per call)
+async function _pyReadDocVar(fnName, bytesU8, key) {
+  try {
+    await ensurePy();
+    const fn = py?.globals?.get?.(fnName);
+    if (!fn) return null;
+    const pyBytes = py.toPy(_toU8(bytesU8));
+    let pyOut;
+    try { pyOut = fn(pyBytes, key); }
+    finally {
+      try { fn.destroy && fn.destroy(); } catch {}
+      try { pyBytes.destroy && pyBytes.destroy(); } catch {}
     }
+    const out = pyOut?.toJs ? pyOut.toJs() : pyOut;
+    try { pyOut?.destroy && pyOut.destroy(); } catch {}
+    return out;
+  } catch {
     return null;
-  } catch (jsErr) {
-    try {
-      await ensurePy();
-      const fn = py?.globals?.get?.('read_docvar_settings');
-      if (!fn) return null;
-      const buf = _toU8(bytesU8);
+  }
+}
+
+async function _pyWriteDocVars(fnName, bytesU8, entries) {
+  try {
+    await ensurePy();
+    let buf = _toU8(bytesU8);
+    for (const [name, value] of entries) {
+      const fn = py?.globals?.get?.(fnName);
+      if (!fn) return _toU8(bytesU8);
       const pyBytes = py.toPy(buf);
       let pyOut;
-      try { pyOut = fn(pyBytes, key); }
+      try { pyOut = fn(pyBytes, name, value); }
       finally {
         try { fn.destroy && fn.destroy(); } catch {}
         try { pyBytes.destroy && pyBytes.destroy(); } catch {}
       }
       const out = pyOut?.toJs ? pyOut.toJs() : pyOut;
       try { pyOut?.destroy && pyOut.destroy(); } catch {}
-      return out;
-    } catch {
-      return null;
+      buf = out instanceof Uint8Array ? out : new Uint8Array(out || []);
     }
+    return buf;
+  } catch {
+    return _toU8(bytesU8);
+  }
+}
+
+async function _readSettingsDocVars(bytesU8) {
+  const zip = await _loadZip(bytesU8);
+  const vars = new Map();
+  const f = zip.file(_SETTINGS_PATH);
+  if (!f) return vars;
+
+  const xmlText = await f.async('string');
+  const doc = _xmlParse(xmlText);
+  const settings = doc.documentElement;
+  if (!settings) return vars;
+
+  const docVars = _findChildNS(settings, _DOCX_W_NS, 'docVars');
+  if (!docVars) return vars;
+
+  for (const v of Array.from(docVars.getElementsByTagNameNS(_DOCX_W_NS, 'docVar'))) {
+    const name = _getAttrAny(v, _DOCX_W_NS, 'name', 'w:name');
+    const val = _getAttrAny(v, _DOCX_W_NS, 'val', 'w:val');
+    if (name != null && !vars.has(name)) vars.set(name, (val == null) ? '' : String(val));
+  }
+  return vars;
+}
+
+async function readDocVarSettings(bytesU8, key) {
+  let get;
+  try {
+    const vars = await _readSettingsDocVars(bytesU8);
+    get = (name) => vars.has(name) ? vars.get(name) : null;
+  } catch (jsErr) {
+    get = (name) => _pyReadDocVar('read_docvar_settings', bytesU8, name);
   }
+  return await _decodeDocVar(key, get);
 }
 
-async function writeDocVarSettings(bytesU8, key, jsonStr) {
+// options: { compress: 'auto' | true | false, chunkSize } (see docVar envelope above)
+async function writeDocVarSettings(bytesU8, key, jsonStr, options = {}) {
+  const entries = await _encodeDocVar(key, jsonStr, { chunkSize: _DOCVAR_CHUNK_SETTINGS, ...options });
   try {
     const zip = await _loadZip(bytesU8);
 
@@ -830,90 +2328,70 @@ async function writeDocVarSettings(bytesU8, key, jsonStr) {
     if (!settings) throw new Error('Failed to parse/create word/settings.xml');
 
     const docVars = _ensureChildNS(doc, settings, _DOCX_W_NS, 'w:docVars', 'docVars');
-
-    let target = null;
-    const vars = Array.from(docVars.getElementsByTagNameNS(_DOCX_W_NS, 'docVar'));
-    for (const v of vars) {
+    const byName = new Map();
+    for (const v of Array.from(docVars.getElementsByTagNameNS(_DOCX_W_NS, 'docVar'))) {
       const name = _getAttrAny(v, _DOCX_W_NS, 'name', 'w:name');
-      if (name === key) { target = v; break; }
+      if (!byName.has(name)) byName.set(name, v);
+    }
+
+    const old = byName.get(key);
+    for (const name of _staleDocVarNames(key, old && _getAttrAny(old, _DOCX_W_NS, 'val', 'w:val'))) {
+      const v = byName.get(name);
+      if (v) { docVars.removeChild(v); byName.delete(name); }
     }
-    if (!target) {
-      target = doc.createElementNS(_DOCX_W_NS, 'w:docVar');
-      _setAttrAny(target, _DOCX_W_NS, 'name', 'w:name', key);
-      docVars.appendChild(target);
+
+    for (const [name, value] of entries) {
+      let target = byName.get(name);
+      if (!target) {
+        target = doc.createElementNS(_DOCX_W_NS, 'w:docVar');
+        _setAttrAny(target, _DOCX_W_NS, 'name', 'w:name', name);
+        docVars.appendChild(target);
+      }
+      _setAttrAny(target, _DOCX_W_NS, 'val', 'w:val', value);
     }
-    _setAttrAny(target, _DOCX_W_NS, 'val', 'w:val', jsonStr);
 
     zip.file(_SETTINGS_PATH, _xmlSerialize(doc));
     await _ensureContentTypes(zip, _SETTINGS_PATH, 'application/vnd.openxmlformats-officedocument.wordprocessingml.settings+xml');
     return await _zipToU8(zip);
   } catch (jsErr) {
-    try {
-      await ensurePy();
-      const fn = py?.globals?.get?.('write_docvar_settings');
-      if (!fn) return _toU8(bytesU8);
-      const buf = _toU8(bytesU8);
-      const pyBytes = py.toPy(buf);
-      let pyOut;
-      try { pyOut = fn(pyBytes, key, jsonStr); }
-      finally {
-        try { fn.destroy && fn.destroy(); } catch {}
-        try { pyBytes.destroy && pyBytes.destroy(); } catch {}
-      }
-      const out = pyOut?.toJs ? pyOut.toJs() : pyOut;
-      try { pyOut?.destroy && pyOut.destroy(); } catch {}
-      return out instanceof Uint8Array ? out : new Uint8Array(out || []);
-    } catch {
-      return _toU8(bytesU8);
-    }
+    return await _pyWriteDocVars('write_docvar_settings', bytesU8, entries);
   }
 }
 
 // Custom properties (docProps/custom.xml) as a secondary channel
-async function readDocVarCustom(bytesU8, key) {
-  try {
-    const zip = await _loadZip(bytesU8);
-    const f = zip.file(_CUSTOMPROPS_PATH);
-    if (!f) return null;
-
-    const xmlText = await f.async('string');
-    const doc = _xmlParse(xmlText);
-    const props = doc.documentElement;
-    if (!props) return null;
+async function _readCustomProps(bytesU8) {
+  const zip = await _loadZip(bytesU8);
+  const vars = new Map();
+  const f = zip.file(_CUSTOMPROPS_PATH);
+  if (!f) return vars;
 
-    const nodes = Array.from(props.getElementsByTagNameNS(_CP_NS, 'property'));
-    for (const p of nodes) {
-      const name = p.getAttribute('name') || '';
-      if (name !== key) continue;
+  const xmlText = await f.async('string');
+  const doc = _xmlParse(xmlText);
+  const props = doc.documentElement;
+  if (!props) return vars;
+
+  for (const p of Array.from(props.getElementsByTagNameNS(_CP_NS, 'property'))) {
+    const name = p.getAttribute('name') || '';
+    if (vars.has(name)) continue;
+    const vtChild = Array.from(p.childNodes || []).find(n => n.nodeType === 1 && n.namespaceURI === _VT_NS);
+    vars.set(name, vtChild ? String(vtChild.textContent || '') : '');
+  }
+  return vars;
+}
 
-      const vtChild = Array.from(p.childNodes || []).find(n => n.nodeType === 1 && n.namespaceURI === _VT_NS);
-      if (!vtChild) return '';
-      return String(vtChild.textContent || '');
-    }
-    return null;
+async function readDocVarCustom(bytesU8, key) {
+  let get;
+  try {
+    const vars = await _readCustomProps(bytesU8);
+    get = (name) => vars.has(name) ? vars.get(name) : null;
   } catch (jsErr) {
-    try {
-      await ensurePy();
-      const fn = py?.globals?.get?.('read_docvar_custom');
-      if (!fn) return null;
-      const buf = _toU8(bytesU8);
-      const pyBytes = py.toPy(buf);
-      let pyOut;
-      try { pyOut = fn(pyBytes, key); }
-      finally {
-        try { fn.destroy && fn.destroy(); } catch {}
-        try { pyBytes.destroy && pyBytes.destroy(); } catch {}
-      }
-      const out = pyOut?.toJs ? pyOut.toJs() : pyOut;
-      try { pyOut?.destroy && pyOut.destroy(); } catch {}
-      return out;
-    } catch {
-      return null;
-    }
+    get = (name) => _pyReadDocVar('read_docvar_custom', bytesU8, name);
   }
+  return await _decodeDocVar(key, get);
 }
 
-async function writeDocVarCustom(bytesU8, key, jsonStr) {
+async function writeDocVarCustom(bytesU8, key, jsonStr, options = {}) {
+  const entries = await _encodeDocVar(key, jsonStr, { chunkSize: _DOCVAR_CHUNK_CUSTOM, ...options });
   try {
     const zip = await _loadZip(bytesU8);
 
@@ -931,64 +2409,95 @@ async function writeDocVarCustom(bytesU8, key, jsonStr) {
     const props = doc.documentElement;
     if (!props) throw new Error('Failed to parse/create docProps/custom.xml');
 
-    let prop = null;
     const nodes = Array.from(props.getElementsByTagNameNS(_CP_NS, 'property'));
+    const byName = new Map();
     for (const p of nodes) {
-      if ((p.getAttribute('name') || '') === key) { prop = p; break; }
+      const name = p.getAttribute('name') || '';
+      if (!byName.has(name)) byName.set(name, p);
     }
 
-    const nextPid = () => {
-      const pids = nodes.map(p => Number(p.getAttribute('pid'))).filter(Number.isFinite);
-      const max = pids.length ? Math.max(...pids) : 1;
-      return max + 1;
-    };
-
-    if (!prop) {
-      prop = doc.createElementNS(_CP_NS, 'cp:property');
-      prop.setAttribute('fmtid', '{D5CDD505-2E9C-101B-9397-08002B2CF9AE}');
-      prop.setAttribute('pid', String(nextPid()));
-      prop.setAttribute('name', key);
-      props.appendChild(prop);
-    } else {
-      while (prop.firstChild) prop.removeChild(prop.firstChild);
+    const old = byName.get(key);
+    for (const name of _staleDocVarNames(key, old && old.textContent)) {
+      const p = byName.get(name);
+      if (p) { props.removeChild(p); byName.delete(name); }
     }
 
-    const v = doc.createElementNS(_VT_NS, 'vt:lpwstr');
-    v.textContent = String(jsonStr ?? '');
-    prop.appendChild(v);
+    const pids = nodes.map(p => Number(p.getAttribute('pid'))).filter(Number.isFinite);
+    let pid = pids.length ? Math.max(...pids) : 1;
+
+    for (const [name, value] of entries) {
+      let prop = byName.get(name);
+      if (!prop) {
+        prop = doc.createElementNS(_CP_NS, 'cp:property');
+        prop.setAttribute('fmtid', '{D5CDD505-2E9C-101B-9397-08002B2CF9AE}');
+        prop.setAttribute('pid', String(++pid));
+        prop.setAttribute('name', name);
+        props.appendChild(prop);
+      } else {
+        while (prop.firstChild) prop.removeChild(prop.firstChild);
+      }
+
+      const v = doc.createElementNS(_VT_NS, 'vt:lpwstr');
+      v.textContent = String(value ?? '');
+      prop.appendChild(v);
+    }
 
     zip.file(_CUSTOMPROPS_PATH, _xmlSerialize(doc));
     await _ensureContentTypes(zip, _CUSTOMPROPS_PATH, 'application/vnd.openxmlformats-officedocument.custom-properties+xml');
     return await _zipToU8(zip);
   } catch (jsErr) {
-    try {
-      await ensurePy();
-      const fn = py?.globals?.get?.('write_docvar_custom');
-      if (!fn) return _toU8(bytesU8);
-      const buf = _toU8(bytesU8);
-      const pyBytes = py.toPy(buf);
-      let pyOut;
-      try { pyOut = fn(pyBytes, key, jsonStr); }
-      finally {
-        try { fn.destroy && fn.destroy(); } catch {}
-        try { pyBytes.destroy && pyBytes.destroy(); } catch {}
-      }
-      const out = pyOut?.toJs ? pyOut.toJs() : pyOut;
-      try { pyOut?.destroy && pyOut.destroy(); } catch {}
-      return out instanceof Uint8Array ? out : new Uint8Array(out || []);
-    } catch {
-      return _toU8(bytesU8);
-    }
+    return await _pyWriteDocVars('write_docvar_custom', bytesU8, entries);
   }
 }
 
 // Auto writer: prefer settings.docVars, fall back to custom props
-async function writeDocVar(bytesU8, key, jsonStr) {
+async function writeDocVar(bytesU8, key, jsonStr, options = {}) {
   try {
-    return await writeDocVarSettings(bytesU8, key, jsonStr);
+    return await writeDocVarSettings(bytesU8, key, jsonStr, options);
   } catch {
-    return await writeDocVarCustom(bytesU8, key, jsonStr);
+    return await writeDocVarCustom(bytesU8, key, jsonStr, options);
+  }
+}
+
+// Removes `key` (and its chunks) from settings.docVars and the custom properties,
+// e.g. the payload on a final export. Returns the input bytes when nothing was stored.
+async function deleteDocVar(bytesU8, key) {
+  const zip = await _loadZip(bytesU8);
+  let touched = false;
+
+  const sf = zip.file(_SETTINGS_PATH);
+  if (sf) {
+    const doc = _xmlParse(await sf.async('string'));
+    const docVars = _findChildNS(doc.documentElement, _DOCX_W_NS, 'docVars');
+    const vars = docVars ? Array.from(docVars.getElementsByTagNameNS(_DOCX_W_NS, 'docVar')) : [];
+    const nameOf = (v) => _getAttrAny(v, _DOCX_W_NS, 'name', 'w:name');
+    const head = vars.find(v => nameOf(v) === key);
+    const names = new Set([key, ..._staleDocVarNames(key, head && _getAttrAny(head, _DOCX_W_NS, 'val', 'w:val'))]);
+    for (const v of vars) {
+      if (names.has(nameOf(v))) { docVars.removeChild(v); touched = true; }
+    }
+    // An empty w:docVars is not schema-valid
+    if (docVars && !_childElements(docVars).length) docVars.parentNode.removeChild(docVars);
+    if (touched) zip.file(_SETTINGS_PATH, _xmlSerialize(doc));
+  }
+
+  const cf = zip.file(_CUSTOMPROPS_PATH);
+  if (cf) {
+    const doc = _xmlParse(await cf.async('string'));
+    const props = Array.from(doc.documentElement.getElementsByTagNameNS(_CP_NS, 'property'));
+    const head = props.find(p => p.getAttribute('name') === key);
+    const names = new Set([key, ..._staleDocVarNames(key, head && head.textContent)]);
+    let customTouched = false;
+    for (const p of props) {
+      if (names.has(p.getAttribute('name'))) { p.parentNode.removeChild(p); customTouched = true; }
+    }
+    if (customTouched) {
+      zip.file(_CUSTOMPROPS_PATH, _xmlSerialize(doc));
+      touched = true;
+    }
   }
+
+  return touched ? await _zipToU8(zip) : _toU8(bytesU8);
 }
 
 function _nodeLocalName(node) {
@@ -1029,7 +2538,157 @@ function _createTextParagraph(doc, text) {
   p.appendChild(r);
   return p;
 }
-function _appendTextCell(doc, tr, text, widthTwips, header = false) {
+// ------------------------------
+// Table bindings: column layout and value formatting
+// ------------------------------
+// Column props (from the builder table designer):
+//   width   share of the text width in % (30, '30%') or an absolute '4cm' / '25mm'
+//   align   'left' | 'center' | 'right' (numeric formats default to right)
+//   format  'text' | 'number' | 'currency' | 'percent' | 'date'
+//           (default derived from type / calc.mode)
+//   calc    { mode, decimals } - decimals are reused for number formatting;
+//           'sum' columns get a totals row
+// Table props: field.tableStyle (styleId or name in the template's styles.xml).
+const _TABLE_DEFAULT_TEXT_WIDTH = 9000;
+const _TABLE_FORMATS = ['text', 'number', 'currency', 'percent', 'date'];
+const _TABLE_NUMERIC_FORMATS = ['number', 'currency', 'percent'];
+const _TABLE_TOTAL_LABEL = 'Summe';
+
+function _tableColumnFormat(col) {
+  const f = String(col?.format || '').trim().toLowerCase();
+  if (_TABLE_FORMATS.includes(f)) return f;
+  if (String(col?.calc?.mode || '') === 'percent') return 'percent';
+  const t = String(col?.type || '');
+  if (t === 'number') return 'number';
+  if (t === 'date') return 'date';
+  return 'text';
+}
+
+function _tableColumnDecimals(col, format) {
+  const raw = col?.calc?.decimals ?? col?.decimals;
+  const n = (raw == null || raw === '') ? NaN : parseInt(raw, 10);
+  if (Number.isFinite(n)) return Math.max(0, Math.min(6, n));
+  if (format === 'currency') return 2;
+  if (format === 'percent') return 1;
+  return null;
+}
+
+function _tableColumnAlign(col, format) {
+  const a = String(col?.align || '').trim().toLowerCase();
+  if (a === 'left' || a === 'center' || a === 'right') return a;
+  return _TABLE_NUMERIC_FORMATS.includes(format) ? 'right' : null;
+}
+
+function _isTotalColumn(col) {
+  return String(col?.calc?.mode || '') === 'sum' || col?.total === true;
+}
+
+// Accepts numbers and the strings the form stores ('12.5', '12,5', '12.5%', '1.234,50 €').
+function _parseTableNumber(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  let s = String(value).replace(/[\s %€]/g, '');
+  if (!s || !/^[-+]?[\d.,]+$/.test(s)) return null;
+  const lastComma = s.lastIndexOf(',');
+  const lastDot = s.lastIndexOf('.');
+  if (lastComma >= 0 && lastDot >= 0) {
+    s = lastComma > lastDot ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+  } else if (lastComma >= 0) {
+    s = s.replace(',', '.');
+  }
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+function _formatTableNumber(n, decimals) {
+  const opts = decimals == null
+    ? { maximumFractionDigits: 6 }
+    : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+  try { return n.toLocaleString('de-DE', opts); }
+  catch { return decimals == null ? String(n) : n.toFixed(decimals); }
+}
+
+function _formatTableDate(value) {
+  const s = String(value == null ? '' : value).trim();
+  const m = s.match(/^(\d{4})-(\d{2})-(\d{2})(?:$|T)/);
+  return m ? `${m[3]}.${m[2]}.${m[1]}` : s;
+}
+
+function _formatTableValue(col, format, value) {
+  if (format === 'date') return _formatTableDate(value);
+  if (!_TABLE_NUMERIC_FORMATS.includes(format)) return _coerceTableCellDisplay(col, value);
+  const n = _parseTableNumber(value);
+  if (n == null) return _coerceTableCellDisplay(col, value);
+  const s = _formatTableNumber(n, _tableColumnDecimals(col, format));
+  if (format === 'currency') return `${s} ${String(col?.currency || '€')}`;
+  if (format === 'percent') return `${s} %`;
+  return s;
+}
+
+// Requested width in twips, or null when the column shares the remaining width.
+function _tableColumnWidthTwips(col, textWidth) {
+  const raw = col?.width;
+  if (raw == null || raw === '') return null;
+  if (typeof raw === 'number') return raw > 0 && raw <= 100 ? textWidth * raw / 100 : null;
+  const m = String(raw).trim().toLowerCase().match(/^(\d+(?:[.,]\d+)?)\s*(%|cm|mm)?$/);
+  if (!m) return null;
+  const n = Number(m[1].replace(',', '.'));
+  if (!(n > 0)) return null;
+  if (m[2] === 'cm') return n * 567;
+  if (m[2] === 'mm') return n * 56.7;
+  return n <= 100 ? textWidth * n / 100 : null;
+}
+
+function _tableColumnWidths(columns, textWidth) {
+  const count = Math.max(1, columns.length);
+  const wanted = columns.map(col => _tableColumnWidthTwips(col, textWidth));
+  const fixed = wanted.reduce((sum, w) => sum + (w || 0), 0);
+  const autoCount = wanted.filter(w => w == null).length;
+  const rest = textWidth - fixed;
+  const autoShare = autoCount ? (rest > autoCount * 360 ? rest / autoCount : textWidth / count) : 0;
+  let widths = columns.length ? wanted.map(w => (w == null ? autoShare : w)) : [textWidth];
+  const total = widths.reduce((a, b) => a + b, 0);
+  if (total > textWidth) widths = widths.map(w => w * textWidth / total);
+  return { widths: widths.map(w => Math.max(1, Math.floor(w))), explicit: wanted.some(w => w != null) };
+}
+
+// Text width of the document's last section (page width minus margins).
+function _sectionTextWidth(doc) {
+  const body = doc ? _firstNS(doc, 'body') : null;
+  const sectPr = body ? _findChildNS(body, _DOCX_W_NS, 'sectPr') : null;
+  const pgSz = sectPr ? _findChildNS(sectPr, _DOCX_W_NS, 'pgSz') : null;
+  const pgMar = sectPr ? _findChildNS(sectPr, _DOCX_W_NS, 'pgMar') : null;
+  if (!pgSz || !pgMar) return _TABLE_DEFAULT_TEXT_WIDTH;
+  const w = Number(_getAttr(pgSz, 'w:w'));
+  const left = Number(_getAttr(pgMar, 'w:left') ?? _getAttr(pgMar, 'w:start') ?? 0);
+  const right = Number(_getAttr(pgMar, 'w:right') ?? _getAttr(pgMar, 'w:end') ?? 0);
+  const text = w - left - right;
+  return Number.isFinite(text) && text > 720 ? text : _TABLE_DEFAULT_TEXT_WIDTH;
+}
+
+// Table styles of styles.xml, addressable by styleId and by (case-insensitive) name.
+function _collectTableStyles(stylesDom) {
+  const out = new Map();
+  if (!stylesDom) return out;
+  for (const st of Array.from(stylesDom.getElementsByTagNameNS(_DOCX_W_NS, 'style') || [])) {
+    if (_getAttr(st, 'w:type') !== 'table') continue;
+    const id = _getAttr(st, 'w:styleId');
+    if (!id) continue;
+    out.set(id, id);
+    const nameEl = _firstNS(st, 'name');
+    const name = nameEl ? String(_getAttr(nameEl, 'w:val') || '').trim().toLowerCase() : '';
+    if (name && !out.has(name)) out.set(name, id);
+  }
+  return out;
+}
+
+function _resolveTableStyle(requested, tableStyles) {
+  const s = String(requested || '').trim();
+  if (!s || !tableStyles) return null;
+  return tableStyles.get(s) || tableStyles.get(s.toLowerCase()) || null;
+}
+
+function _appendTextCell(doc, tr, text, widthTwips, header = false, opts = {}) {
   const tc = doc.createElementNS(_DOCX_W_NS, 'w:tc');
   const tcPr = doc.createElementNS(_DOCX_W_NS, 'w:tcPr');
   if (widthTwips && Number.isFinite(widthTwips) && widthTwips > 0) {
@@ -1038,14 +2697,29 @@ function _appendTextCell(doc, tr, text, widthTwips, header = false) {
     tcW.setAttributeNS(_DOCX_W_NS, 'w:type', 'dxa');
     tcPr.appendChild(tcW);
   }
-  if (header) {
+  if (header && opts.shade !== false) {
     const shd = doc.createElementNS(_DOCX_W_NS, 'w:shd');
     shd.setAttributeNS(_DOCX_W_NS, 'w:val', 'clear');
     shd.setAttributeNS(_DOCX_W_NS, 'w:fill', 'EDEDED');
     tcPr.appendChild(shd);
   }
   tc.appendChild(tcPr);
-  tc.appendChild(_createTextParagraph(doc, text));
+
+  const p = _createTextParagraph(doc, text);
+  if (opts.align) {
+    const pPr = doc.createElementNS(_DOCX_W_NS, 'w:pPr');
+    const jc = doc.createElementNS(_DOCX_W_NS, 'w:jc');
+    jc.setAttributeNS(_DOCX_W_NS, 'w:val', opts.align);
+    pPr.appendChild(jc);
+    p.insertBefore(pPr, p.firstChild);
+  }
+  if (opts.bold) {
+    const r = _firstNS(p, 'r');
+    const rPr = doc.createElementNS(_DOCX_W_NS, 'w:rPr');
+    rPr.appendChild(doc.createElementNS(_DOCX_W_NS, 'w:b'));
+    r.insertBefore(rPr, r.firstChild);
+  }
+  tc.appendChild(p);
   tr.appendChild(tc);
 }
 function _coerceTableCellDisplay(col, value) {
@@ -1056,7 +2730,8 @@ function _coerceTableCellDisplay(col, value) {
   }
   return String(value == null ? '' : value);
 }
-function _buildWordTableElement(doc, tableBinding) {
+// ctx (optional): { textWidth, tableStyles } as collected by writeStructuredSDTs.
+function _buildWordTableElement(doc, tableBinding, ctx = {}) {
   const tbl = doc.createElementNS(_DOCX_W_NS, 'w:tbl');
 
   const columns = Array.isArray(tableBinding?.field?.columns)
@@ -1064,44 +2739,68 @@ function _buildWordTableElement(doc, tableBinding) {
     : [];
   const rows = Array.isArray(tableBinding?.rows) ? tableBinding.rows : [];
   const totalCols = Math.max(1, columns.length || 1);
-  const widthPerCol = Math.floor(9000 / totalCols);
+  const textWidth = Number(ctx.textWidth) > 0 ? Number(ctx.textWidth) : _TABLE_DEFAULT_TEXT_WIDTH;
+  const { widths, explicit } = _tableColumnWidths(columns, textWidth);
+  const formats = columns.map(_tableColumnFormat);
+  const aligns = columns.map((col, i) => _tableColumnAlign(col, formats[i]));
+  const withTotals = rows.length > 0 && columns.some(_isTotalColumn);
+
+  const requestedStyle = tableBinding?.tableStyle ?? tableBinding?.field?.tableStyle;
+  const templateStyle = _resolveTableStyle(requestedStyle, ctx.tableStyles);
+  if (requestedStyle && !templateStyle) {
+    try { console.warn(`[DOCX] writeStructuredSDTs: table style "${requestedStyle}" not in styles.xml; using TableGrid.`); } catch {}
+  }
 
   const tblPr = doc.createElementNS(_DOCX_W_NS, 'w:tblPr');
   const tblStyle = doc.createElementNS(_DOCX_W_NS, 'w:tblStyle');
-  tblStyle.setAttributeNS(_DOCX_W_NS, 'w:val', 'TableGrid');
+  tblStyle.setAttributeNS(_DOCX_W_NS, 'w:val', templateStyle || 'TableGrid');
   tblPr.appendChild(tblStyle);
 
   const tblW = doc.createElementNS(_DOCX_W_NS, 'w:tblW');
-  tblW.setAttributeNS(_DOCX_W_NS, 'w:w', '0');
-  tblW.setAttributeNS(_DOCX_W_NS, 'w:type', 'auto');
+  if (explicit) {
+    tblW.setAttributeNS(_DOCX_W_NS, 'w:w', String(widths.reduce((a, b) => a + b, 0)));
+    tblW.setAttributeNS(_DOCX_W_NS, 'w:type', 'dxa');
+  } else {
+    tblW.setAttributeNS(_DOCX_W_NS, 'w:w', '0');
+    tblW.setAttributeNS(_DOCX_W_NS, 'w:type', 'auto');
+  }
   tblPr.appendChild(tblW);
 
-  const borders = doc.createElementNS(_DOCX_W_NS, 'w:tblBorders');
-  for (const edge of ['top', 'left', 'bottom', 'right', 'insideH', 'insideV']) {
-    const el = doc.createElementNS(_DOCX_W_NS, `w:${edge}`);
-    el.setAttributeNS(_DOCX_W_NS, 'w:val', 'single');
-    el.setAttributeNS(_DOCX_W_NS, 'w:sz', '4');
-    el.setAttributeNS(_DOCX_W_NS, 'w:space', '0');
-    el.setAttributeNS(_DOCX_W_NS, 'w:color', 'auto');
-    borders.appendChild(el);
+  // A template style brings its own borders / header look.
+  if (!templateStyle) {
+    const borders = doc.createElementNS(_DOCX_W_NS, 'w:tblBorders');
+    for (const edge of ['top', 'left', 'bottom', 'right', 'insideH', 'insideV']) {
+      const el = doc.createElementNS(_DOCX_W_NS, `w:${edge}`);
+      el.setAttributeNS(_DOCX_W_NS, 'w:val', 'single');
+      el.setAttributeNS(_DOCX_W_NS, 'w:sz', '4');
+      el.setAttributeNS(_DOCX_W_NS, 'w:space', '0');
+      el.setAttributeNS(_DOCX_W_NS, 'w:color', 'auto');
+      borders.appendChild(el);
+    }
+    tblPr.appendChild(borders);
+  }
+
+  if (explicit) {
+    const layout = doc.createElementNS(_DOCX_W_NS, 'w:tblLayout');
+    layout.setAttributeNS(_DOCX_W_NS, 'w:type', 'fixed');
+    tblPr.appendChild(layout);
   }
-  tblPr.appendChild(borders);
 
   const look = doc.createElementNS(_DOCX_W_NS, 'w:tblLook');
   look.setAttributeNS(_DOCX_W_NS, 'w:firstRow', '1');
-  look.setAttributeNS(_DOCX_W_NS, 'w:lastRow', '0');
+  look.setAttributeNS(_DOCX_W_NS, 'w:lastRow', withTotals ? '1' : '0');
   look.setAttributeNS(_DOCX_W_NS, 'w:firstColumn', '0');
   look.setAttributeNS(_DOCX_W_NS, 'w:lastColumn', '0');
   look.setAttributeNS(_DOCX_W_NS, 'w:noHBand', '0');
   look.setAttributeNS(_DOCX_W_NS, 'w:noVBand', '1');
-  look.setAttributeNS(_DOCX_W_NS, 'w:val', '04A0');
+  look.setAttributeNS(_DOCX_W_NS, 'w:val', withTotals ? '04E0' : '04A0');
   tblPr.appendChild(look);
   tbl.appendChild(tblPr);
 
   const tblGrid = doc.createElementNS(_DOCX_W_NS, 'w:tblGrid');
   for (let i = 0; i < totalCols; i++) {
     const gc = doc.createElementNS(_DOCX_W_NS, 'w:gridCol');
-    gc.setAttributeNS(_DOCX_W_NS, 'w:w', String(widthPerCol));
+    gc.setAttributeNS(_DOCX_W_NS, 'w:w', String(widths[i] || widths[0]));
     tblGrid.appendChild(gc);
   }
   tbl.appendChild(tblGrid);
@@ -1112,21 +2811,44 @@ function _buildWordTableElement(doc, tableBinding) {
     const hdr = doc.createElementNS(_DOCX_W_NS, 'w:tblHeader');
     trPr.appendChild(hdr);
     tr.appendChild(trPr);
-    columns.forEach(col => _appendTextCell(doc, tr, col.label || col.id || '', widthPerCol, true));
+    columns.forEach((col, i) => _appendTextCell(doc, tr, col.label || col.id || '', widths[i], true, {
+      align: aligns[i],
+      shade: !templateStyle
+    }));
     tbl.appendChild(tr);
   }
 
   if (rows.length && columns.length) {
     rows.forEach(rowObj => {
       const tr = doc.createElementNS(_DOCX_W_NS, 'w:tr');
-      columns.forEach(col => {
-        _appendTextCell(doc, tr, _coerceTableCellDisplay(col, rowObj?.[col.id]), widthPerCol, false);
+      columns.forEach((col, i) => {
+        _appendTextCell(doc, tr, _formatTableValue(col, formats[i], rowObj?.[col.id]), widths[i], false, { align: aligns[i] });
       });
       tbl.appendChild(tr);
     });
   } else if (!columns.length) {
     const tr = doc.createElementNS(_DOCX_W_NS, 'w:tr');
-    _appendTextCell(doc, tr, '', widthPerCol, false);
+    _appendTextCell(doc, tr, '', widths[0], false);
+    tbl.appendChild(tr);
+  }
+
+  if (withTotals) {
+    const tr = doc.createElementNS(_DOCX_W_NS, 'w:tr');
+    columns.forEach((col, i) => {
+      let text = '';
+      if (_isTotalColumn(col)) {
+        let sum = 0;
+        for (const rowObj of rows) sum += _parseTableNumber(rowObj?.[col.id]) || 0;
+        const format = _TABLE_NUMERIC_FORMATS.includes(formats[i]) ? formats[i] : 'number';
+        text = _formatTableValue(col, format, sum);
+      } else if (i === 0) {
+        text = _TABLE_TOTAL_LABEL;
+      }
+      _appendTextCell(doc, tr, text, widths[i], false, {
+        align: _isTotalColumn(col) ? (aligns[i] || 'right') : aligns[i],
+        bold: !templateStyle
+      });
+    });
     tbl.appendChild(tr);
   }
 
@@ -1162,6 +2884,133 @@ function _normStructuredTag(s) {
   if (m) s = m[1];
   return s.replace(/\s+/g, ' ').trim().toLowerCase();
 }
+// ------------------------------
+// Template tables (fill a designed table instead of generating one)
+// ------------------------------
+// binding.mode: 'fill' | 'generate' | default: fill when the SDT wraps a table
+// (or is a repeating section) with a prototype row whose nested SDTs are tagged
+// with a column id or label (also '<tableTag>.<colId>'), otherwise generate.
+// A repeating section (w15:repeatingSection) repeats its first item per row.
+const _W15_NS = 'http://schemas.microsoft.com/office/word/2012/wordml';
+
+function _isRepeatingSection(sdt) {
+  const pr = _findChildNS(sdt, _DOCX_W_NS, 'sdtPr');
+  return !!(pr && _findChildNS(pr, _W15_NS, 'repeatingSection'));
+}
+
+function _columnTagResolver(tableTag, columns) {
+  const prefix = _normStructuredTag(tableTag);
+  const byKey = new Map();
+  for (const col of columns) {
+    for (const k of [col.id, col.label].map(_normStructuredTag).filter(Boolean)) {
+      for (const key of [`${prefix}.${k}`, `${prefix}:${k}`, k]) {
+        if (!byKey.has(key)) byKey.set(key, col);
+      }
+    }
+  }
+  return (tag) => byKey.get(_normStructuredTag(tag)) || null;
+}
+
+// Nested SDTs of a row / repeating item that map to a column: [{ sdt, col }]
+function _boundCellSdts(unit, resolveCol) {
+  const out = [];
+  for (const sdt of Array.from(unit.getElementsByTagNameNS(_DOCX_W_NS, 'sdt') || [])) {
+    const col = resolveCol(_findSdtTagValue(sdt));
+    if (col) out.push({ sdt, col });
+  }
+  return out;
+}
+
+// Repeatable units of a template SDT: the items of a repeating section, or the
+// rows of the wrapped table (descending into row-level repeating sections).
+function _templateUnits(sdt) {
+  const content = _findChildNS(sdt, _DOCX_W_NS, 'sdtContent');
+  if (!content) return [];
+  if (_isRepeatingSection(sdt)) return _directChildrenNS(content, 'sdt');
+
+  let container = content;
+  if (!_directChildrenNS(content, 'tr').length) {
+    container = _firstNS(content, 'tbl');
+    if (!container) return [];
+  }
+  const units = [];
+  for (const el of _childElements(container)) {
+    const name = _nodeLocalName(el);
+    if (name === 'tr') units.push(el);
+    else if (name === 'sdt' && _isRepeatingSection(el)) units.push(..._templateUnits(el));
+  }
+  return units;
+}
+
+// Clones must not repeat the prototype's SDT ids / paragraph ids.
+function _stripCloneIds(unit) {
+  const prs = Array.from(unit.getElementsByTagNameNS(_DOCX_W_NS, 'sdtPr') || []);
+  if (_nodeLocalName(unit) === 'sdt') prs.push(_findChildNS(unit, _DOCX_W_NS, 'sdtPr'));
+  for (const pr of prs.filter(Boolean)) {
+    const id = _findChildNS(pr, _DOCX_W_NS, 'id');
+    if (id) pr.removeChild(id);
+  }
+  for (const p of Array.from(unit.getElementsByTagNameNS(_DOCX_W_NS, 'p') || [])) {
+    p.removeAttributeNS(_W14_NS, 'paraId');
+    p.removeAttributeNS(_W14_NS, 'textId');
+  }
+}
+
+// Clone the prototype unit once per data row and fill its column SDTs.
+// Everything else (header rows, styling, fixed cells, totals rows) is kept.
+// Returns false when the SDT holds no unit with column SDTs.
+// resolveCol overrides the tag -> column mapping; with wholeUnit a repeating
+// item without nested SDTs is filled itself (first column).
+function _fillTemplateTable(doc, sdt, binding, tableTag, resolveCol = null, wholeUnit = false) {
+  const columns = Array.isArray(binding?.field?.columns)
+    ? binding.field.columns.filter(c => c && String(c.id || '').trim())
+    : [];
+  if (!columns.length) return false;
+
+  const resolve = resolveCol || _columnTagResolver(tableTag, columns);
+  const cellsOf = (unit) => {
+    const cells = _boundCellSdts(unit, resolve);
+    if (cells.length || !wholeUnit || _nodeLocalName(unit) !== 'sdt') return cells;
+    return [{ sdt: unit, col: columns[0] }];
+  };
+  const bound = _templateUnits(sdt).filter(u => cellsOf(u).length);
+  if (!bound.length) return false;
+
+  const proto = bound[0];
+  const template = proto.cloneNode(true);
+  const formats = new Map(columns.map(col => [col, _tableColumnFormat(col)]));
+  const rows = Array.isArray(binding?.rows) ? binding.rows : [];
+
+  // No data: keep a single empty row so the table (and the control) stays usable
+  (rows.length ? rows : [null]).forEach((rowObj, i) => {
+    const unit = template.cloneNode(true);
+    if (i > 0) _stripCloneIds(unit);
+    for (const { sdt: cell, col } of cellsOf(unit)) {
+      _fillSdtText(doc, cell, rowObj ? _formatTableValue(col, formats.get(col), rowObj[col.id]) : '');
+    }
+    proto.parentNode.insertBefore(unit, proto);
+  });
+  for (const u of bound) u.parentNode.removeChild(u);
+
+  const sdtPr = _findChildNS(sdt, _DOCX_W_NS, 'sdtPr');
+  const plc = _findChildNS(sdtPr, _DOCX_W_NS, 'showingPlcHdr');
+  if (plc) sdtPr.removeChild(plc);
+  return true;
+}
+
+// List bindings ({ kind: 'list', items: [...] }) expand a repeating section:
+// one item per value, written into the item's nested SDTs (or the item itself).
+function _fillRepeatingList(doc, sdt, binding) {
+  if (!_isRepeatingSection(sdt)) return false;
+  const col = { id: 'value', type: 'text', format: String(binding?.format || '') };
+  const items = Array.isArray(binding?.items) ? binding.items : [];
+  const asTable = { field: { columns: [col] }, rows: items.map(v => ({ value: v })) };
+  return _fillTemplateTable(doc, sdt, asTable, '', () => col, true);
+}
+
+// structuredBindings: { [tag]: binding } for the controls of every story part.
+// binding.kind 'table' (see template tables above), 'list' (repeating section,
+// one item per value) or 'richtext' ({ text }, markdown subset, see below).
 async function writeStructuredSDTs(bytesU8, structuredBindings) {
   const bindings = (structuredBindings && typeof structuredBindings === 'object') ? structuredBindings : {};
   if (!Object.keys(bindings).length) return _toU8(bytesU8);
@@ -1173,9 +3022,23 @@ async function writeStructuredSDTs(bytesU8, structuredBindings) {
   }
 
   const zip = await _loadZip(bytesU8);
-  const partNames = Object.keys(zip.files || {}).filter(name => /^word\/(document|header\d+|footer\d+)\.xml$/i.test(name));
+  const partNames = _storyPartNames(zip);
   let touched = false;
 
+  // Layout context shared by all parts: body text width and the template's table styles.
+  const tableCtx = { textWidth: _TABLE_DEFAULT_TEXT_WIDTH, tableStyles: new Map() };
+  try {
+    const docXml = await zip.file('word/document.xml')?.async('string');
+    if (docXml) tableCtx.textWidth = _sectionTextWidth(_xmlParse(docXml));
+  } catch {}
+  try {
+    const stylesXml = await zip.file('word/styles.xml')?.async('string');
+    if (stylesXml) tableCtx.tableStyles = _collectTableStyles(_xmlParse(stylesXml));
+  } catch {}
+  const numCtx = Object.values(bindings).some(b => String(b?.kind || '') === 'richtext')
+    ? await _loadNumberingCtx(zip)
+    : null;
+
   for (const partName of partNames) {
     const f = zip.file(partName);
     if (!f) continue;
@@ -1191,15 +3054,34 @@ async function writeStructuredSDTs(bytesU8, structuredBindings) {
     let partTouched = false;
 
     for (const sdt of sdts) {
+      if (!_isAttached(sdt, doc)) continue;
       const tag = _findSdtTagValue(sdt);
       if (!tag) continue;
       const binding = Object.prototype.hasOwnProperty.call(bindings, tag)
         ? bindings[tag]
         : normalizedBindings.get(_normStructuredTag(tag));
       if (!binding) continue;
-      if (!binding || String(binding.kind || '') !== 'table') continue;
+      if (String(binding.kind || '') === 'list') {
+        if (_fillRepeatingList(doc, sdt, binding)) partTouched = true;
+        continue;
+      }
+      if (String(binding.kind || '') === 'richtext') {
+        if (_fillRichTextSdt(doc, sdt, binding.text, numCtx)) partTouched = true;
+        continue;
+      }
+      if (String(binding.kind || '') !== 'table') continue;
+
+      const mode = String(binding.mode || '').toLowerCase();
+      if (mode !== 'generate' && _fillTemplateTable(doc, sdt, binding, tag)) {
+        partTouched = true;
+        continue;
+      }
+      if (mode === 'fill') {
+        try { console.warn(`[DOCX] writeStructuredSDTs: "${tag}" has no prototype row with column SDTs; left unchanged.`); } catch {}
+        continue;
+      }
 
-      const tbl = _buildWordTableElement(doc, binding);
+      const tbl = _buildWordTableElement(doc, binding, tableCtx);
       if (_replaceSdtWithBlock(sdt, tbl)) partTouched = true;
     }
 
@@ -1210,6 +3092,7 @@ async function writeStructuredSDTs(bytesU8, structuredBindings) {
   }
 
   if (!touched) return _toU8(bytesU8);
+  await _saveNumberingCtx(zip, numCtx);
   return await _zipToU8(zip);
 }
 
@@ -1241,7 +3124,11 @@ function buildStructuredBindingsFromPayload(payload) {
             id,
             label,
             type: col.type || 'text',
-            multiple: !!col.multiple
+            multiple: !!col.multiple,
+            width: col.width ?? null,
+            align: col.align || '',
+            format: col.format || '',
+            calc: (col.calc && typeof col.calc === 'object') ? col.calc : null
           };
         }
         const s = String(col ?? '').trim();
@@ -1284,10 +3171,12 @@ function buildStructuredBindingsFromPayload(payload) {
     out[tag] = {
       kind: 'table',
       field: {
-        columns
+        columns,
+        tableStyle: tableDef.tableStyle || ''
       },
       rows: normalizedRows
     };
+    if (tableDef.mode) out[tag].mode = String(tableDef.mode);
   }
 
   return out;
@@ -1305,11 +3194,687 @@ function stripStructuredTagsFromTextMap(tagToTextMap, structuredBindings) {
   return cleaned;
 }
 
+// ---- story parts ----
+// Every part that can hold content controls: body, headers, footers,
+// footnotes, endnotes and comments. All SDT discovery and filling goes
+// through this list so a tag behaves the same wherever it is placed.
+const _STORY_PARTS_RE = /^word\/(document|header\d+|footer\d+|footnotes|endnotes|comments)\.xml$/i;
+const _STORY_PART_ORDER = ['document', 'header', 'footer', 'footnotes', 'endnotes', 'comments'];
+const _STORY_PART_LABELS = {
+  document: 'Hauptdokument',
+  header: 'Kopfzeile',
+  footer: 'Fußzeile',
+  footnotes: 'Fußnoten',
+  endnotes: 'Endnoten',
+  comments: 'Kommentare'
+};
+
+function isStoryPart(partName) {
+  return _STORY_PARTS_RE.test(String(partName || ''));
+}
+
+function _storyPartKind(partName) {
+  const m = String(partName || '').match(_STORY_PARTS_RE);
+  return m ? m[1].replace(/\d+$/, '').toLowerCase() : null;
+}
+
+// 'word/header2.xml' -> 'Kopfzeile 2'
+function storyPartLabel(partName) {
+  const kind = _storyPartKind(partName);
+  if (!kind) return String(partName || '');
+  const n = String(partName).match(/(\d+)\.xml$/i);
+  return _STORY_PART_LABELS[kind] + (n ? ` ${n[1]}` : '');
+}
+
+// Story parts present in the zip, body first, then headers, footers, notes, comments.
+function _storyPartNames(zip) {
+  const rank = (name) => _STORY_PART_ORDER.indexOf(_storyPartKind(name));
+  return Object.keys(zip?.files || {})
+    .filter(isStoryPart)
+    .sort((a, b) => (rank(a) - rank(b)) || a.localeCompare(b, undefined, { numeric: true }));
+}
+
+// Tag diagnostics: every content control with the part it lives in.
+async function listSDTs(bytesU8) {
+  const zip = await _loadZip(bytesU8);
+  const out = [];
+  for (const partName of _storyPartNames(zip)) {
+    let doc;
+    try { doc = _xmlParse(await zip.file(partName).async('string')); } catch { continue; }
+    for (const sdt of Array.from(doc.getElementsByTagNameNS(_DOCX_W_NS, 'sdt') || [])) {
+      const sdtPr = _findChildNS(sdt, _DOCX_W_NS, 'sdtPr');
+      const alias = _findChildNS(sdtPr, _DOCX_W_NS, 'alias');
+      const content = _findChildNS(sdt, _DOCX_W_NS, 'sdtContent');
+      out.push({
+        part: partName,
+        partLabel: storyPartLabel(partName),
+        tag: _findSdtTagValue(sdt) || '',
+        alias: alias ? (_getAttr(alias, 'w:val') || '') : '',
+        text: content ? _extractParagraphText(content) : ''
+      });
+    }
+  }
+  return out;
+}
+
 // ---- SDT writing ----
-async function writeSDTs(bytesU8, tagToTextMap) {
+// Plain-text filling of content controls by w:tag (JSZip/DOM, no Pyodide).
+
+function _isAttached(node, doc) {
+  let n = node;
+  while (n && n !== doc) n = n.parentNode;
+  return n === doc;
+}
+
+function _directChildrenNS(parent, localName) {
+  return _childElements(parent).filter(c => c.namespaceURI === _DOCX_W_NS && c.localName === localName);
+}
+
+// Level of an SDT's content: 'p' / 'tbl' (block), 'tc', 'tr' or 'r' (inline),
+// with `el` the first content element of that kind. Decided by where the SDT
+// sits; markup such as bookmarkStart, permStart or proofErr is skipped.
+function _sdtContentKind(sdt, sdtContent) {
+  const first = (...names) => _childElements(sdtContent)
+    .find(c => c.namespaceURI === _DOCX_W_NS && names.includes(c.localName)) || null;
+
+  let parent = sdt.parentNode;
+  while (_wLocal(parent, 'sdtContent')) parent = parent.parentNode?.parentNode;
+  if (_wLocal(parent, 'tr')) return { kind: 'tc', el: first('tc') };
+  if (_wLocal(parent, 'tbl')) return { kind: 'tr', el: first('tr') };
+  if (_isBlockSdt(sdt)) {
+    const el = first('p', 'tbl');
+    return { kind: el ? el.localName : 'p', el };
+  }
+
+  // Inside a paragraph, or detached: go by the content itself
+  const el = first('p', 'tbl', 'tr', 'tc', 'r');
+  return { kind: el ? el.localName : 'r', el };
+}
+
+// First run's rPr inside the SDT content (placeholder styling stripped).
+function _sdtTemplateRunProps(sdtContent) {
+  const r = _firstNS(sdtContent, 'r');
+  const rPr = r ? _findChildNS(r, _DOCX_W_NS, 'rPr') : null;
+  if (!rPr) return null;
+  const clone = rPr.cloneNode(true);
+  const rStyle = _findChildNS(clone, _DOCX_W_NS, 'rStyle');
+  if (rStyle && /placeholder/i.test(_getAttr(rStyle, 'w:val') || '')) clone.removeChild(rStyle);
+  return _childElements(clone).length ? clone : null;
+}
+
+function _buildTextRun(doc, rPrTemplate, text) {
+  const r = doc.createElementNS(_DOCX_W_NS, 'w:r');
+  if (rPrTemplate) r.appendChild(rPrTemplate.cloneNode(true));
+  const lines = String(text == null ? '' : text).split(/\r?\n/);
+  lines.forEach((line, i) => {
+    if (i > 0) r.appendChild(doc.createElementNS(_DOCX_W_NS, 'w:br'));
+    const t = doc.createElementNS(_DOCX_W_NS, 'w:t');
+    t.textContent = line;
+    _setXmlSpaceIfNeeded(t, line);
+    r.appendChild(t);
+  });
+  return r;
+}
+
+// Replace the paragraphs of a block container (sdtContent or tc) with one
+// paragraph per line, keeping the first paragraph's pPr and first run's rPr.
+function _fillParagraphContainer(doc, container, text, rPrTemplate) {
+  const paras = _directChildrenNS(container, 'p');
+  const pPr = paras.length ? _findChildNS(paras[0], _DOCX_W_NS, 'pPr') : null;
+  const anchor = paras.length ? paras[0] : null;
+  const lines = String(text == null ? '' : text).split(/\r?\n/);
+
+  for (const line of lines) {
+    const p = doc.createElementNS(_DOCX_W_NS, 'w:p');
+    if (pPr) p.appendChild(pPr.cloneNode(true));
+    p.appendChild(_buildTextRun(doc, rPrTemplate, line));
+    if (anchor) container.insertBefore(p, anchor);
+    else container.appendChild(p);
+  }
+  for (const old of paras) container.removeChild(old);
+}
+
+function _fillSdtText(doc, sdt, text) {
+  const sdtPr = _findChildNS(sdt, _DOCX_W_NS, 'sdtPr');
+  const sdtContent = _findChildNS(sdt, _DOCX_W_NS, 'sdtContent');
+  if (!sdtContent) return false;
+
+  const rPrTemplate = _sdtTemplateRunProps(sdtContent);
+
+  // Placeholder text is being replaced by a real value
+  const plc = _findChildNS(sdtPr, _DOCX_W_NS, 'showingPlcHdr');
+  if (plc) sdtPr.removeChild(plc);
+
+  const { kind, el } = _sdtContentKind(sdt, sdtContent);
+
+  // Block-level SDT: one paragraph per line
+  if (kind === 'p') {
+    _fillParagraphContainer(doc, sdtContent, text, rPrTemplate);
+    return true;
+  }
+
+  // Cell-level SDT: fill the first cell, keep its tcPr
+  if (kind === 'tc') {
+    if (!el) return false;
+    _fillParagraphContainer(doc, el, text, rPrTemplate);
+    if (!_directChildrenNS(el, 'p').length) el.appendChild(_createTextParagraph(doc, ''));
+    return true;
+  }
+
+  // Row/table-level SDTs and repeating sections are handled by writeStructuredSDTs
+  if (kind === 'tr' || kind === 'tbl' || _isRepeatingSection(sdt)) return false;
+
+  // Run-level SDT: single run, line breaks as w:br
+  while (sdtContent.firstChild) sdtContent.removeChild(sdtContent.firstChild);
+  sdtContent.appendChild(_buildTextRun(doc, rPrTemplate, text));
+  return true;
+}
+
+// ---- rich text (markdown subset) ----
+// Paragraphs separated by blank lines, single newlines as line breaks,
+// "- " / "* " bullets and "1. " numbered items (2 spaces per level),
+// **bold** / __bold__, *italic* / _italic_, backslash escapes.
+// Paragraphs inherit the pPr of the SDT container; list items get w:numPr.
+const _NUMBERING_PATH = 'word/numbering.xml';
+const _NUMBERING_CT = 'application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml';
+const _NUMBERING_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering';
+const _RICH_BULLETS = ['•', '◦', '▪'];
+const _RICH_NUM_FORMATS = ['decimal', 'lowerLetter', 'lowerRoman'];
+const _RICH_LIST_RE = /^([ \t]*)([-*+•]|\d+[.)])\s+(.*)$/;
+// CT_PPr / CT_RPr children that must precede numPr resp. b / i
+const _PPR_BEFORE_NUMPR = ['pStyle', 'keepNext', 'keepLines', 'pageBreakBefore', 'framePr', 'widowControl'];
+const _RPR_BEFORE_B = ['rStyle', 'rFonts'];
+const _RPR_BEFORE_I = ['rStyle', 'rFonts', 'b', 'bCs'];
+
+// -> [{ list: null|'bullet'|'number', level, lines: [string] }]
+function _parseRichTextBlocks(src) {
+  const blocks = [];
+  let open = null;   // block that still takes continuation lines
+  for (const raw of String(src == null ? '' : src).replace(/\r\n?/g, '\n').split('\n')) {
+    if (!raw.trim()) { open = null; continue; }
+    const m = raw.match(_RICH_LIST_RE);
+    if (m) {
+      const indent = m[1].replace(/\t/g, '  ').length;
+      open = { list: /\d/.test(m[2]) ? 'number' : 'bullet', level: Math.min(8, Math.floor(indent / 2)), lines: [m[3]] };
+      blocks.push(open);
+      continue;
+    }
+    if (open && (!open.list || /^\s/.test(raw))) { open.lines.push(raw.trim()); continue; }
+    open = { list: null, level: 0, lines: [raw.trim()] };
+    blocks.push(open);
+  }
+  return blocks;
+}
+
+// -> [{ text, bold, italic } | { br: true }]
+function _parseRichTextInline(lines) {
+  const out = [];
+  let bold = false, italic = false, buf = '';
+  const word = (ch) => !!ch && /[\p{L}\p{N}]/u.test(ch);
+  const flush = () => { if (buf) out.push({ text: buf, bold, italic }); buf = ''; };
+
+  lines.forEach((line, li) => {
+    if (li > 0) { flush(); out.push({ br: true }); }
+    for (let i = 0; i < line.length; i++) {
+      const c = line[i];
+      if (c === '\\' && /[\\*_]/.test(line[i + 1] || '')) { buf += line[++i]; continue; }
+      if (c !== '*' && c !== '_') { buf += c; continue; }
+      const double = line[i + 1] === c;
+      // snake_case and 2*3*4 stay literal
+      if (word(line[i - 1]) && word(line[i + (double ? 2 : 1)])) { buf += double ? c + c : c; if (double) i++; continue; }
+      flush();
+      if (double) { bold = !bold; i++; } else italic = !italic;
+    }
+  });
+  flush();
+  return out;
+}
+
+// Insert child into a pPr/rPr after the siblings the schema orders before it.
+function _insertOrdered(parent, child, before) {
+  const next = _childElements(parent).find(c => !before.includes(c.localName));
+  if (next) parent.insertBefore(child, next);
+  else parent.appendChild(child);
+}
+
+function _buildRichRuns(doc, rPrTemplate, lines) {
+  return _parseRichTextInline(lines).map(seg => {
+    const r = doc.createElementNS(_DOCX_W_NS, 'w:r');
+    if (seg.br) {
+      if (rPrTemplate) r.appendChild(rPrTemplate.cloneNode(true));
+      r.appendChild(doc.createElementNS(_DOCX_W_NS, 'w:br'));
+      return r;
+    }
+    const rPr = rPrTemplate ? rPrTemplate.cloneNode(true) : doc.createElementNS(_DOCX_W_NS, 'w:rPr');
+    if (seg.bold && !_findChildNS(rPr, _DOCX_W_NS, 'b')) _insertOrdered(rPr, doc.createElementNS(_DOCX_W_NS, 'w:b'), _RPR_BEFORE_B);
+    if (seg.italic && !_findChildNS(rPr, _DOCX_W_NS, 'i')) _insertOrdered(rPr, doc.createElementNS(_DOCX_W_NS, 'w:i'), _RPR_BEFORE_I);
+    if (_childElements(rPr).length) r.appendChild(rPr);
+    const t = doc.createElementNS(_DOCX_W_NS, 'w:t');
+    t.textContent = seg.text;
+    _setXmlSpaceIfNeeded(t, seg.text);
+    r.appendChild(t);
+    return r;
+  });
+}
+
+async function _loadNumberingCtx(zip) {
+  const f = zip.file(_NUMBERING_PATH);
+  const dom = _xmlParse(f
+    ? await f.async('string')
+    : `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:numbering xmlns:w="${_DOCX_W_NS}"/>`);
+  return { dom, created: !f, touched: false, abstractIds: {}, bulletNumId: null };
+}
+
+async function _saveNumberingCtx(zip, ctx) {
+  if (!ctx?.touched) return;
+  zip.file(_NUMBERING_PATH, _xmlSerialize(ctx.dom));
+  if (ctx.created) {
+    await _ensureContentTypes(zip, _NUMBERING_PATH, _NUMBERING_CT);
+    await _ensureDocumentRelationship(zip, _NUMBERING_REL, 'numbering.xml');
+  }
+}
+
+// Parse a w: element string into doc without repeating the namespace declaration on it.
+function _importWElement(doc, xml) {
+  const wrapper = _xmlParse(`<w:x xmlns:w="${_DOCX_W_NS}">${xml}</w:x>`).documentElement;
+  return doc.importNode(_childElements(wrapper)[0], true);
+}
+
+function _maxNumberingId(root, localName, attr) {
+  return _directChildrenNS(root, localName)
+    .reduce((max, el) => Math.max(max, parseInt(_getAttr(el, attr) || '0', 10) || 0), 0);
+}
+
+function _ensureRichAbstractNum(ctx, kind) {
+  if (ctx.abstractIds[kind] != null) return ctx.abstractIds[kind];
+  const dom = ctx.dom;
+  const root = dom.documentElement;
+  const name = `fs-richtext-${kind}`;
+
+  // reuse the definition from an earlier write
+  const existing = _directChildrenNS(root, 'abstractNum')
+    .find(el => _getAttr(_findChildNS(el, _DOCX_W_NS, 'name'), 'w:val') === name);
+  if (existing) return (ctx.abstractIds[kind] = _getAttr(existing, 'w:abstractNumId'));
+
+  const id = _maxNumberingId(root, 'abstractNum', 'w:abstractNumId') + 1;
+
+  let lvls = '';
+  for (let l = 0; l < 9; l++) {
+    const fmt = kind === 'bullet' ? 'bullet' : _RICH_NUM_FORMATS[l % _RICH_NUM_FORMATS.length];
+    const text = kind === 'bullet' ? _RICH_BULLETS[l % _RICH_BULLETS.length] : `%${l + 1}.`;
+    lvls += `<w:lvl w:ilvl="${l}"><w:start w:val="1"/><w:numFmt w:val="${fmt}"/><w:lvlText w:val="${text}"/>` +
+      `<w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${720 * (l + 1)}" w:hanging="360"/></w:pPr></w:lvl>`;
+  }
+  const el = _importWElement(dom,
+    `<w:abstractNum w:abstractNumId="${id}"><w:multiLevelType w:val="hybridMultilevel"/><w:name w:val="${name}"/>${lvls}</w:abstractNum>`);
+
+  // all abstractNum definitions precede the num instances
+  const firstNum = _directChildrenNS(root, 'num')[0] || null;
+  root.insertBefore(el, firstNum);
+  ctx.abstractIds[kind] = id;
+  ctx.touched = true;
+  return id;
+}
+
+// Bullets share one num; every numbered list gets its own (restarts at 1).
+function _richNumId(ctx, kind) {
+  if (kind === 'bullet' && ctx.bulletNumId != null) return ctx.bulletNumId;
+  const dom = ctx.dom;
+  const root = dom.documentElement;
+  const abstractId = _ensureRichAbstractNum(ctx, kind);
+  const id = _maxNumberingId(root, 'num', 'w:numId') + 1;
+  const override = kind === 'number'
+    ? '<w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride>'
+    : '';
+  const el = _importWElement(dom, `<w:num w:numId="${id}"><w:abstractNumId w:val="${abstractId}"/>${override}</w:num>`);
+  const cleanup = _directChildrenNS(root, 'numIdMacAtCleanup')[0] || null;
+  root.insertBefore(el, cleanup);
+  if (kind === 'bullet') ctx.bulletNumId = id;
+  ctx.touched = true;
+  return id;
+}
+
+function _buildRichParagraphs(doc, text, pPrTemplate, rPrTemplate, numCtx) {
+  const out = [];
+  let prevList = null;
+  let numId = null;
+  for (const block of _parseRichTextBlocks(text)) {
+    const p = doc.createElementNS(_DOCX_W_NS, 'w:p');
+    const pPr = pPrTemplate ? pPrTemplate.cloneNode(true) : doc.createElementNS(_DOCX_W_NS, 'w:pPr');
+    const oldNum = _findChildNS(pPr, _DOCX_W_NS, 'numPr');
+    if (oldNum) pPr.removeChild(oldNum);
+
+    if (block.list && numCtx) {
+      if (block.list !== prevList || (block.list === 'number' && numId == null)) numId = _richNumId(numCtx, block.list);
+      const ind = _findChildNS(pPr, _DOCX_W_NS, 'ind');
+      if (ind) pPr.removeChild(ind);   // indentation comes from the list level
+      const numPr = _importWElement(doc, `<w:numPr><w:ilvl w:val="${block.level}"/><w:numId w:val="${numId}"/></w:numPr>`);
+      _insertOrdered(pPr, numPr, _PPR_BEFORE_NUMPR);
+    } else if (block.list) {
+      // no numbering part available: keep a visible marker
+      numId = block.list === 'number' ? (prevList === 'number' ? numId : 0) + 1 : null;
+      block.lines[0] = (block.list === 'bullet' ? '• ' : `${numId}. `) + block.lines[0];
+    }
+    prevList = block.list;
+    if (!block.list) numId = null;
+
+    if (_childElements(pPr).length) p.appendChild(pPr);
+    for (const r of _buildRichRuns(doc, rPrTemplate, block.lines)) p.appendChild(r);
+    out.push(p);
+  }
+  if (!out.length) out.push(_createTextParagraph(doc, ''));
+  return out;
+}
+
+function _replaceParagraphs(container, paras, newParas) {
+  const anchor = paras[0] || null;
+  for (const p of newParas) {
+    if (anchor) container.insertBefore(p, anchor);
+    else container.appendChild(p);
+  }
+  for (const old of paras) container.removeChild(old);
+}
+
+// Only the control (plus empty runs / bookmarks) in its paragraph?
+function _isSoleParagraphContent(p, sdt) {
+  return _childElements(p).every(c => c === sdt
+    || c.localName === 'pPr'
+    || c.localName === 'bookmarkStart' || c.localName === 'bookmarkEnd'
+    || (c.localName === 'r' && !_extractParagraphText(c)));
+}
+
+function _fillRichTextSdt(doc, sdt, text, numCtx) {
+  const sdtPr = _findChildNS(sdt, _DOCX_W_NS, 'sdtPr');
+  const sdtContent = _findChildNS(sdt, _DOCX_W_NS, 'sdtContent');
+  if (!sdtContent || _isRepeatingSection(sdt)) return false;
+
+  const rPrTemplate = _sdtTemplateRunProps(sdtContent);
+  const plc = _findChildNS(sdtPr, _DOCX_W_NS, 'showingPlcHdr');
+  if (plc) sdtPr.removeChild(plc);
+
+  const { kind, el } = _sdtContentKind(sdt, sdtContent);
+
+  if (kind === 'p' || (kind === 'tc' && el)) {
+    const container = kind === 'p' ? sdtContent : el;
+    const paras = _directChildrenNS(container, 'p');
+    const pPr = paras.length ? _findChildNS(paras[0], _DOCX_W_NS, 'pPr') : null;
+    _replaceParagraphs(container, paras, _buildRichParagraphs(doc, text, pPr, rPrTemplate, numCtx));
+    return true;
+  }
+  if (kind === 'tr' || kind === 'tbl') return false;
+
+  // Run-level control alone in its paragraph: becomes a block-level control
+  // carrying that paragraph's properties.
+  const p = sdt.parentNode;
+  if (p && _nodeLocalName(p) === 'p' && p.parentNode && _isSoleParagraphContent(p, sdt)) {
+    const pPr = _findChildNS(p, _DOCX_W_NS, 'pPr');
+    while (sdtContent.firstChild) sdtContent.removeChild(sdtContent.firstChild);
+    for (const np of _buildRichParagraphs(doc, text, pPr, rPrTemplate, numCtx)) sdtContent.appendChild(np);
+    p.parentNode.replaceChild(sdt, p);
+    return true;
+  }
+
+  // Inline among other text: formatting and line breaks only
+  let n = 0;
+  const lines = _parseRichTextBlocks(text).flatMap(b => {
+    n = b.list === 'number' ? n + 1 : 0;
+    const marker = b.list === 'bullet' ? '• ' : (b.list === 'number' ? `${n}. ` : '');
+    return [marker + b.lines[0], ...b.lines.slice(1)];
+  });
+  while (sdtContent.firstChild) sdtContent.removeChild(sdtContent.firstChild);
+  for (const r of _buildRichRuns(doc, rPrTemplate, lines)) sdtContent.appendChild(r);
+  return true;
+}
+
+// ---- native content controls (checkbox / drop-down / date) ----
+// Checkbox, list and date SDTs get their native state set instead of plain
+// text, when the mapped schema field has a matching type (or is unknown).
+const _BOOLEAN_FIELD_TYPES = ['switch', 'checkbox', 'boolean'];
+const _CHECKBOX_TRUE_RE = /^(true|1|ja|yes|x|on|wahr|checked)$/i;
+const _CHECKBOX_DEFAULT_GLYPHS = { checked: '2612', unchecked: '2610', font: 'MS Gothic' };
+const _DATE_NAMES = {
+  de: {
+    months: ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'],
+    days: ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag']
+  },
+  en: {
+    months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+    days: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+  }
+};
+
+// tag -> schema field, from { schema | fields, tagMap } (field ids also work as tags)
+function _fieldsByTag(opts) {
+  const out = new Map();
+  const fields = Array.isArray(opts?.fields) ? opts.fields
+    : Array.isArray(opts?.schema?.fields) ? opts.schema.fields : [];
+  const byId = new Map(fields.filter(f => f && f.id != null).map(f => [String(f.id), f]));
+  for (const [id, f] of byId) out.set(_normStructuredTag(id), f);
+  for (const [tag, fid] of Object.entries(opts?.tagMap || {})) {
+    const f = byId.get(String(fid));
+    if (f) out.set(_normStructuredTag(tag), f);
+  }
+  return out;
+}
+
+// 'checkbox' | 'list' | 'date' for native content controls, else null
+function nativeControlKind(sdt) {
+  return _nativeControl(sdt)?.kind || null;
+}
+
+function _nativeControl(sdt) {
+  const pr = _findChildNS(sdt, _DOCX_W_NS, 'sdtPr');
+  if (!pr) return null;
+  const cb = _findChildNS(pr, _W14_NS, 'checkbox');
+  if (cb) return { kind: 'checkbox', el: cb, pr };
+  for (const name of ['dropDownList', 'comboBox']) {
+    const el = _findChildNS(pr, _DOCX_W_NS, name);
+    if (el) return { kind: 'list', el, pr, combo: name === 'comboBox' };
+  }
+  const date = _findChildNS(pr, _DOCX_W_NS, 'date');
+  if (date) return { kind: 'date', el: date, pr };
+  return null;
+}
+
+function _toCheckboxState(value) {
+  if (typeof value === 'boolean') return value;
+  if (Array.isArray(value)) return value.length > 0;
+  return _CHECKBOX_TRUE_RE.test(String(value ?? '').trim());
+}
+
+function _setCheckboxControl(doc, sdt, ctl, checked) {
+  const w14 = (local) => _findChildNS(ctl.el, _W14_NS, local);
+  const checkedEl = w14('checked') || ctl.el.insertBefore(doc.createElementNS(_W14_NS, 'w14:checked'), ctl.el.firstChild);
+  checkedEl.setAttributeNS(_W14_NS, 'w14:val', checked ? '1' : '0');
+
+  const stateEl = w14(checked ? 'checkedState' : 'uncheckedState');
+  const code = _getAttrAny(stateEl, _W14_NS, 'val', 'w14:val') || _CHECKBOX_DEFAULT_GLYPHS[checked ? 'checked' : 'unchecked'];
+  const font = _getAttrAny(stateEl, _W14_NS, 'font', 'w14:font') || _CHECKBOX_DEFAULT_GLYPHS.font;
+  const glyph = String.fromCharCode(parseInt(code, 16) || 0x2610);
+
+  const plc = _findChildNS(ctl.pr, _DOCX_W_NS, 'showingPlcHdr');
+  if (plc) ctl.pr.removeChild(plc);
+
+  const content = _findChildNS(sdt, _DOCX_W_NS, 'sdtContent');
+  const t = content ? _firstNS(content, 't') : null;
+  if (t) {
+    t.textContent = glyph;
+    const r = t.parentNode;
+    const rPr = _ensureChildNS(doc, r, _DOCX_W_NS, 'w:rPr', 'rPr');
+    if (rPr !== r.firstChild) r.insertBefore(rPr, r.firstChild);
+    const rFonts = _findChildNS(rPr, _DOCX_W_NS, 'rFonts') || rPr.insertBefore(doc.createElementNS(_DOCX_W_NS, 'w:rFonts'), rPr.firstChild);
+    for (const a of ['ascii', 'eastAsia', 'hAnsi']) rFonts.setAttributeNS(_DOCX_W_NS, `w:${a}`, font);
+    return true;
+  }
+  return _fillSdtText(doc, sdt, glyph);
+}
+
+// Select the list item matching value (by value, then display text); free
+// text is only kept for combo boxes.
+function _setListControl(doc, sdt, ctl, value) {
+  const s = String(value ?? '').trim();
+  const items = _directChildrenNS(ctl.el, 'listItem').map(li => ({
+    value: _getAttr(li, 'w:value') ?? '',
+    text: _getAttr(li, 'w:displayText') ?? _getAttr(li, 'w:value') ?? ''
+  }));
+  const hit = s
+    ? (items.find(it => it.value === s) || items.find(it => it.text === s) ||
+       items.find(it => it.value.toLowerCase() === s.toLowerCase() || it.text.toLowerCase() === s.toLowerCase()))
+    : null;
+
+  if (hit) ctl.el.setAttributeNS(_DOCX_W_NS, 'w:lastValue', hit.value);
+  else if (ctl.el.removeAttributeNS) ctl.el.removeAttributeNS(_DOCX_W_NS, 'lastValue');
+  if (s && !hit && !ctl.combo) {
+    try { console.warn(`[DOCX] writeSDTs: "${s}" is not an item of drop-down "${_findSdtTagValue(sdt)}"`); } catch {}
+  }
+  return _fillSdtText(doc, sdt, hit ? hit.text : s);
+}
+
+// 'YYYY-MM-DD' (optionally with time) or 'DD.MM.YYYY' -> { y, m, d }
+function _parseDateValue(value) {
+  const s = String(value ?? '').trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return { y: +m[1], m: +m[2], d: +m[3] };
+  m = s.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  if (m) return { y: +m[3], m: +m[2], d: +m[1] };
+  return null;
+}
+
+// Builder date formats (PHP style, 'Y-m-d') -> Word date pattern
+function _fieldDatePattern(field) {
+  const f = String(field?.dateFormat || '').trim();
+  if (!f) return 'dd.MM.yyyy';
+  const map = { Y: 'yyyy', y: 'yy', m: 'MM', n: 'M', d: 'dd', j: 'd', F: 'MMMM', M: 'MMM', l: 'dddd', D: 'ddd' };
+  return f.replace(/[YymndjFMlD]/g, ch => map[ch]);
+}
+
+function _formatWordDate(parts, pattern, lid) {
+  const names = _DATE_NAMES[String(lid || 'de').slice(0, 2).toLowerCase()] || _DATE_NAMES.de;
+  const weekday = new Date(Date.UTC(parts.y, parts.m - 1, parts.d)).getUTCDay();
+  const pad = (n) => String(n).padStart(2, '0');
+  return String(pattern).replace(/'([^']*)'|yyyy|yy|MMMM|MMM|MM|M|dddd|ddd|dd|d/g, (tok, lit) => {
+    if (lit != null) return lit;
+    switch (tok) {
+      case 'yyyy': return String(parts.y);
+      case 'yy': return pad(parts.y % 100);
+      case 'MMMM': return names.months[parts.m - 1];
+      case 'MMM': return names.months[parts.m - 1].slice(0, 3);
+      case 'MM': return pad(parts.m);
+      case 'M': return String(parts.m);
+      case 'dddd': return names.days[weekday];
+      case 'ddd': return names.days[weekday].slice(0, 2);
+      case 'dd': return pad(parts.d);
+      default: return String(parts.d);
+    }
+  });
+}
+
+function _setDateControl(doc, sdt, ctl, value, field) {
+  const parts = _parseDateValue(value);
+  if (!parts) {
+    if (ctl.el.removeAttributeNS) ctl.el.removeAttributeNS(_DOCX_W_NS, 'fullDate');
+    return _fillSdtText(doc, sdt, String(value ?? ''));
+  }
+  const pad = (n) => String(n).padStart(2, '0');
+  ctl.el.setAttributeNS(_DOCX_W_NS, 'w:fullDate', `${parts.y}-${pad(parts.m)}-${pad(parts.d)}T00:00:00Z`);
+
+  const fmtEl = _findChildNS(ctl.el, _DOCX_W_NS, 'dateFormat');
+  const lidEl = _findChildNS(ctl.el, _DOCX_W_NS, 'lid');
+  const pattern = (fmtEl && _getAttr(fmtEl, 'w:val')) || _fieldDatePattern(field);
+  return _fillSdtText(doc, sdt, _formatWordDate(parts, pattern, lidEl ? _getAttr(lidEl, 'w:val') : 'de-DE'));
+}
+
+// Returns true when the SDT is a native control that was written. Works on a
+// parsed part, so export-core can call it from its own replacement pass.
+function writeNativeControl(doc, sdt, value, field) {
+  const ctl = _nativeControl(sdt);
+  if (!ctl) return false;
+  const type = String(field?.type || '').toLowerCase();
+
+  if (ctl.kind === 'checkbox') {
+    if (type && !_BOOLEAN_FIELD_TYPES.includes(type) && type !== 'multichoice' && !(type === 'select' && field?.multiple)) return false;
+    return _setCheckboxControl(doc, sdt, ctl, _toCheckboxState(value));
+  }
+  if (ctl.kind === 'list') {
+    if (type && type !== 'select') return false;
+    return _setListControl(doc, sdt, ctl, Array.isArray(value) ? value[0] : value);
+  }
+  if (ctl.kind === 'date') {
+    if (type && type !== 'date') return false;
+    return _setDateControl(doc, sdt, ctl, value, field);
+  }
+  return false;
+}
+
+// opts: { schema | fields, tagMap } - field types decide how native controls are set.
+async function writeSDTs_JS(bytesU8, tagToTextMap, opts = {}) {
+  const map = (tagToTextMap && typeof tagToTextMap === 'object') ? tagToTextMap : {};
+  if (!Object.keys(map).length) return _toU8(bytesU8);
+  const fieldsByTag = _fieldsByTag(opts);
+
+  const normalizedMap = new Map();
+  for (const [k, v] of Object.entries(map)) {
+    const nk = _normStructuredTag(k);
+    if (nk && !normalizedMap.has(nk)) normalizedMap.set(nk, v);
+  }
+
+  const zip = await _loadZip(bytesU8);
+  const partNames = _storyPartNames(zip);
+  let touched = false;
+  let numCtx = null;
+
+  for (const partName of partNames) {
+    const f = zip.file(partName);
+    if (!f) continue;
+
+    const xml = await f.async('string');
+    if (!xml) continue;
+    const doc = _xmlParse(xml);
+
+    const sdts = Array.from(doc.getElementsByTagNameNS(_DOCX_W_NS, 'sdt') || []);
+    let partTouched = false;
+
+    for (const sdt of sdts) {
+      // Skip SDTs nested inside a control that was already replaced
+      if (!_isAttached(sdt, doc)) continue;
+
+      const tag = _findSdtTagValue(sdt);
+      if (!tag) continue;
+
+      let value;
+      if (Object.prototype.hasOwnProperty.call(map, tag)) value = map[tag];
+      else if (normalizedMap.has(_normStructuredTag(tag))) value = normalizedMap.get(_normStructuredTag(tag));
+      else continue;
+
+      const field = fieldsByTag.get(_normStructuredTag(tag));
+      if (writeNativeControl(doc, sdt, value, field)) {
+        partTouched = true;
+        continue;
+      }
+      if (value != null && typeof value === 'object') continue; // structured values are not plain text
+      if (String(field?.type || '') === 'richtext') {
+        numCtx = numCtx || await _loadNumberingCtx(zip);
+        if (_fillRichTextSdt(doc, sdt, value, numCtx)) partTouched = true;
+        continue;
+      }
+      if (_fillSdtText(doc, sdt, value)) partTouched = true;
+    }
+
+    if (partTouched) {
+      zip.file(partName, _xmlSerialize(doc));
+      touched = true;
+    }
+  }
+
+  if (!touched) return _toU8(bytesU8);
+  await _saveNumberingCtx(zip, numCtx);
+  return await _zipToU8(zip);
+}
+
+async function _writeSDTs_PY(bytesU8, tagToTextMap) {
   await ensurePy();
   const fn = py.globals.get('write_sdts_by_tag');
-  if (!fn) return new Uint8Array(bytesU8 instanceof Uint8Array ? bytesU8 : new Uint8Array(bytesU8 || []));
+  if (!fn) throw new Error('Py function not found: write_sdts_by_tag');
   const buf = bytesU8 instanceof Uint8Array ? bytesU8 : new Uint8Array(bytesU8 || []);
   const pyBytes = py.toPy(buf);
   const pyMap = py.toPy(tagToTextMap || {});
@@ -1326,6 +3891,650 @@ async function writeSDTs(bytesU8, tagToTextMap) {
   return out instanceof Uint8Array ? out : new Uint8Array(out || []);
 }
 
+// Pyodide is only used when explicitly requested via { pyFallback: true }.
+async function writeSDTs(bytesU8, tagToTextMap, { pyFallback = false, ...opts } = {}) {
+  try {
+    return await writeSDTs_JS(bytesU8, tagToTextMap, opts);
+  } catch (jsErr) {
+    if (!pyFallback) throw jsErr;
+    try {
+      return await _writeSDTs_PY(bytesU8, tagToTextMap);
+    } catch (pyErr) {
+      try { console.warn('writeSDTs: Pyodide fallback failed', pyErr); } catch {}
+      throw jsErr;
+    }
+  }
+}
+
+// ------------------------------
+// Picture content controls (image fields)
+// ------------------------------
+// imageBindings: { [tag]: { bytes, contentType?, name? } } (or plain bytes).
+// The blip of a w:picture SDT is pointed at a new media part; the picture is
+// fitted into the placeholder's box keeping its aspect ratio.
+const _DML_NS = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+const _WP_NS = 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing';
+const _PIC_NS = 'http://schemas.openxmlformats.org/drawingml/2006/picture';
+const _REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const _IMAGE_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image';
+const _EMU_PER_PX = 9525;                 // 96 dpi
+const _DEFAULT_PICTURE_EMU = 1800000;     // 5 cm longest side, when the control has no placeholder drawing
+const _IMAGE_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif'
+};
+
+// Format + pixel size from the file header (PNG / JPEG / GIF).
+function _sniffImage(u8) {
+  const b = u8 || new Uint8Array(0);
+  const be16 = (i) => (b[i] << 8) | b[i + 1];
+  const be32 = (i) => ((b[i] << 24) >>> 0) + (b[i + 1] << 16) + (b[i + 2] << 8) + b[i + 3];
+  if (b.length > 24 && b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4E && b[3] === 0x47) {
+    return { ext: 'png', width: be32(16), height: be32(20) };
+  }
+  if (b.length > 10 && b[0] === 0x47 && b[1] === 0x49 && b[2] === 0x46) {
+    return { ext: 'gif', width: b[6] | (b[7] << 8), height: b[8] | (b[9] << 8) };
+  }
+  if (b.length > 4 && b[0] === 0xFF && b[1] === 0xD8) {
+    let i = 2;
+    while (i + 9 < b.length) {
+      if (b[i] !== 0xFF) { i++; continue; }
+      const marker = b[i + 1];
+      const len = be16(i + 2);
+      // SOFn (except DHT / JPG / DAC) carries the frame size
+      if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+        return { ext: 'jpeg', width: be16(i + 7), height: be16(i + 5) };
+      }
+      i += 2 + len;
+    }
+    return { ext: 'jpeg', width: 0, height: 0 };
+  }
+  return null;
+}
+
+function _isPictureSdt(sdt) {
+  const pr = _findChildNS(sdt, _DOCX_W_NS, 'sdtPr');
+  return !!(pr && _findChildNS(pr, _DOCX_W_NS, 'picture'));
+}
+
+// Largest box with the image's aspect ratio that fits into cx x cy.
+function _fitExtent(box, img) {
+  if (!(img.width > 0 && img.height > 0)) return box;
+  if (!(box.cx > 0 && box.cy > 0)) {
+    const scale = Math.min(1, _DEFAULT_PICTURE_EMU / (Math.max(img.width, img.height) * _EMU_PER_PX));
+    return { cx: Math.round(img.width * _EMU_PER_PX * scale), cy: Math.round(img.height * _EMU_PER_PX * scale) };
+  }
+  const scale = Math.min(box.cx / img.width, box.cy / img.height);
+  return { cx: Math.round(img.width * scale), cy: Math.round(img.height * scale) };
+}
+
+function _setExtent(el, ext) {
+  if (!el) return;
+  el.setAttribute('cx', String(ext.cx));
+  el.setAttribute('cy', String(ext.cy));
+}
+
+function _nextDocPrId(doc) {
+  let max = 0;
+  for (const el of Array.from(doc.getElementsByTagNameNS(_WP_NS, 'docPr') || [])) {
+    const n = parseInt(el.getAttribute('id') || '0', 10);
+    if (n > max) max = n;
+  }
+  return max + 1;
+}
+
+// Inline drawing for controls that have no placeholder picture yet.
+function _buildInlineDrawing(doc, relId, ext, name) {
+  const id = _nextDocPrId(doc);
+  const safeName = _xmlEscapeText(name || `Bild ${id}`).replace(/"/g, '&quot;');
+  const xml =
+    `<w:drawing xmlns:w="${_DOCX_W_NS}" xmlns:wp="${_WP_NS}" xmlns:a="${_DML_NS}" xmlns:pic="${_PIC_NS}" xmlns:r="${_REL_NS}">` +
+    `<wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${ext.cx}" cy="${ext.cy}"/>` +
+    `<wp:docPr id="${id}" name="${safeName}"/>` +
+    `<wp:cNvGraphicFramePr><a:graphicFrameLocks noChangeAspect="1"/></wp:cNvGraphicFramePr>` +
+    `<a:graphic><a:graphicData uri="${_PIC_NS}"><pic:pic>` +
+    `<pic:nvPicPr><pic:cNvPr id="0" name="${safeName}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+    `<pic:blipFill><a:blip r:embed="${relId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+    `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${ext.cx}" cy="${ext.cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+    `</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing>`;
+  return doc.importNode(_xmlParse(xml).documentElement, true);
+}
+
+// Point the control's picture at relId (or insert one); returns true when written.
+function _fillPictureSdt(doc, sdt, relId, img, name) {
+  const sdtPr = _findChildNS(sdt, _DOCX_W_NS, 'sdtPr');
+  const content = _findChildNS(sdt, _DOCX_W_NS, 'sdtContent');
+  if (!content) return false;
+
+  const plc = _findChildNS(sdtPr, _DOCX_W_NS, 'showingPlcHdr');
+  if (plc) sdtPr.removeChild(plc);
+
+  const blip = content.getElementsByTagNameNS(_DML_NS, 'blip')[0] || null;
+  if (blip) {
+    blip.setAttributeNS(_REL_NS, 'r:embed', relId);
+    const drawing = content.getElementsByTagNameNS(_DOCX_W_NS, 'drawing')[0] || null;
+    const extentEl = drawing ? drawing.getElementsByTagNameNS(_WP_NS, 'extent')[0] : null;
+    const box = {
+      cx: Number(extentEl?.getAttribute('cx') || 0),
+      cy: Number(extentEl?.getAttribute('cy') || 0)
+    };
+    const ext = _fitExtent(box, img);
+    _setExtent(extentEl, ext);
+    const spPr = drawing ? drawing.getElementsByTagNameNS(_PIC_NS, 'spPr')[0] : null;
+    _setExtent(spPr ? spPr.getElementsByTagNameNS(_DML_NS, 'ext')[0] : null, ext);
+    const docPr = drawing ? drawing.getElementsByTagNameNS(_WP_NS, 'docPr')[0] : null;
+    if (docPr && name) docPr.setAttribute('descr', String(name));
+    return true;
+  }
+
+  // No placeholder drawing: one run with an inline picture
+  const drawing = _buildInlineDrawing(doc, relId, _fitExtent({ cx: 0, cy: 0 }, img), name);
+  const r = doc.createElementNS(_DOCX_W_NS, 'w:r');
+  r.appendChild(drawing);
+  const { kind } = _sdtContentKind(sdt, content);
+  while (content.firstChild) content.removeChild(content.firstChild);
+  if (kind === 'p' || kind === 'tbl') {
+    const p = doc.createElementNS(_DOCX_W_NS, 'w:p');
+    p.appendChild(r);
+    content.appendChild(p);
+  } else {
+    content.appendChild(r);
+  }
+  return true;
+}
+
+// Drops the image relationships in `relIds` the part no longer references;
+// returns the package paths they pointed at.
+async function _dropUnusedImageRels(zip, partName, doc, relIds) {
+  const relsPath = _relsPathForPart(partName);
+  const f = zip.file(relsPath);
+  if (!f || !relIds.size) return [];
+  const rels = _xmlParse(await f.async('string'));
+  const used = _relIdRefs(doc);
+  const targets = [];
+  for (const rel of Array.from(rels.getElementsByTagName('Relationship'))) {
+    const id = rel.getAttribute('Id');
+    if (!relIds.has(id) || used.has(id)) continue;
+    if (rel.getAttribute('Type') !== _IMAGE_REL || rel.getAttribute('TargetMode') === 'External') continue;
+    targets.push(_resolveRelTarget(partName, rel.getAttribute('Target')));
+    rel.parentNode.removeChild(rel);
+  }
+  if (targets.length) zip.file(relsPath, _xmlSerialize(rels));
+  return targets;
+}
+
+// Removes the given parts (and their content-type overrides) unless a
+// relationship anywhere in the package still points at them.
+async function _dropUnreferencedParts(zip, paths) {
+  const drop = new Set(paths.filter(Boolean).map(p => p.toLowerCase()));
+  if (!drop.size) return;
+  for (const relsPath of Object.keys(zip.files).filter(n => /(^|\/)_rels\/[^/]+\.rels$/.test(n))) {
+    const source = _relsSourcePart(relsPath);
+    if (source == null) continue;
+    const rels = _xmlParse(await zip.file(relsPath).async('string'));
+    for (const rel of Array.from(rels.getElementsByTagName('Relationship'))) {
+      if (rel.getAttribute('TargetMode') === 'External') continue;
+      drop.delete(_resolveRelTarget(source, rel.getAttribute('Target')).toLowerCase());
+    }
+  }
+  if (!drop.size) return;
+
+  for (const name of Object.keys(zip.files)) {
+    if (drop.has(name.toLowerCase())) zip.remove(name);
+  }
+  const ctFile = zip.file(_CT_PATH);
+  if (!ctFile) return;
+  const ct = _xmlParse(await ctFile.async('string'));
+  const root = ct.documentElement;
+  let ctTouched = false;
+  for (const o of Array.from(root.getElementsByTagName('Override'))) {
+    if (!drop.has(String(o.getAttribute('PartName') || '').replace(/^\//, '').toLowerCase())) continue;
+    root.removeChild(o);
+    ctTouched = true;
+  }
+  if (ctTouched) zip.file(_CT_PATH, _xmlSerialize(ct));
+}
+
+// The pictures a filled control showed before (placeholder or an earlier
+// export) lose their relationship and media part once nothing else uses them.
+async function writeImageSDTs(bytesU8, imageBindings) {
+  const bindings = (imageBindings && typeof imageBindings === 'object') ? imageBindings : {};
+  const normalized = new Map();
+  for (const [k, v] of Object.entries(bindings)) {
+    const nk = _normStructuredTag(k);
+    if (nk && !normalized.has(nk)) normalized.set(nk, v);
+  }
+  if (!normalized.size) return _toU8(bytesU8);
+
+  const zip = await _loadZip(bytesU8);
+  const partNames = _storyPartNames(zip);
+  const media = new Map();   // binding -> { path, img }
+  let mediaNo = 0;
+  let touched = false;
+  const replacedTargets = [];
+
+  for (const partName of partNames) {
+    const f = zip.file(partName);
+    if (!f) continue;
+    const doc = _xmlParse(await f.async('string'));
+    let partTouched = false;
+    const replacedIds = new Set();
+
+    for (const sdt of Array.from(doc.getElementsByTagNameNS(_DOCX_W_NS, 'sdt') || [])) {
+      if (!_isPictureSdt(sdt)) continue;
+      const binding = normalized.get(_normStructuredTag(_findSdtTagValue(sdt)));
+      if (!binding) continue;
+
+      const u8 = _toU8(binding.bytes || binding);
+      const img = _sniffImage(u8);
+      if (!img) {
+        try { console.warn(`[DOCX] writeImageSDTs: "${_findSdtTagValue(sdt)}" is not a PNG/JPEG/GIF image; skipped.`); } catch {}
+        continue;
+      }
+
+      if (!media.has(binding)) {
+        let path;
+        do { path = `word/media/fs_image${++mediaNo}.${img.ext === 'jpeg' ? 'jpg' : img.ext}`; } while (zip.file(path));
+        zip.file(path, u8);
+        await _ensureContentTypes(zip, path, binding.contentType || _IMAGE_TYPES[img.ext]);
+        media.set(binding, { path, img });
+      }
+      const { path } = media.get(binding);
+      const relId = await _ensurePartRelationship(zip, partName, _IMAGE_REL, path.replace(/^word\//, ''));
+      const oldIds = Array.from(sdt.getElementsByTagNameNS(_DML_NS, 'blip')).map(b => b.getAttributeNS(_REL_NS, 'embed'));
+      if (_fillPictureSdt(doc, sdt, relId, img, binding.name)) {
+        partTouched = true;
+        for (const id of oldIds) if (id && id !== relId) replacedIds.add(id);
+      }
+    }
+
+    if (partTouched) {
+      zip.file(partName, _xmlSerialize(doc));
+      replacedTargets.push(...await _dropUnusedImageRels(zip, partName, doc, replacedIds));
+      touched = true;
+    }
+  }
+
+  if (!touched) return _toU8(bytesU8);
+  await _dropUnreferencedParts(zip, replacedTargets);
+  return await _zipToU8(zip);
+}
+
+// ------------------------------
+// Package validation (before saving)
+// ------------------------------
+// The write chain (SDTs, structured bindings, removal, docVars) can leave
+// constructs Word rejects as corrupt: cells without a paragraph, empty
+// sdtContent, an empty body, a missing sectPr, relationships pointing at
+// missing parts, duplicate content-type overrides. validateDocx lists them
+// ({ code, part, message, repaired }); with { repair: true } the repairable
+// ones are fixed in the returned bytes. ensureValidDocx is the save gate:
+// repairs what it can and throws a DocxValidationError for the rest.
+const _PKG_CT_NS = 'http://schemas.openxmlformats.org/package/2006/content-types';
+const _BLOCK_CONTAINERS = new Set(['body', 'tc', 'hdr', 'ftr', 'footnote', 'endnote', 'comment', 'txbxContent']);
+const _BLOCK_ELEMENTS = new Set(['p', 'tbl', 'sdt', 'customXml', 'altChunk']);
+// Paragraph content that is invalid directly in a block container
+const _INLINE_ELEMENTS = new Set(['r', 'hyperlink', 'fldSimple', 'smartTag']);
+const _NOTE_CONTAINERS = { 'hdr': 'Kopfzeile', 'ftr': 'Fußzeile', 'footnote': 'Fußnote', 'endnote': 'Endnote', 'comment': 'Kommentar' };
+const _DEFAULT_EXT_TYPES = {
+  rels: 'application/vnd.openxmlformats-package.relationships+xml',
+  xml: 'application/xml',
+  json: 'application/json',             // customXml/*.json bookkeeping parts
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  svg: 'image/svg+xml',
+  emf: 'image/x-emf',
+  wmf: 'image/x-wmf'
+};
+// Elements whose dangling r:id can simply be dropped
+const _DROPPABLE_REF_ELEMENTS = new Set(['headerReference', 'footerReference']);
+
+const _PROBLEM_MESSAGES = {
+  'missing-part': 'Pflichtteil fehlt',
+  'xml-parse': 'XML nicht lesbar',
+  'sdt-no-content': 'Inhaltssteuerelement ohne sdtContent',
+  'sdtcontent-orphan': 'sdtContent außerhalb eines Inhaltssteuerelements',
+  'sdt-empty': 'Leeres Inhaltssteuerelement',
+  'sdt-inline-content': 'Text eines Inhaltssteuerelements außerhalb eines Absatzes',
+  'row-no-cell': 'Tabellenzeile ohne Zelle',
+  'table-no-row': 'Tabelle ohne Zeile',
+  'cell-no-paragraph': 'Tabellenzelle endet nicht mit einem Absatz',
+  'story-empty': 'Leerer Textbereich',
+  'body-empty': 'Dokumentkörper ohne Inhalt',
+  'sectpr-missing': 'Abschnittseigenschaften (sectPr) fehlen',
+  'sectpr-misplaced': 'Abschnittseigenschaften (sectPr) nicht am Ende des Dokuments',
+  'rel-target-missing': 'Beziehung zeigt auf fehlenden Teil',
+  'rel-id-missing': 'Verweis auf unbekannte Beziehung',
+  'ct-duplicate': 'Doppelter Content-Type-Eintrag',
+  'ct-orphan': 'Content-Type-Eintrag für fehlenden Teil',
+  'ct-missing': 'Teil ohne Content-Type'
+};
+
+function _wLocal(el, name) {
+  return !!el && el.nodeType === 1 && el.namespaceURI === _DOCX_W_NS && el.localName === name;
+}
+
+function _appendEmptyParagraph(doc, parent, before) {
+  const p = doc.createElementNS(_DOCX_W_NS, 'w:p');
+  parent.insertBefore(p, before || null);
+  return p;
+}
+
+// Content of a container seen through cell/row-level SDT wrappers
+function _childrenThroughSdt(el, name) {
+  const out = [];
+  for (const c of _childElements(el)) {
+    if (_wLocal(c, name)) out.push(c);
+    else if (_wLocal(c, 'sdt')) out.push(..._childrenThroughSdt(_findChildNS(c, _DOCX_W_NS, 'sdtContent'), name));
+  }
+  return out;
+}
+
+// Block-level context: the SDT sits where paragraphs/tables go (not inside a p, tr or tbl)
+function _isBlockSdt(sdt) {
+  let parent = sdt.parentNode;
+  while (_wLocal(parent, 'sdtContent')) parent = parent.parentNode?.parentNode;
+  if (!parent || parent.nodeType !== 1) return false;
+  return parent.namespaceURI === _DOCX_W_NS && _BLOCK_CONTAINERS.has(parent.localName);
+}
+
+// Structural checks of one story part; repairs in place when `repair`.
+function _validateStoryDom(doc, partName, repair, report) {
+  const all = (name) => Array.from(doc.getElementsByTagNameNS(_DOCX_W_NS, name) || []);
+  const remove = (el) => el.parentNode && el.parentNode.removeChild(el);
+
+  for (const sc of all('sdtContent')) {
+    if (_wLocal(sc.parentNode, 'sdt')) continue;
+    if (repair) {
+      while (sc.firstChild) sc.parentNode.insertBefore(sc.firstChild, sc);
+      remove(sc);
+    }
+    report(partName, 'sdtcontent-orphan', repair);
+  }
+
+  for (const sdt of all('sdt')) {
+    if (_findChildNS(sdt, _DOCX_W_NS, 'sdtContent')) continue;
+    if (repair) sdt.appendChild(doc.createElementNS(_DOCX_W_NS, 'w:sdtContent'));
+    report(partName, 'sdt-no-content', repair);
+  }
+
+  // Cell/row-level SDTs without cells/rows, then rows and tables left empty (innermost first)
+  for (const sdt of all('sdt').reverse()) {
+    const parent = sdt.parentNode;
+    const unit = _wLocal(parent, 'tr') ? 'tc' : _wLocal(parent, 'tbl') ? 'tr' : null;
+    if (!unit) continue;
+    if (_childrenThroughSdt(_findChildNS(sdt, _DOCX_W_NS, 'sdtContent'), unit).length) continue;
+    if (repair) remove(sdt);
+    report(partName, 'sdt-empty', repair);
+  }
+  for (const tr of all('tr').reverse()) {
+    if (!tr.parentNode || _childrenThroughSdt(tr, 'tc').length) continue;
+    if (repair) remove(tr);
+    report(partName, 'row-no-cell', repair);
+  }
+  for (const tbl of all('tbl').reverse()) {
+    if (!tbl.parentNode || _childrenThroughSdt(tbl, 'tr').length) continue;
+    if (repair) remove(tbl);
+    report(partName, 'table-no-row', repair);
+  }
+
+  for (const sdt of all('sdt')) {
+    if (!sdt.parentNode || !_isBlockSdt(sdt)) continue;
+    const sc = _findChildNS(sdt, _DOCX_W_NS, 'sdtContent');
+    if (sc && _childElements(sc).some(c => c.namespaceURI === _DOCX_W_NS && _INLINE_ELEMENTS.has(c.localName))) {
+      // Runs at block level: each consecutive stretch goes into its own paragraph
+      if (repair) {
+        let p = null;
+        for (const c of _childElements(sc)) {
+          if (c.namespaceURI !== _DOCX_W_NS || !_INLINE_ELEMENTS.has(c.localName)) { p = null; continue; }
+          if (!p) p = _appendEmptyParagraph(doc, sc, c);
+          p.appendChild(c);
+        }
+      }
+      report(partName, 'sdt-inline-content', repair);
+    }
+    if (!sc || _childElements(sc).some(c => c.namespaceURI === _DOCX_W_NS && _BLOCK_ELEMENTS.has(c.localName))) continue;
+    if (repair) _appendEmptyParagraph(doc, sc);
+    report(partName, 'sdt-empty', repair);
+  }
+
+  for (const tc of all('tc')) {
+    const last = _childElements(tc).filter(c => !_wLocal(c, 'tcPr')).pop();
+    if (_wLocal(last, 'p')) continue;
+    if (repair) _appendEmptyParagraph(doc, tc);
+    report(partName, 'cell-no-paragraph', repair);
+  }
+
+  for (const [name, label] of Object.entries(_NOTE_CONTAINERS)) {
+    for (const el of all(name)) {
+      if (_childElements(el).some(c => c.namespaceURI === _DOCX_W_NS && _BLOCK_ELEMENTS.has(c.localName))) continue;
+      if (repair) _appendEmptyParagraph(doc, el);
+      report(partName, 'story-empty', repair, label);
+    }
+  }
+
+  const body = all('body')[0];
+  if (!body) return;
+  const kids = _childElements(body);
+  const sectPrs = kids.filter(c => _wLocal(c, 'sectPr'));
+  if (!kids.some(c => c.namespaceURI === _DOCX_W_NS && _BLOCK_ELEMENTS.has(c.localName))) {
+    if (repair) _appendEmptyParagraph(doc, body, sectPrs[0]);
+    report(partName, 'body-empty', repair);
+  }
+  if (!sectPrs.length) {
+    // The final section takes the properties of the last paragraph-level section, if any
+    const prev = all('sectPr').filter(s => _wLocal(s.parentNode, 'pPr')).pop();
+    if (repair) body.appendChild(prev ? prev.cloneNode(true) : doc.createElementNS(_DOCX_W_NS, 'w:sectPr'));
+    report(partName, 'sectpr-missing', repair);
+  } else if (sectPrs.length > 1 || _childElements(body).pop() !== sectPrs[0]) {
+    if (repair) {
+      for (const s of sectPrs.slice(1)) remove(s);
+      body.appendChild(sectPrs[0]);
+    }
+    report(partName, 'sectpr-misplaced', repair);
+  }
+}
+
+// 'word/_rels/document.xml.rels' -> 'word/document.xml' ('' for the package rels)
+function _relsSourcePart(relsPath) {
+  const m = relsPath.match(/^(.*?)_rels\/([^/]+)\.rels$/);
+  return m ? m[1] + m[2] : null;
+}
+
+function _resolveRelTarget(sourcePart, target) {
+  const t = String(target || '').split('#')[0];
+  const segs = t.startsWith('/') ? [] : sourcePart.split('/').slice(0, -1);
+  for (const s of t.replace(/^\//, '').split('/')) {
+    if (s === '..') segs.pop();
+    else if (s && s !== '.') segs.push(s);
+  }
+  return segs.map(s => { try { return decodeURIComponent(s); } catch { return s; } }).join('/');
+}
+
+// Relationship ids used by a part (r:id, r:embed, r:link, ...), with their elements
+function _relIdRefs(doc) {
+  const refs = new Map();
+  const walk = (el) => {
+    for (const a of Array.from(el.attributes || [])) {
+      if (a.namespaceURI !== _REL_NS) continue;
+      if (!refs.has(a.value)) refs.set(a.value, []);
+      refs.get(a.value).push(el);
+    }
+    for (const c of _childElements(el)) walk(c);
+  };
+  if (doc?.documentElement) walk(doc.documentElement);
+  return refs;
+}
+
+async function validateDocx(bytesU8, { repair = false } = {}) {
+  const zip = await _loadZip(bytesU8);
+  const problems = [];
+  const report = (part, code, repaired, detail) => {
+    problems.push({
+      code,
+      part,
+      message: `${_PROBLEM_MESSAGES[code] || code}${detail ? ` (${detail})` : ''} – ${isStoryPart(part) ? storyPartLabel(part) : part}`,
+      repaired: !!repaired
+    });
+  };
+  const files = Object.keys(zip.files).filter(n => !zip.files[n].dir);
+  const exists = new Set(files.map(n => n.toLowerCase()));   // part names are case-insensitive
+
+  for (const required of [_CT_PATH, 'word/document.xml']) {
+    if (!exists.has(required.toLowerCase())) report(required, 'missing-part', false);
+  }
+
+  // Story parts
+  const storyDoms = new Map();
+  for (const partName of _storyPartNames(zip)) {
+    let doc;
+    try { doc = _xmlParse(await zip.file(partName).async('string')); } catch (e) {
+      report(partName, 'xml-parse', false, String(e?.message || e).slice(0, 120));
+      continue;
+    }
+    const before = problems.length;
+    _validateStoryDom(doc, partName, repair, report);
+    if (repair && problems.length > before) zip.file(partName, _xmlSerialize(doc));
+    storyDoms.set(partName, doc);
+  }
+
+  // Relationships: targets present, referenced ids known
+  for (const relsPath of files.filter(n => /(^|\/)_rels\/[^/]+\.rels$/.test(n))) {
+    const source = _relsSourcePart(relsPath);
+    if (source == null) continue;
+    let rels;
+    try { rels = _xmlParse(await zip.file(relsPath).async('string')); } catch (e) {
+      report(relsPath, 'xml-parse', false, String(e?.message || e).slice(0, 120));
+      continue;
+    }
+    if (source && !exists.has(source.toLowerCase())) continue;
+    const sourceDom = storyDoms.get(source) || null;
+    const refs = sourceDom ? _relIdRefs(sourceDom) : null;
+    let relsTouched = false;
+    for (const rel of Array.from(rels.getElementsByTagName('Relationship'))) {
+      if (rel.getAttribute('TargetMode') === 'External') continue;
+      const target = _resolveRelTarget(source, rel.getAttribute('Target'));
+      if (!target || exists.has(target.toLowerCase())) continue;
+      // Only unreferenced relationships of story parts are safe to drop
+      const fixable = repair && !!refs && !refs.has(rel.getAttribute('Id'));
+      if (fixable) {
+        rel.parentNode.removeChild(rel);
+        relsTouched = true;
+      }
+      report(relsPath, 'rel-target-missing', fixable, target);
+    }
+    if (relsTouched) zip.file(relsPath, _xmlSerialize(rels));
+  }
+
+  for (const [partName, doc] of storyDoms) {
+    const relsFile = zip.file(_relsPathForPart(partName));
+    let ids = new Set();
+    if (relsFile) {
+      try {
+        const rels = _xmlParse(await relsFile.async('string'));
+        ids = new Set(Array.from(rels.getElementsByTagName('Relationship')).map(r => r.getAttribute('Id')));
+      } catch {}
+    }
+    let partTouched = false;
+    for (const [id, els] of _relIdRefs(doc)) {
+      if (!id || ids.has(id)) continue;
+      for (const el of els) {
+        const fixable = repair && el.namespaceURI === _DOCX_W_NS && _DROPPABLE_REF_ELEMENTS.has(el.localName);
+        if (fixable) {
+          el.parentNode.removeChild(el);
+          partTouched = true;
+        }
+        report(partName, 'rel-id-missing', fixable, id);
+      }
+    }
+    if (partTouched) zip.file(partName, _xmlSerialize(doc));
+  }
+
+  // Content types: one entry per part / extension, none for missing parts, none missing
+  const ctFile = zip.file(_CT_PATH);
+  if (ctFile) {
+    let ct = null;
+    try { ct = _xmlParse(await ctFile.async('string')); } catch (e) {
+      report(_CT_PATH, 'xml-parse', false, String(e?.message || e).slice(0, 120));
+    }
+    if (ct) {
+      const root = ct.documentElement;
+      let ctTouched = false;
+      const drop = (el) => { if (repair) { root.removeChild(el); ctTouched = true; } };
+
+      const overrides = new Map();   // lower-cased part name -> Override
+      for (const o of Array.from(root.getElementsByTagName('Override'))) {
+        const name = String(o.getAttribute('PartName') || '').replace(/^\//, '');
+        const key = name.toLowerCase();
+        if (overrides.has(key)) {
+          drop(o);
+          report(_CT_PATH, 'ct-duplicate', repair, '/' + name);
+        } else if (!exists.has(key)) {
+          drop(o);
+          report(_CT_PATH, 'ct-orphan', repair, '/' + name);
+        } else {
+          overrides.set(key, o);
+        }
+      }
+      const defaults = new Set();
+      for (const d of Array.from(root.getElementsByTagName('Default'))) {
+        const ext = String(d.getAttribute('Extension') || '').toLowerCase();
+        if (!defaults.has(ext)) { defaults.add(ext); continue; }
+        drop(d);
+        report(_CT_PATH, 'ct-duplicate', repair, '*.' + ext);
+      }
+
+      for (const name of files) {
+        if (name === _CT_PATH || overrides.has(name.toLowerCase())) continue;
+        const ext = (name.match(/\.([^./]+)$/) || [])[1]?.toLowerCase() || '';
+        if (defaults.has(ext)) continue;
+        const type = _DEFAULT_EXT_TYPES[ext];
+        const fixable = repair && !!type;
+        if (fixable) {
+          const el = ct.createElementNS(_PKG_CT_NS, 'Default');
+          el.setAttribute('Extension', ext);
+          el.setAttribute('ContentType', type);
+          root.insertBefore(el, root.firstChild);
+          defaults.add(ext);
+          ctTouched = true;
+        }
+        report(name, 'ct-missing', fixable);
+      }
+      if (ctTouched) zip.file(_CT_PATH, _xmlSerialize(ct));
+    }
+  }
+
+  const ok = problems.every(p => p.repaired);
+  const bytes = repair && problems.some(p => p.repaired) ? await _zipToU8(zip) : _toU8(bytesU8);
+  return { ok, problems, bytes };
+}
+
+// Readable list for alerts / logs
+function formatDocxProblems(problems) {
+  return (problems || []).map(p => `• ${p.message}${p.repaired ? ' [repariert]' : ''}`).join('\n');
+}
+
+// Save gate: repaired bytes, or a DocxValidationError listing what is left.
+async function ensureValidDocx(bytesU8) {
+  const { ok, problems, bytes } = await validateDocx(bytesU8, { repair: true });
+  const repaired = problems.filter(p => p.repaired);
+  if (repaired.length) {
+    try { console.warn('[DOCX] validation repaired:\n' + formatDocxProblems(repaired)); } catch {}
+  }
+  if (ok) return bytes;
+  const left = problems.filter(p => !p.repaired);
+  const e = new Error('Das Dokument ist fehlerhaft und wurde nicht gespeichert:\n' + formatDocxProblems(left));
+  e.name = 'DocxValidationError';
+  e.problems = left;
+  throw e;
+}
+
 // ---- visibility map serialization (used by Py) ----
 function serializeVisibilityMapForPython(map) {
   const normalizeValue = (value) => {
@@ -1399,14 +4608,24 @@ async function inspectRemovalPlan(bytesU8, visibilityMap) {
   }
 }
 
-async function applyRemovalWithBackup(bytesU8, visibilityMap, originalBytesU8) {
+async function applyRemovalWithBackup(bytesU8, visibilityMap, originalBytesU8, opts = {}) {
+  const withReport = !!opts?.withReport;
+  // The Python path has no report; callers still get the { bytes, report } shape.
+  const fallback = (bytes, status) => {
+    if (!withReport) return bytes;
+    const report = _newRemovalReport();
+    report.engine = 'pyodide';
+    report.status = status;
+    return { bytes, report };
+  };
+
   try {
-    return await applyRemovalWithBackup_JS(bytesU8, visibilityMap, originalBytesU8);
+    return await applyRemovalWithBackup_JS(bytesU8, visibilityMap, originalBytesU8, opts);
   } catch (jsErr) {
     try {
       await ensurePy();
       const fn = py.globals.get('apply_removal_with_backup');
-      if (!fn) return new Uint8Array(bytesU8 instanceof Uint8Array ? bytesU8 : new Uint8Array(bytesU8 || []));
+      if (!fn) return fallback(new Uint8Array(bytesU8 instanceof Uint8Array ? bytesU8 : new Uint8Array(bytesU8 || [])), 'failed');
       const buf = bytesU8 instanceof Uint8Array ? bytesU8 : new Uint8Array(bytesU8 || []);
       const pyBytes = py.toPy(buf);
       const pyMap = py.toPy(serializeVisibilityMapForPython(visibilityMap));
@@ -1415,21 +4634,23 @@ async function applyRemovalWithBackup(bytesU8, visibilityMap, originalBytesU8) {
       try { pyBytes.destroy && pyBytes.destroy(); } catch {}
       try { pyMap.destroy && pyMap.destroy(); } catch {}
       try { pyOrig.destroy && pyOrig.destroy(); } catch {}
-      return new Uint8Array(out || []);
+      return fallback(new Uint8Array(out || []), 'applied');
     } catch (pyErr) {
       try { console.warn('applyRemovalWithBackup failed; returning input unchanged', { jsErr, pyErr }); } catch {}
-      return new Uint8Array(bytesU8 instanceof Uint8Array ? bytesU8 : new Uint8Array(bytesU8 || []));
+      return fallback(new Uint8Array(bytesU8 instanceof Uint8Array ? bytesU8 : new Uint8Array(bytesU8 || [])), 'failed');
     }
   }
 }
 
-async function restoreDocxFromBackup(bytesU8) {
+async function restoreDocxFromBackup(bytesU8, opts = {}) {
   try {
-    const restored = await restoreDocxFromBackup_JS(bytesU8);
+    const restored = await restoreDocxFromBackup_JS(bytesU8, opts);
     if (restored instanceof Uint8Array && restored.length) return restored;
   } catch (e) {
     try { console.warn('restoreDocxFromBackup_JS failed; falling back to Pyodide', e); } catch {}
   }
+  // The Python helper only knows the full baseline restore
+  if (opts?.unhideOnly) return new Uint8Array(bytesU8 instanceof Uint8Array ? bytesU8 : new Uint8Array(bytesU8 || []));
 
   await ensurePy();
   const fn = py.globals.get('restore_document_from_backup');
@@ -1444,42 +4665,47 @@ async function restoreDocxFromBackup(bytesU8) {
 // ------------------------------
 // Exports
 // ------------------------------
-if (typeof window !== 'undefined') {
-  window.docxCore = window.docxCore || {};
-  Object.assign(window.docxCore, {
-    ensurePy,
-    ensureJSZip,
-    readDocVarSettings,
-    readDocVarCustom,
-    writeDocVar,
-    writeDocVarSettings,
-    writeDocVarCustom,
-    writeSDTs,
-    writeStructuredSDTs,
-    buildStructuredBindingsFromPayload,
-    stripStructuredTagsFromTextMap,
-    serializeVisibilityMapForPython,
-    inspectRemovalPlan,
-    applyRemovalWithBackup,
-    restoreDocxFromBackup
-  });
+const _docxCoreApi = {
+  configureDocxCore,
+  ensurePy,
+  ensureJSZip,
+  readDocVarSettings,
+  readDocVarCustom,
+  writeDocVar,
+  writeDocVarSettings,
+  writeDocVarCustom,
+  deleteDocVar,
+  writeSDTs,
+  writeSDTs_JS,
+  writeStructuredSDTs,
+  writeImageSDTs,
+  registerPartContentTypes,
+  nativeControlKind,
+  writeNativeControl,
+  listSDTs,
+  validateDocx,
+  ensureValidDocx,
+  formatDocxProblems,
+  isStoryPart,
+  storyPartLabel,
+  buildStructuredBindingsFromPayload,
+  stripStructuredTagsFromTextMap,
+  serializeVisibilityMapForPython,
+  inspectRemovalPlan,
+  applyRemovalWithBackup,
+  applyRemovalWithBackup_JS,
+  restoreDocxFromBackup,
+  restoreDocxFromBackup_JS
+};
+
+if (_root) {
+  _root.docxCore = _root.docxCore || {};
+  Object.assign(_root.docxCore, _docxCoreApi);
+  Object.assign(_root, _docxCoreApi);
+}
 
-  Object.assign(window, {
-    ensurePy,
-    ensureJSZip,
-    readDocVarSettings,
-    readDocVarCustom,
-    writeDocVar,
-    writeDocVarSettings,
-    writeDocVarCustom,
-    writeSDTs,
-    writeStructuredSDTs,
-    buildStructuredBindingsFromPayload,
-    stripStructuredTagsFromTextMap,
-    serializeVisibilityMapForPython,
-    inspectRemovalPlan,
-    applyRemovalWithBackup,
-    restoreDocxFromBackup
-  });
+// CommonJS (headless / Node.js); see docx-core.node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = _docxCoreApi;
 }
-// ------------------------------
\ No newline at end of file
+// ------------------------------
@@ -0,0 +1,33 @@
+'use strict';
+
+// ------------------------------
+// Headless entry point for docx-core.js (Node.js / batch generation)
+// ------------------------------
+// Same public functions as window.docxCore, without any browser globals; the
+// options of each function are documented next to it in docx-core.js.
+//
+//   const docxCore = require('./docx-core.node.js');
+//   let out = await docxCore.writeStructuredSDTs(bytes, bindings);
+//   out = await docxCore.ensureValidDocx(out);
+//
+// `jszip` and `@xmldom/xmldom` are picked up automatically when resolvable.
+// Any compatible implementation can be plugged in instead:
+//
+//   docxCore.configureDocxCore({ JSZip, DOMParser, XMLSerializer, loadPyodide });
+
+const docxCore = require('./docx-core.js');
+
+function _tryRequire(name) {
+  try { return require(name); } catch { return null; }
+}
+
+const _jszip = _tryRequire('jszip');
+const _xmldom = _tryRequire('@xmldom/xmldom') || _tryRequire('xmldom');
+
+docxCore.configureDocxCore({
+  JSZip: _jszip || undefined,
+  DOMParser: _xmldom?.DOMParser || undefined,
+  XMLSerializer: _xmldom?.XMLSerializer || undefined
+});
+
+module.exports = docxCore;
@@ -0,0 +1,122 @@
+// docx-core.test.js
+// docVar envelope and picture control checks for docx-core.js:  node --test docx-core.test.js
+// (needs jszip and @xmldom/xmldom, see docx-core.node.js)
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+let JSZip = null;
+try { JSZip = require('jszip'); } catch {}
+const docxCore = JSZip ? require('./docx-core.node.js') : null;
+const skip = !docxCore && 'jszip is not installed';
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+async function docxWithSettings(docVars = '') {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="xml" ContentType="application/xml"/></Types>');
+  zip.file('word/document.xml', `<?xml version="1.0"?><w:document xmlns:w="${W_NS}"><w:body><w:p/></w:body></w:document>`);
+  zip.file('word/settings.xml', `<?xml version="1.0"?><w:settings xmlns:w="${W_NS}"><w:docVars>${docVars}</w:docVars></w:settings>`);
+  return zip.generateAsync({ type: 'uint8array' });
+}
+
+const PIC_NS = 'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" ' +
+  'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+const IMAGE_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image';
+
+// PNG header only: enough for the size sniffing in writeImageSDTs
+function png(width, height) {
+  const b = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]).copy(b);
+  b.write('IHDR', 12);
+  b.writeUInt32BE(width, 16);
+  b.writeUInt32BE(height, 20);
+  return new Uint8Array(b);
+}
+
+// Picture control "photo" (placeholder blip rId5 -> media/placeholder.png, or
+// no drawing at all); `extra` is appended to the body.
+async function docxWithPicture({ placeholder = true, extra = '' } = {}) {
+  const blip = '<w:r><w:drawing><wp:inline><wp:extent cx="900000" cy="900000"/><wp:docPr id="1" name="p"/>' +
+    '<a:graphic><a:graphicData><a:blip r:embed="rId5"/></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>';
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/media/placeholder.png" ContentType="image/png"/></Types>');
+  zip.file('word/document.xml', `<?xml version="1.0"?><w:document xmlns:w="${W_NS}" ${PIC_NS}><w:body>` +
+    `<w:p><w:sdt><w:sdtPr><w:tag w:val="photo"/><w:picture/></w:sdtPr><w:sdtContent>${placeholder ? blip : ''}</w:sdtContent></w:sdt></w:p>` +
+    `${extra}</w:body></w:document>`);
+  zip.file('word/_rels/document.xml.rels', '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    `<Relationship Id="rId5" Type="${IMAGE_REL}" Target="media/placeholder.png"/></Relationships>`);
+  zip.file('word/media/placeholder.png', png(1, 1));
+  return zip.generateAsync({ type: 'uint8array' });
+}
+
+async function settingsXml(bytes) {
+  return (await JSZip.loadAsync(bytes)).file('word/settings.xml').async('string');
+}
+
+test('short values are written with a version header and checksum', { skip }, async () => {
+  const out = await docxCore.writeDocVarSettings(await docxWithSettings(), 'CRONOS_PAYLOAD', '{"a":1}');
+  const xml = await settingsXml(out);
+
+  assert.match(xml, /w:name="CRONOS_PAYLOAD" w:val="FSDV1;enc=plain;chunks=1;length=7;crc32=[0-9a-f]{8}"/);
+  assert.equal(await docxCore.readDocVarSettings(out, 'CRONOS_PAYLOAD'), '{"a":1}');
+});
+
+test('a value that looks like a header round-trips', { skip }, async () => {
+  const value = 'FSDV1;chunks=2;note';
+  const out = await docxCore.writeDocVarSettings(await docxWithSettings(), 'note', value);
+
+  assert.equal(await docxCore.readDocVarSettings(out, 'note'), value);
+});
+
+test('values written before the envelope are read as they are', { skip }, async () => {
+  const bytes = await docxWithSettings('<w:docVar w:name="note" w:val="FSDV1;legacy"/>');
+
+  assert.equal(await docxCore.readDocVarSettings(bytes, 'note'), 'FSDV1;legacy');
+});
+
+test('a damaged part fails the checksum', { skip }, async () => {
+  const out = await docxCore.writeDocVarSettings(await docxWithSettings(), 'note', 'hello');
+  const zip = await JSZip.loadAsync(out);
+  const xml = (await zip.file('word/settings.xml').async('string')).replace('w:val="hello"', 'w:val="hellO"');
+  zip.file('word/settings.xml', xml);
+
+  await assert.rejects(
+    docxCore.readDocVarSettings(await zip.generateAsync({ type: 'uint8array' }), 'note'),
+    { name: 'DocVarChecksumError' }
+  );
+});
+
+test('a replaced placeholder picture leaves no orphaned part', { skip }, async () => {
+  let bytes = await docxWithPicture();
+  bytes = await docxCore.writeImageSDTs(bytes, { photo: { bytes: png(40, 20) } });
+  bytes = await docxCore.writeImageSDTs(bytes, { photo: { bytes: png(20, 40) } });
+  const zip = await JSZip.loadAsync(bytes);
+  const rels = await zip.file('word/_rels/document.xml.rels').async('string');
+
+  assert.deepEqual(Object.keys(zip.files).filter(n => !zip.files[n].dir && n.startsWith('word/media/')), ['word/media/fs_image2.png']);
+  assert.equal(rels.match(/<Relationship /g).length, 1);
+  assert.doesNotMatch(await zip.file('[Content_Types].xml').async('string'), /placeholder\.png/);
+});
+
+test('a placeholder picture used elsewhere is kept', { skip }, async () => {
+  const shared = '<w:p><w:r><w:drawing><a:blip r:embed="rId5"/></w:drawing></w:r></w:p>';
+  const out = await docxCore.writeImageSDTs(await docxWithPicture({ extra: shared }), { photo: { bytes: png(40, 20) } });
+  const zip = await JSZip.loadAsync(out);
+
+  assert.ok(zip.file('word/media/placeholder.png'));
+  assert.match(await zip.file('word/_rels/document.xml.rels').async('string'), /Id="rId5"/);
+});
+
+test('a picture without placeholder fits into 5 cm both ways', { skip }, async () => {
+  const out = await docxCore.writeImageSDTs(await docxWithPicture({ placeholder: false }), { photo: { bytes: png(300, 1200) } });
+  const xml = await (await JSZip.loadAsync(out)).file('word/document.xml').async('string');
+  const [, cx, cy] = xml.match(/<wp:extent cx="(\d+)" cy="(\d+)"/);
+
+  assert.equal(Number(cy), 1800000);
+  assert.equal(Number(cx), 450000);
+});
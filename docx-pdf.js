@@ -0,0 +1,1260 @@
+// docx-pdf.js
+// DOCX -> PDF, in the browser and headless (load after docx-core.js).
+//
+//   const pdfBytes = await docxPdf.docxToPdf(docxBytes, { title });
+//
+// export-core.js uses it for { format: 'pdf' }: the final DOCX (sections removed,
+// SDTs filled, TOC rebuilt) is laid out from its own XML, no Word needed:
+//  - page size and margins of the document's last section; page breaks from
+//    w:br w:type="page", pageBreakBefore and section breaks
+//  - paragraph and character styles (bold, italic, underline, size, colour,
+//    alignment, spacing, indents), lists from numbering.xml
+//  - tables on their w:tblGrid (gridSpan, vMerge, shading, borders when the table
+//    or its style has them); a row that does not fit moves to the next page
+//  - headers and footers (first-page variants) with PAGE / NUMPAGES fields;
+//    PAGEREF fields (TOC page numbers) and links to bookmarks resolve to the PDF pages
+//  - JPEG and PNG pictures at their inline size; other formats leave a frame
+//  - headings become PDF bookmarks
+// Text is set in the PDF standard fonts (Helvetica family, WinAnsi encoding);
+// characters outside WinAnsi print as "?", except check boxes (☐ ☑ ☒ and their
+// Wingdings forms), which are drawn. Floating objects are placed inline;
+// text boxes, columns and footnotes are not rendered.
+
+(function (global) {
+  const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+  const R_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const A_NS = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+  const WP_NS = 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing';
+  const PDF_MIME = 'application/pdf';
+
+  function core() {
+    if (global?.docxCore) return global.docxCore;
+    if (typeof require === 'function') {
+      try { return require('./docx-core.node.js'); } catch {}
+    }
+    return null;
+  }
+
+  function parseXml(text) {
+    const env = core()?.configureDocxCore?.() || {};
+    const Parser = env.DOMParser || globalThis.DOMParser;
+    return new Parser().parseFromString(text, 'application/xml');
+  }
+
+  // ---- XML helpers ----
+  function kids(el, name) {
+    const out = [];
+    for (let n = el?.firstChild; n; n = n.nextSibling) {
+      if (n.nodeType === 1 && (!name || n.localName === name)) out.push(n);
+    }
+    return out;
+  }
+  function kid(el, name) {
+    for (let n = el?.firstChild; n; n = n.nextSibling) {
+      if (n.nodeType === 1 && n.localName === name) return n;
+    }
+    return null;
+  }
+  function wAttr(el, name) {
+    if (!el) return null;
+    const v = el.getAttributeNS(W_NS, name) || el.getAttribute('w:' + name);
+    return v === '' ? null : v;
+  }
+  function wNum(el, name) {
+    const v = wAttr(el, name);
+    return v == null || isNaN(+v) ? null : +v;
+  }
+  // On/off properties (<w:b/>, <w:b w:val="0"/>)
+  function wOn(el) {
+    const v = wAttr(el, 'val');
+    return !(v === '0' || v === 'false' || v === 'off' || v === 'none');
+  }
+  function firstDesc(el, ns, name) {
+    return el?.getElementsByTagNameNS(ns, name)?.[0] || null;
+  }
+
+  // ---- fonts (Helvetica standard 14, WinAnsi) ----
+  // AFM advance widths (1/1000 em) for ASCII 32..126
+  const HELV = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ];
+  const HELV_BOLD = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ];
+  // Non-ASCII glyphs without a base letter (accented letters use their base letter)
+  const EXTRA_WIDTHS = {
+    ' ': 278, '€': 556, '‚': 222, 'ƒ': 556, '„': 333, '…': 1000, '†': 556, '‡': 556,
+    'ˆ': 333, '‰': 1000, '‹': 333, '›': 333, 'Œ': 1000, 'œ': 944, '‘': 222, '’': 222,
+    '“': 333, '”': 333, '•': 350, '–': 556, '—': 1000, '˜': 333, '™': 1000,
+    '¡': 333, '¢': 556, '£': 556, '¤': 556, '¥': 556, '¦': 260, '§': 556, '¨': 333,
+    '©': 737, 'ª': 370, '«': 556, '¬': 584, '­': 333, '®': 737, '¯': 333, '°': 400,
+    '±': 584, '²': 333, '³': 333, '´': 333, 'µ': 556, '¶': 537, '·': 278, '¸': 333,
+    '¹': 333, 'º': 365, '»': 556, '¼': 834, '½': 834, '¾': 834, '¿': 611, 'Æ': 1000,
+    'Ð': 722, '×': 584, 'Ø': 778, 'Þ': 667, 'ß': 611, 'æ': 889, 'ð': 556, '÷': 584,
+    'ø': 611, 'þ': 556
+  };
+  const BOLD_EXTRA_WIDTHS = {
+    '‚': 278, '„': 500, '‘': 278, '’': 278, '“': 500, '”': 500, '‹': 333, '›': 333,
+    '¶': 556, '·': 278, 'ª': 370, 'º': 365, '¦': 280, 'æ': 889, 'ð': 611, 'þ': 611
+  };
+  // WinAnsi codes 0x80..0x9F
+  const WIN_ANSI = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+    '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+    'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+  };
+  const FONTS = { F1: 'Helvetica', F2: 'Helvetica-Bold', F3: 'Helvetica-Oblique', F4: 'Helvetica-BoldOblique' };
+
+  function winAnsiCode(ch) {
+    const c = ch.charCodeAt(0);
+    if ((c >= 32 && c < 127) || (c >= 0xA0 && c <= 0xFF)) return c;
+    return WIN_ANSI[ch] ?? null;
+  }
+
+  // Check boxes have no glyph in the standard fonts; they become 'box' atoms
+  const BOX_STATES = { '\u2610': 'empty', '\u2611': 'check', '\u2612': 'cross' };
+  // Wingdings codes of Word's older check boxes (as U+F0xx text or w:sym)
+  const WINGDINGS_BOXES = { 0x6F: '\u2610', 0xA8: '\u2610', 0x78: '\u2612', 0xFD: '\u2612', 0xFE: '\u2611' };
+
+  // Word text -> characters the standard fonts can show (plus the BOX_STATES ones)
+  function pdfChars(s) {
+    return String(s ?? '')
+      .replace(/[\u200B-\u200D\uFEFF]/g, '')
+      .replace(/[\u2000-\u200A\u202F]/g, ' ')
+      .replace(/[\u2010\u2011\u2212]/g, '-')
+      .replace(/[\uF000-\uF0FF]/g, ch => WINGDINGS_BOXES[ch.charCodeAt(0) & 0xFF] || '\u2022')   // symbol-font bullets
+      .replace(/[^\n]/g, ch => (winAnsiCode(ch) == null && !BOX_STATES[ch] ? '?' : ch));
+  }
+
+  // w:sym -> text: Wingdings check boxes, anything else a bullet
+  function symChar(el) {
+    const code = parseInt(wAttr(el, 'char') || '', 16) & 0xFF;
+    return (/^wingdings$/i.test(wAttr(el, 'font') || '') && WINGDINGS_BOXES[code]) || '•';
+  }
+
+  function glyphWidth(ch, bold) {
+    const c = ch.charCodeAt(0);
+    if (c >= 32 && c <= 126) return (bold ? HELV_BOLD : HELV)[c - 32];
+    if (bold && BOLD_EXTRA_WIDTHS[ch]) return BOLD_EXTRA_WIDTHS[ch];
+    if (EXTRA_WIDTHS[ch]) return EXTRA_WIDTHS[ch];
+    const base = ch.normalize('NFD')[0];
+    if (base !== ch) return glyphWidth(base, bold);
+    return 556;
+  }
+
+  function textWidth(s, font) {
+    let w = 0;
+    for (const ch of s) w += glyphWidth(ch, font.bold);
+    return w * font.size / 1000;
+  }
+
+  function fontKey(font) {
+    return font.bold ? (font.italic ? 'F4' : 'F2') : (font.italic ? 'F3' : 'F1');
+  }
+
+  // ---- styles ----
+  function runProps(rPr) {
+    const out = {};
+    if (!rPr) return out;
+    for (const el of kids(rPr)) {
+      switch (el.localName) {
+        case 'b': out.bold = wOn(el); break;
+        case 'i': out.italic = wOn(el); break;
+        case 'u': out.underline = wAttr(el, 'val') !== 'none'; break;
+        case 'strike': case 'dstrike': out.strike = wOn(el); break;
+        case 'caps': out.caps = wOn(el); break;
+        case 'vanish': out.hidden = wOn(el); break;
+        case 'sz': if (wNum(el, 'val') != null) out.size = wNum(el, 'val') / 2; break;
+        case 'color': {
+          const v = wAttr(el, 'val');
+          if (v && /^[0-9a-f]{6}$/i.test(v)) out.color = v.toUpperCase();
+          else if (v === 'auto') out.color = '000000';
+          break;
+        }
+        case 'vertAlign': out.script = wAttr(el, 'val'); break;
+        case 'rStyle': out.charStyle = wAttr(el, 'val'); break;
+      }
+    }
+    return out;
+  }
+
+  const LEADERS = { dot: '.', hyphen: '-', underscore: '_', middleDot: '·' };
+
+  function paraProps(pPr) {
+    const out = {};
+    if (!pPr) return out;
+    for (const el of kids(pPr)) {
+      switch (el.localName) {
+        case 'pStyle': out.style = wAttr(el, 'val'); break;
+        case 'jc': out.align = wAttr(el, 'val'); break;
+        case 'keepNext': out.keepNext = wOn(el); break;
+        case 'pageBreakBefore': out.pageBreakBefore = wOn(el); break;
+        case 'outlineLvl': if (wNum(el, 'val') != null) out.outlineLvl = wNum(el, 'val'); break;
+        case 'spacing':
+          if (wNum(el, 'before') != null) out.before = wNum(el, 'before') / 20;
+          if (wNum(el, 'after') != null) out.after = wNum(el, 'after') / 20;
+          if (wNum(el, 'line') != null) { out.line = wNum(el, 'line'); out.lineRule = wAttr(el, 'lineRule') || 'auto'; }
+          break;
+        case 'ind': {
+          const left = wNum(el, 'left') ?? wNum(el, 'start');
+          const right = wNum(el, 'right') ?? wNum(el, 'end');
+          if (left != null) out.left = left / 20;
+          if (right != null) out.right = right / 20;
+          if (wNum(el, 'firstLine') != null) { out.firstLine = wNum(el, 'firstLine') / 20; out.hanging = 0; }
+          if (wNum(el, 'hanging') != null) { out.hanging = wNum(el, 'hanging') / 20; out.firstLine = 0; }
+          break;
+        }
+        case 'tabs':
+          out.tabs = kids(el, 'tab')
+            .filter(t => wAttr(t, 'val') !== 'clear' && wNum(t, 'pos') != null)
+            .map(t => ({ pos: wNum(t, 'pos') / 20, align: wAttr(t, 'val') || 'left', leader: LEADERS[wAttr(t, 'leader')] || null }))
+            .sort((a, b) => a.pos - b.pos);
+          break;
+        case 'numPr': {
+          const numId = wAttr(kid(el, 'numId'), 'val');
+          if (numId != null) { out.numId = numId; out.ilvl = wNum(kid(el, 'ilvl'), 'val') ?? 0; }
+          break;
+        }
+      }
+    }
+    return out;
+  }
+
+  function readStyles(doc) {
+    const styles = new Map();
+    let defaultPara = null;
+    const root = doc?.documentElement;
+    for (const st of kids(root, 'style')) {
+      const id = wAttr(st, 'styleId');
+      if (!id) continue;
+      const type = wAttr(st, 'type') || 'paragraph';
+      styles.set(id, {
+        type,
+        name: String(wAttr(kid(st, 'name'), 'val') || id),
+        basedOn: wAttr(kid(st, 'basedOn'), 'val'),
+        p: paraProps(kid(st, 'pPr')),
+        r: runProps(kid(st, 'rPr')),
+        tblBorders: kid(kid(st, 'tblPr'), 'tblBorders')
+      });
+      if (type === 'paragraph' && (st.getAttributeNS(W_NS, 'default') === '1' || st.getAttribute('w:default') === '1')) {
+        defaultPara = id;
+      }
+    }
+    const defaults = kid(root, 'docDefaults');
+    return {
+      styles,
+      defaultPara,
+      defaultP: paraProps(kid(kid(defaults, 'pPrDefault'), 'pPr')),
+      defaultR: runProps(kid(kid(defaults, 'rPrDefault'), 'rPr')),
+      cache: new Map()
+    };
+  }
+
+  // Merged { p, r, name, tblBorders } along the basedOn chain
+  function resolveStyle(st, id) {
+    if (!id || !st.styles.has(id)) return { p: {}, r: {}, name: '', tblBorders: null };
+    if (st.cache.has(id)) return st.cache.get(id);
+    st.cache.set(id, { p: {}, r: {}, name: '', tblBorders: null });   // cycle guard
+    const s = st.styles.get(id);
+    const base = resolveStyle(st, s.basedOn);
+    const out = {
+      p: { ...base.p, ...s.p },
+      r: { ...base.r, ...s.r },
+      name: s.name,
+      tblBorders: s.tblBorders || base.tblBorders
+    };
+    st.cache.set(id, out);
+    return out;
+  }
+
+  function headingLevel(pp, styleName) {
+    if (pp.outlineLvl != null && pp.outlineLvl < 9) return pp.outlineLvl + 1;
+    const m = String(styleName || '').match(/^(?:heading|überschrift)\s*(\d)$/i);
+    return m ? +m[1] : 0;
+  }
+
+  // ---- numbering ----
+  function readNumbering(doc) {
+    const root = doc?.documentElement;
+    const abstracts = new Map();
+    for (const an of kids(root, 'abstractNum')) {
+      const levels = new Map();
+      for (const lvl of kids(an, 'lvl')) levels.set(wNum(lvl, 'ilvl') ?? 0, readLevel(lvl));
+      abstracts.set(wAttr(an, 'abstractNumId'), levels);
+    }
+    const nums = new Map();
+    for (const num of kids(root, 'num')) {
+      const levels = new Map(abstracts.get(wAttr(kid(num, 'abstractNumId'), 'val')) || []);
+      for (const ov of kids(num, 'lvlOverride')) {
+        const ilvl = wNum(ov, 'ilvl') ?? 0;
+        const lvl = kid(ov, 'lvl');
+        const start = wNum(kid(ov, 'startOverride'), 'val');
+        const cur = lvl ? readLevel(lvl) : { ...(levels.get(ilvl) || {}) };
+        if (start != null) cur.start = start;
+        levels.set(ilvl, cur);
+      }
+      nums.set(wAttr(num, 'numId'), levels);
+    }
+    return { nums, counters: new Map() };
+  }
+
+  function readLevel(lvl) {
+    const ind = kid(kid(lvl, 'pPr'), 'ind');
+    return {
+      start: wNum(kid(lvl, 'start'), 'val') ?? 1,
+      fmt: wAttr(kid(lvl, 'numFmt'), 'val') || 'decimal',
+      text: wAttr(kid(lvl, 'lvlText'), 'val') ?? '',
+      p: paraProps(kid(lvl, 'pPr')),
+      hasInd: !!ind,
+      r: runProps(kid(lvl, 'rPr'))
+    };
+  }
+
+  function toRoman(n) {
+    const map = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'], [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+    let out = '';
+    for (const [v, s] of map) while (n >= v) { out += s; n -= v; }
+    return out;
+  }
+  function toLetters(n) {
+    let out = '';
+    while (n > 0) { n--; out = String.fromCharCode(97 + (n % 26)) + out; n = Math.floor(n / 26); }
+    return out;
+  }
+  function formatNumber(n, fmt) {
+    switch (fmt) {
+      case 'lowerLetter': return toLetters(n);
+      case 'upperLetter': return toLetters(n).toUpperCase();
+      case 'lowerRoman': return toRoman(n);
+      case 'upperRoman': return toRoman(n).toUpperCase();
+      case 'decimalZero': return String(n).padStart(2, '0');
+      case 'none': return '';
+      default: return String(n);
+    }
+  }
+
+  // Advances the list counters; -> { label, level } or null
+  function nextListLabel(numbering, numId, ilvl) {
+    const levels = numbering.nums.get(numId);
+    const lvl = levels?.get(ilvl);
+    if (!lvl || numId === '0') return null;
+    const counters = numbering.counters.get(numId) || [];
+    numbering.counters.set(numId, counters);
+    counters[ilvl] = counters[ilvl] == null ? lvl.start : counters[ilvl] + 1;
+    counters.length = ilvl + 1;   // deeper levels restart
+    let label;
+    if (lvl.fmt === 'bullet') {
+      label = lvl.text || '\u2022';   // symbol-font bullets are mapped by pdfChars
+    } else {
+      label = lvl.text.replace(/%(\d)/g, (m, d) => {
+        const i = +d - 1;
+        const c = counters[i] ?? levels.get(i)?.start ?? 1;
+        return formatNumber(c, levels.get(i)?.fmt || 'decimal');
+      });
+    }
+    return { label, level: lvl };
+  }
+
+  // ---- package ----
+  function resolveTarget(partPath, target) {
+    if (target.startsWith('/')) return target.slice(1);
+    const parts = partPath.split('/').slice(0, -1);
+    for (const seg of target.split('/')) {
+      if (seg === '..') parts.pop();
+      else if (seg && seg !== '.') parts.push(seg);
+    }
+    return parts.join('/');
+  }
+
+  async function readRels(zip, partPath) {
+    const i = partPath.lastIndexOf('/');
+    const relsPath = `${partPath.slice(0, i)}/_rels/${partPath.slice(i + 1)}.rels`;
+    const map = new Map();
+    const f = zip.file(relsPath);
+    if (!f) return map;
+    const doc = parseXml(await f.async('string'));
+    for (const rel of Array.from(doc.getElementsByTagName('Relationship'))) {
+      if (rel.getAttribute('TargetMode') === 'External') continue;
+      map.set(rel.getAttribute('Id'), resolveTarget(partPath, rel.getAttribute('Target') || ''));
+    }
+    return map;
+  }
+
+  async function readPart(zip, path) {
+    const f = zip.file(path);
+    return f ? parseXml(await f.async('string')) : null;
+  }
+
+  // ---- images ----
+  function u16(b, i) { return (b[i] << 8) | b[i + 1]; }
+  function u32(b, i) { return ((b[i] << 24) >>> 0) + (b[i + 1] << 16) + (b[i + 2] << 8) + b[i + 3]; }
+
+  function concatBytes(list) {
+    const out = new Uint8Array(list.reduce((n, u8) => n + u8.length, 0));
+    let pos = 0;
+    for (const u8 of list) { out.set(u8, pos); pos += u8.length; }
+    return out;
+  }
+
+  function canDeflate() {
+    return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+  }
+  async function pipeBytes(u8, transform) {
+    const stream = new Blob([u8]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  function jpegInfo(b) {
+    if (b[0] !== 0xFF || b[1] !== 0xD8) return null;
+    let i = 2;
+    while (i + 9 < b.length) {
+      if (b[i] !== 0xFF) { i++; continue; }
+      const marker = b[i + 1];
+      if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) { i += 2; continue; }
+      const len = u16(b, i + 2);
+      if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+        return { height: u16(b, i + 5), width: u16(b, i + 7), comps: b[i + 9] };
+      }
+      i += 2 + len;
+    }
+    return null;
+  }
+
+  function pngUnfilter(data, w, h, bpp) {
+    const stride = w * bpp;
+    const out = new Uint8Array(stride * h);
+    let pos = 0;
+    for (let y = 0; y < h; y++) {
+      const type = data[pos++];
+      const row = y * stride;
+      for (let x = 0; x < stride; x++) {
+        const raw = data[pos++];
+        const a = x >= bpp ? out[row + x - bpp] : 0;
+        const b = y > 0 ? out[row - stride + x] : 0;
+        const c = x >= bpp && y > 0 ? out[row - stride + x - bpp] : 0;
+        let v = raw;
+        if (type === 1) v = raw + a;
+        else if (type === 2) v = raw + b;
+        else if (type === 3) v = raw + ((a + b) >> 1);
+        else if (type === 4) {
+          const p = a + b - c;
+          const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+          v = raw + (pa <= pb && pa <= pc ? a : pb <= pc ? b : c);
+        }
+        out[row + x] = v & 0xFF;
+      }
+    }
+    return out;
+  }
+
+  // PNG -> image XObject id (FlateDecode with PNG predictors; alpha as SMask)
+  async function addPngImage(pdf, b) {
+    if (u32(b, 0) !== 0x89504E47) return null;
+    let pos = 8, ihdr = null, plte = null;
+    const idat = [];
+    while (pos + 8 <= b.length) {
+      const len = u32(b, pos);
+      const type = String.fromCharCode(b[pos + 4], b[pos + 5], b[pos + 6], b[pos + 7]);
+      const data = b.subarray(pos + 8, pos + 8 + len);
+      if (type === 'IHDR') ihdr = { w: u32(data, 0), h: u32(data, 4), depth: data[8], color: data[9], interlace: data[12] };
+      else if (type === 'PLTE') plte = data;
+      else if (type === 'IDAT') idat.push(data);
+      else if (type === 'IEND') break;
+      pos += 12 + len;
+    }
+    if (!ihdr || ihdr.interlace) return null;
+    const { w, h, depth, color } = ihdr;
+    const zdata = concatBytes(idat);
+    const head = `/Type /XObject /Subtype /Image /Width ${w} /Height ${h}`;
+
+    if (color === 0 || color === 2 || (color === 3 && plte)) {
+      const colors = color === 2 ? 3 : 1;
+      let cs = color === 2 ? '/DeviceRGB' : '/DeviceGray';
+      if (color === 3) cs = `[/Indexed /DeviceRGB ${plte.length / 3 - 1} <${hex(plte)}>]`;
+      return pdf.add(`<< ${head} /ColorSpace ${cs} /BitsPerComponent ${depth} /Filter /FlateDecode ` +
+        `/DecodeParms << /Predictor 15 /Colors ${colors} /BitsPerComponent ${depth} /Columns ${w} >> >>`, zdata);
+    }
+    if ((color === 4 || color === 6) && depth === 8 && canDeflate()) {
+      const channels = color === 6 ? 4 : 2;
+      const px = pngUnfilter(await pipeBytes(zdata, new DecompressionStream('deflate')), w, h, channels);
+      const colorCh = channels - 1;
+      const rgb = new Uint8Array(w * h * colorCh);
+      const alpha = new Uint8Array(w * h);
+      for (let i = 0, j = 0, k = 0; i < px.length; i += channels) {
+        for (let c = 0; c < colorCh; c++) rgb[j++] = px[i + c];
+        alpha[k++] = px[i + colorCh];
+      }
+      const smask = pdf.add(`<< /Type /XObject /Subtype /Image /Width ${w} /Height ${h} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode >>`,
+        await pipeBytes(alpha, new CompressionStream('deflate')));
+      return pdf.add(`<< ${head} /ColorSpace ${colorCh === 3 ? '/DeviceRGB' : '/DeviceGray'} /BitsPerComponent 8 /Filter /FlateDecode /SMask ${smask} 0 R >>`,
+        await pipeBytes(rgb, new CompressionStream('deflate')));
+    }
+    return null;
+  }
+
+  function addJpegImage(pdf, b) {
+    const info = jpegInfo(b);
+    if (!info) return null;
+    const cs = info.comps === 1 ? '/DeviceGray' : info.comps === 4 ? '/DeviceCMYK /Decode [1 0 1 0 1 0 1 0]' : '/DeviceRGB';
+    return pdf.add(`<< /Type /XObject /Subtype /Image /Width ${info.width} /Height ${info.height} /ColorSpace ${cs} /BitsPerComponent 8 /Filter /DCTDecode >>`, b);
+  }
+
+  // Media paths referenced by a:blip in the parts -> { name, id } (null: not embeddable)
+  async function loadImages(pdf, zip, parts) {
+    const images = new Map();
+    for (const { doc, rels } of parts) {
+      for (const blip of Array.from(doc.getElementsByTagNameNS(A_NS, 'blip'))) {
+        const path = rels.get(blip.getAttributeNS(R_NS, 'embed') || blip.getAttribute('r:embed'));
+        if (!path || images.has(path)) continue;
+        const f = zip.file(path);
+        let id = null;
+        if (f) {
+          const b = await f.async('uint8array');
+          try { id = jpegInfo(b) ? addJpegImage(pdf, b) : await addPngImage(pdf, b); } catch (e) {
+            console.warn('[PDF] image not embedded:', path, e);
+          }
+        }
+        images.set(path, id ? { id, name: `Im${images.size + 1}` } : null);
+      }
+    }
+    return images;
+  }
+
+  // ---- PDF objects ----
+  function latin1(s) {
+    const u8 = new Uint8Array(s.length);
+    for (let i = 0; i < s.length; i++) u8[i] = s.charCodeAt(i) & 0xFF;
+    return u8;
+  }
+  function hex(u8) {
+    let s = '';
+    for (const b of u8) s += b.toString(16).padStart(2, '0');
+    return s;
+  }
+  function num(n) {
+    return String(Math.round(n * 100) / 100);
+  }
+  // Text (already pdfChars) as a WinAnsi literal string
+  function pdfString(s) {
+    let out = '(';
+    for (const ch of s) {
+      const c = winAnsiCode(ch) ?? 0x3F;
+      out += (c === 0x28 || c === 0x29 || c === 0x5C) ? '\\' + ch : String.fromCharCode(c);
+    }
+    return out + ')';
+  }
+  // Bookmark titles: any Unicode (UTF-16BE)
+  function pdfTextString(s) {
+    let out = '<FEFF';
+    for (let i = 0; i < s.length; i++) out += s.charCodeAt(i).toString(16).padStart(4, '0');
+    return out + '>';
+  }
+  function rgb(hexColor) {
+    const v = parseInt(hexColor || '000000', 16);
+    return [(v >> 16) & 255, (v >> 8) & 255, v & 255].map(c => num(c / 255)).join(' ');
+  }
+
+  // Objects are numbered as they are reserved; bodies can follow later
+  function createPdf() {
+    const objs = [null];
+    return {
+      ref() { objs.push(null); return objs.length - 1; },
+      set(id, dict, stream) { objs[id] = { dict, stream }; },
+      add(dict, stream) { const id = this.ref(); this.set(id, dict, stream); return id; },
+      bytes(rootId, infoId) {
+        const parts = [latin1('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')];
+        let len = parts[0].length;
+        const offsets = [];
+        const push = (u8) => { parts.push(u8); len += u8.length; };
+        for (let id = 1; id < objs.length; id++) {
+          offsets[id] = len;
+          const o = objs[id];
+          if (o.stream) {
+            push(latin1(`${id} 0 obj\n${o.dict.replace(/>>$/, `/Length ${o.stream.length} >>`)}\nstream\n`));
+            push(o.stream);
+            push(latin1('\nendstream\nendobj\n'));
+          } else {
+            push(latin1(`${id} 0 obj\n${o.dict}\nendobj\n`));
+          }
+        }
+        let xref = `xref\n0 ${objs.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objs.length; id++) xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        xref += `trailer\n<< /Size ${objs.length} /Root ${rootId} 0 R${infoId ? ` /Info ${infoId} 0 R` : ''} >>\nstartxref\n${len}\n%%EOF\n`;
+        push(latin1(xref));
+        return concatBytes(parts);
+      }
+    };
+  }
+
+  // ---- layout ----
+  // Blocks are measured into flow elements of a fixed height:
+  //   { h, draw(ops, x, top, vars), keepNext, outline }   lines and table rows
+  //   { gap: h }                                          paragraph spacing (dropped at page tops)
+  //   { pageBreak: true }
+  // `vars` carries { page, pages } for PAGE / NUMPAGES.
+
+  // Paragraph content -> inline items in document order
+  function collectInlines(p, ctx, paraRun) {
+    const items = [];
+    const fields = [];   // open complex fields: { instr, result, name }
+    const inInstr = () => fields.some(f => !f.result);
+    const replaced = () => fields.some(f => f.name);
+    const pushText = (text, font) => { if (text && !inInstr() && !replaced()) items.push({ kind: 'text', text, font }); };
+    // Fields filled while drawing: PAGE, NUMPAGES, PAGEREF <bookmark>
+    const fieldOf = (instr) => {
+      const m = String(instr || '').trim().match(/^(PAGE|NUMPAGES|SECTIONPAGES|PAGEREF)\b\s*([^\s\\]*)/i);
+      if (!m) return null;
+      const name = m[1].toUpperCase().replace('SECTIONPAGES', 'NUMPAGES');
+      return name === 'PAGEREF' ? (m[2] ? { name, bookmark: m[2] } : null) : { name };
+    };
+
+    const run = (r) => {
+      const rp = runProps(kid(r, 'rPr'));
+      const font = ctx.font(paraRun, rp);
+      if (font.hidden) return;
+      for (const el of kids(r)) {
+        switch (el.localName) {
+          case 't': pushText(el.textContent, font); break;
+          case 'tab': if (!inInstr() && !replaced()) items.push({ kind: 'tab', font }); break;
+          case 'br': case 'cr':
+            if (inInstr() || replaced()) break;
+            items.push({ kind: wAttr(el, 'type') === 'page' ? 'page' : 'br', font });
+            break;
+          case 'noBreakHyphen': pushText('-', font); break;
+          case 'sym': pushText(symChar(el), font); break;
+          case 'fldChar': {
+            const type = wAttr(el, 'fldCharType');
+            if (type === 'begin') fields.push({ instr: '', result: false, name: null });
+            else if (type === 'separate' && fields.length) {
+              const f = fields[fields.length - 1];
+              f.result = true;
+              const field = fieldOf(f.instr);
+              f.name = field?.name || null;
+              // inside another field's result (PAGEREF within a TOC) it still shows
+              if (field && fields.slice(0, -1).every(o => o.result && !o.name)) items.push({ kind: 'field', ...field, font });
+            } else if (type === 'end') fields.pop();
+            break;
+          }
+          case 'instrText': if (fields.length) fields[fields.length - 1].instr += el.textContent; break;
+          case 'drawing': if (!inInstr() && !replaced()) pushDrawing(el); break;
+        }
+      }
+    };
+
+    const pushDrawing = (el) => {
+      const extent = firstDesc(el, WP_NS, 'extent');
+      const blip = firstDesc(el, A_NS, 'blip');
+      const w = (+extent?.getAttribute('cx') || 0) / 12700;
+      const h = (+extent?.getAttribute('cy') || 0) / 12700;
+      if (!w || !h) return;
+      const path = ctx.rels.get(blip?.getAttributeNS(R_NS, 'embed') || blip?.getAttribute('r:embed'));
+      items.push({ kind: 'image', w, h, image: ctx.images.get(path) || null });
+    };
+
+    (function walk(node) {
+      for (const el of kids(node)) {
+        switch (el.localName) {
+          case 'r': run(el); break;
+          case 'fldSimple': {
+            const field = fieldOf(wAttr(el, 'instr'));
+            if (field) items.push({ kind: 'field', ...field, font: ctx.font(paraRun, runProps(firstDesc(el, W_NS, 'rPr'))) });
+            else walk(el);
+            break;
+          }
+          case 'hyperlink': {
+            // links to bookmarks become link annotations (external links stay plain text)
+            const from = items.length;
+            walk(el);
+            const anchor = wAttr(el, 'anchor');
+            if (anchor) for (let i = from; i < items.length; i++) items[i].link = anchor;
+            break;
+          }
+          case 'smartTag': case 'customXml': case 'ins': case 'moveTo': case 'sdtContent':
+            walk(el);
+            break;
+          case 'sdt': walk(kid(el, 'sdtContent')); break;
+        }
+      }
+    })(p);
+    return items;
+  }
+
+  // Inline items -> atoms (words, spaces, tabs, breaks, images, fields) with widths
+  function toAtoms(items) {
+    const atoms = [];
+    for (const it of items) {
+      if (it.kind === 'text') {
+        const text = pdfChars(it.font.caps ? it.text.toUpperCase() : it.text);
+        for (const part of text.split(/( +|[\u2610-\u2612])/)) {
+          if (!part) continue;
+          if (BOX_STATES[part]) {
+            atoms.push({ kind: 'box', state: BOX_STATES[part], font: it.font, link: it.link, w: it.font.size * 0.8 });
+            continue;
+          }
+          atoms.push({ kind: part[0] === ' ' ? 'space' : 'word', text: part, font: it.font, link: it.link, w: textWidth(part, it.font) });
+        }
+      } else if (it.kind === 'field') {
+        atoms.push({ ...it, w: textWidth('00', it.font) });
+      } else if (it.kind === 'image') {
+        atoms.push({ ...it, kind: 'image' });
+      } else {
+        atoms.push(it);
+      }
+    }
+    return atoms;
+  }
+
+  const TAB_STOP = 36;   // Word's default tab stops every 1.27 cm
+
+  // Atoms -> lines; the first line starts at `first`, later ones at `rest`, all end at `right`
+  function breakLines(atoms, { first, rest, right, font, tabs = [] }) {
+    const lines = [];
+    let line = { atoms: [], pageBreak: false };
+    let x = first;
+    const finish = () => {
+      while (line.atoms.length && line.atoms[line.atoms.length - 1].kind === 'space') line.atoms.pop();
+      line.end = line.atoms.length ? line.atoms[line.atoms.length - 1].x + line.atoms[line.atoms.length - 1].w : x;
+      lines.push(line);
+      line = { atoms: [], pageBreak: false };
+      x = rest;
+    };
+    const place = (a) => { line.atoms.push({ ...a, x }); x += a.w; };
+
+    atoms.forEach((a, k) => {
+      if (a.kind === 'br') { line.fontHint = a.font; finish(); return; }
+      if (a.kind === 'page') { if (line.atoms.length) finish(); line.pageBreak = true; return; }
+      if (a.kind === 'tab') {
+        const custom = tabs.find(t => t.pos > x + 0.5 && t.pos <= right + 0.5);
+        let to = (Math.floor((x - rest) / TAB_STOP) + 1) * TAB_STOP + rest;
+        let leader = null;
+        if (a.toX != null && a.toX > x + 1) to = a.toX;
+        else if (custom) {
+          leader = custom.leader;
+          // right / centre stops: the text up to the next tab ends (is centred) at the stop
+          let seg = 0;
+          for (let j = k + 1; j < atoms.length && !['tab', 'br', 'page'].includes(atoms[j].kind); j++) seg += atoms[j].w || 0;
+          if (custom.align === 'right' || custom.align === 'end') to = Math.max(x, custom.pos - seg);
+          else if (custom.align === 'center') to = Math.max(x, custom.pos - seg / 2);
+          else to = custom.pos;
+        }
+        place({ kind: 'space', tab: true, text: '', font: a.font, link: a.link, leader, w: Math.min(to, right) - x });
+        return;
+      }
+      if (a.kind === 'space') { if (line.atoms.length) place(a); return; }
+      if (x + a.w > right + 0.01 && line.atoms.some(b => b.kind !== 'space')) finish();
+      if (a.kind === 'word' && a.w > right - x) {
+        // Longer than a whole line: split by characters
+        let chunk = '';
+        for (const ch of a.text) {
+          const w = textWidth(chunk + ch, a.font);
+          if (x + w > right && chunk) {
+            place({ ...a, text: chunk, w: textWidth(chunk, a.font) });
+            finish();
+            chunk = '';
+          }
+          chunk += ch;
+        }
+        if (chunk) place({ ...a, text: chunk, w: textWidth(chunk, a.font) });
+        return;
+      }
+      place(a);
+    });
+    if (line.atoms.length || !lines.length || line.pageBreak) {
+      line.fontHint = line.fontHint || font;
+      finish();
+    }
+    return lines;
+  }
+
+  function drawText(ops, s, font, x, baseline, vars) {
+    const size = font.script ? font.size * 0.65 : font.size;
+    const rise = font.script === 'superscript' ? font.size * 0.33 : font.script === 'subscript' ? -font.size * 0.14 : 0;
+    ops.push(`BT /${fontKey(font)} ${num(size)} Tf ${rgb(font.color)} rg 1 0 0 1 ${num(x)} ${num(vars.y(baseline) + rise)} Tm ${pdfString(s)} Tj ET`);
+    const w = textWidth(s, { ...font, size });
+    if (font.underline) ops.push(`${rgb(font.color)} RG 0.5 w ${num(x)} ${num(vars.y(baseline + 1.5))} m ${num(x + w)} ${num(vars.y(baseline + 1.5))} l S`);
+    if (font.strike) ops.push(`${rgb(font.color)} RG 0.5 w ${num(x)} ${num(vars.y(baseline - size * 0.3))} m ${num(x + w)} ${num(vars.y(baseline - size * 0.3))} l S`);
+  }
+
+  // Check box atom: a square on the baseline, ticked or crossed
+  function drawBox(ops, a, x, baseline, vars) {
+    const s = a.font.size * 0.62;
+    const x0 = x + (a.w - s) / 2;
+    const y0 = vars.y(baseline);
+    const at = (fx, fy) => `${num(x0 + s * fx)} ${num(y0 + s * fy)}`;
+    ops.push(`${rgb(a.font.color)} RG ${num(Math.max(0.4, a.font.size / 20))} w ${num(x0)} ${num(y0)} ${num(s)} ${num(s)} re S`);
+    if (a.state === 'check') ops.push(`${at(0.2, 0.5)} m ${at(0.42, 0.22)} l ${at(0.82, 0.82)} l S`);
+    else if (a.state === 'cross') ops.push(`${at(0.2, 0.2)} m ${at(0.8, 0.8)} l ${at(0.2, 0.8)} m ${at(0.8, 0.2)} l S`);
+  }
+
+  function fieldText(a, vars) {
+    if (a.name === 'PAGE') return String(vars.page);
+    if (a.name === 'NUMPAGES') return String(vars.pages);
+    const target = vars.anchors?.get(a.bookmark);
+    return target ? String(target.page + 1) : '';
+  }
+
+  // Link areas of a line, merged per bookmark
+  function addLink(vars, anchor, x, w, top, h) {
+    if (!vars.links) return;
+    const last = vars.links[vars.links.length - 1];
+    if (last && last.anchor === anchor && last.top === top && Math.abs(last.x1 - x) < 0.5) { last.x1 = x + w; return; }
+    vars.links.push({ anchor, x0: x, x1: x + w, top, bottom: top + h });
+  }
+
+  function measureParagraph(p, width, ctx) {
+    const direct = paraProps(kid(p, 'pPr'));
+    const styleId = direct.style || ctx.styles.defaultPara;
+    const style = resolveStyle(ctx.styles, styleId);
+    const pp = { ...ctx.styles.defaultP, ...style.p, ...direct };
+    const level = headingLevel(pp, style.name);
+    const paraRun = { ...ctx.styles.defaultR, ...style.r, ...runProps(kid(kid(p, 'pPr'), 'rPr')), heading: level };
+    const els = [];
+
+    const items = collectInlines(p, ctx, paraRun);
+    if (paraRun.hidden && !items.length) return els;
+
+    let numbered = null;
+    if (pp.numId != null) {
+      numbered = nextListLabel(ctx.numbering, pp.numId, pp.ilvl || 0);
+      if (numbered?.level.hasInd) Object.assign(pp, numbered.level.p, direct.left != null ? { left: direct.left } : {});
+    }
+
+    const left = pp.left || 0;
+    const rightEdge = width - (pp.right || 0);
+    const first = Math.max(0, left + (pp.firstLine || 0) - (pp.hanging || 0));
+    const atoms = toAtoms(items);
+    if (numbered && numbered.label) {
+      const font = ctx.font(paraRun, numbered.level.r);
+      atoms.unshift(...toAtoms([{ kind: 'text', text: numbered.label, font }]).filter(a => a.kind === 'word' || a.kind === 'box'),
+        { kind: 'tab', font, toX: left > first ? left : null });
+    }
+
+    const baseFont = ctx.font(paraRun, {});
+    if (pp.pageBreakBefore) els.push({ pageBreak: true });
+    if (pp.before) els.push({ gap: pp.before });
+
+    const lines = breakLines(atoms, { first, rest: left, right: rightEdge, font: baseFont, tabs: pp.tabs });
+    lines.forEach((line, i) => {
+      if (line.pageBreak) els.push({ pageBreak: true });
+      let ascent = 0, descent = 0;
+      for (const a of line.atoms) {
+        if (a.kind === 'image') ascent = Math.max(ascent, a.h);
+        else { ascent = Math.max(ascent, a.font.size * 0.905); descent = Math.max(descent, a.font.size * 0.212); }
+      }
+      if (!ascent) { const f = line.fontHint || baseFont; ascent = f.size * 0.905; descent = f.size * 0.212; }
+      let h = ascent + descent + Math.max(0, (ascent + descent) * 0.03);
+      if (pp.line) {
+        if (pp.lineRule === 'exact') h = pp.line / 20;
+        else if (pp.lineRule === 'atLeast') h = Math.max(h, pp.line / 20);
+        else h *= pp.line / 240;
+      }
+      const lastLine = i === lines.length - 1;
+      let shift = 0, spaceExtra = 0;
+      const free = rightEdge - line.end;
+      if (pp.align === 'center') shift = free / 2;
+      else if (pp.align === 'right' || pp.align === 'end') shift = free;
+      else if ((pp.align === 'both' || pp.align === 'distribute') && !lastLine && !lines[i + 1]?.pageBreak) {
+        const gaps = line.atoms.filter(a => a.kind === 'space' && a.text).length;
+        if (gaps) spaceExtra = free / gaps;
+      }
+
+      const el = {
+        h,
+        keepNext: !!(pp.keepNext || level) && lastLine,
+        draw(ops, x0, top, vars) {
+          const baseline = top + (h - ascent - descent) / 2 + ascent;
+          let extra = 0, run = null;
+          const flush = () => {
+            if (run) drawText(ops, run.text, run.font, run.x, baseline, vars);
+            run = null;
+          };
+          for (const a of line.atoms) {
+            const ax = x0 + a.x + shift + extra;
+            if (a.link) addLink(vars, a.link, ax, a.w, top, h);
+            if (a.kind === 'space' && spaceExtra) {
+              // justified: the gaps are stretched, nothing to draw
+              if (a.text) extra += spaceExtra;
+              flush();
+              continue;
+            }
+            if (a.leader && a.w > 0) {
+              flush();
+              const dots = Math.floor((a.w - 3) / textWidth(a.leader, a.font));
+              if (dots > 0) drawText(ops, a.leader.repeat(dots), a.font, ax + a.w - 1.5 - dots * textWidth(a.leader, a.font), baseline, vars);
+              continue;
+            }
+            if (a.kind === 'image') {
+              flush();
+              const y = vars.y(baseline);
+              if (a.image) ops.push(`q ${num(a.w)} 0 0 ${num(a.h)} ${num(ax)} ${num(y)} cm /${a.image.name} Do Q`);
+              else ops.push(`0.6 0.6 0.6 RG 0.5 w ${num(ax)} ${num(y)} ${num(a.w)} ${num(a.h)} re S`);
+              continue;
+            }
+            if (a.kind === 'box') {
+              flush();
+              drawBox(ops, a, ax, baseline, vars);
+              continue;
+            }
+            const text = a.kind === 'field' ? fieldText(a, vars) : a.text;
+            if (!text) { flush(); continue; }
+            if (a.kind === 'field' && line.atoms[line.atoms.indexOf(a) - 1]?.tab) {
+              // page numbers after a tab are measured as "00": keep them flush right
+              flush();
+              drawText(ops, text, a.font, ax + a.w - textWidth(text, a.font), baseline, vars);
+              continue;
+            }
+            if (run && run.font === a.font && Math.abs(run.x + run.w - ax) < 0.01 && !spaceExtra) {
+              run.text += text;
+              run.w += a.w;
+            } else {
+              flush();
+              run = { text, font: a.font, x: ax, w: a.w };
+            }
+          }
+          flush();
+        }
+      };
+      if (i === 0 && level) {
+        const title = items.filter(it => it.kind === 'text').map(it => it.text).join('').replace(/\s+/g, ' ').trim();
+        if (title) el.outline = { title, level };
+      }
+      if (i === 0) {
+        const names = Array.from(p.getElementsByTagNameNS(W_NS, 'bookmarkStart')).map(b => wAttr(b, 'name')).filter(Boolean);
+        if (names.length) el.anchors = names;
+      }
+      els.push(el);
+    });
+
+    if (pp.after) els.push({ gap: pp.after });
+    const sect = kid(kid(p, 'pPr'), 'sectPr');
+    if (sect && wAttr(kid(sect, 'type'), 'val') !== 'continuous') els.push({ pageBreak: true });
+    return els;
+  }
+
+  // Table rows and cells, looking through content controls around them
+  function rowsOf(tbl) {
+    const out = [];
+    (function walk(node) {
+      for (const el of kids(node)) {
+        if (el.localName === 'tr') out.push(el);
+        else if (el.localName === 'sdt') walk(kid(el, 'sdtContent'));
+        else if (el.localName === 'customXml') walk(el);
+      }
+    })(tbl);
+    return out;
+  }
+  function cellsOf(tr) {
+    const out = [];
+    (function walk(node) {
+      for (const el of kids(node)) {
+        if (el.localName === 'tc') out.push(el);
+        else if (el.localName === 'sdt') walk(kid(el, 'sdtContent'));
+        else if (el.localName === 'customXml') walk(el);
+      }
+    })(tr);
+    return out;
+  }
+
+  function hasBorders(bordersEl) {
+    return kids(bordersEl).some(b => !['nil', 'none'].includes(wAttr(b, 'val') || 'nil'));
+  }
+
+  const CELL_PAD = 5.4;   // Word's default 0.19 cm left/right cell margin
+
+  function measureTable(tbl, width, ctx) {
+    const tblPr = kid(tbl, 'tblPr');
+    const style = resolveStyle(ctx.styles, wAttr(kid(tblPr, 'tblStyle'), 'val'));
+    const directBorders = kid(tblPr, 'tblBorders');
+    const bordered = directBorders ? hasBorders(directBorders)
+      : style.tblBorders ? hasBorders(style.tblBorders)
+        : /grid/i.test(wAttr(kid(tblPr, 'tblStyle'), 'val') || '');
+
+    const rows = rowsOf(tbl);
+    let grid = kids(kid(tbl, 'tblGrid'), 'gridCol').map(g => (wNum(g, 'w') || 0) / 20);
+    const maxCols = Math.max(1, ...rows.map(tr => cellsOf(tr).reduce((n, tc) => n + (wNum(kid(kid(tc, 'tcPr'), 'gridSpan'), 'val') || 1), 0)));
+    if (grid.length < maxCols || grid.some(w => !w)) grid = Array(maxCols).fill(width / maxCols);
+    const total = grid.reduce((a, b) => a + b, 0);
+    if (total > width) grid = grid.map(w => w * width / total);
+    const colX = [0];
+    for (const w of grid) colX.push(colX[colX.length - 1] + w);
+
+    const els = [];
+    for (const tr of rows) {
+      const trPr = kid(tr, 'trPr');
+      const minH = (wNum(kid(trPr, 'trHeight'), 'val') || 0) / 20;
+      const exactH = wAttr(kid(trPr, 'trHeight'), 'hRule') === 'exact';
+      const cells = [];
+      let col = 0;
+      for (const tc of cellsOf(tr)) {
+        const tcPr = kid(tc, 'tcPr');
+        const span = wNum(kid(tcPr, 'gridSpan'), 'val') || 1;
+        const vMergeEl = kid(tcPr, 'vMerge');
+        const vMerge = vMergeEl ? (wAttr(vMergeEl, 'val') === 'restart' ? 'restart' : 'continue') : null;
+        const x = colX[Math.min(col, grid.length)];
+        const w = colX[Math.min(col + span, grid.length)] - x;
+        const fill = wAttr(kid(tcPr, 'shd'), 'fill');
+        const cell = { x, w, fill: fill && /^[0-9a-f]{6}$/i.test(fill) ? fill : null, vMerge, els: [], h: 0 };
+        if (vMerge !== 'continue') {
+          cell.els = measureBlocks(kids(tc), Math.max(1, w - 2 * CELL_PAD), ctx).filter(e => !e.pageBreak);
+          // paragraph spacing at the cell's top and bottom does not count
+          while (cell.els.length && cell.els[0].gap != null) cell.els.shift();
+          while (cell.els.length && cell.els[cell.els.length - 1].gap != null) cell.els.pop();
+          cell.h = cell.els.reduce((n, e) => n + (e.h ?? e.gap), 0);
+        }
+        cells.push(cell);
+        col += span;
+      }
+      const h = exactH && minH ? minH : Math.max(minH, ...cells.map(c => c.h + 2 * 1.5), 12);
+      const anchors = cells.flatMap(c => c.els.flatMap(e => e.anchors || []));
+      els.push({
+        h,
+        anchors: anchors.length ? anchors : undefined,
+        draw(ops, x0, top, vars) {
+          for (const c of cells) {
+            if (c.fill) ops.push(`${rgb(c.fill)} rg ${num(x0 + c.x)} ${num(vars.y(top + h))} ${num(c.w)} ${num(h)} re f`);
+            let y = top + 1.5;
+            for (const e of c.els) {
+              if (e.gap != null) { y += e.gap; continue; }
+              e.draw(ops, x0 + c.x + CELL_PAD, y, vars);
+              y += e.h;
+            }
+            if (bordered) {
+              const l = x0 + c.x, r = l + c.w, t = vars.y(top), b = vars.y(top + h);
+              ops.push(`0 0 0 RG 0.5 w ${num(l)} ${num(b)} m ${num(l)} ${num(t)} l ${num(r)} ${num(t)} m ${num(r)} ${num(b)} l S`);
+              ops.push(`${num(l)} ${num(b)} m ${num(r)} ${num(b)} l S`);
+              if (c.vMerge !== 'continue') ops.push(`${num(l)} ${num(t)} m ${num(r)} ${num(t)} l S`);
+            }
+          }
+        }
+      });
+    }
+    return els;
+  }
+
+  function measureBlocks(nodes, width, ctx) {
+    const els = [];
+    for (const el of nodes) {
+      switch (el.localName) {
+        case 'p': els.push(...measureParagraph(el, width, ctx)); break;
+        case 'tbl': els.push(...measureTable(el, width, ctx)); break;
+        case 'sdt': els.push(...measureBlocks(kids(kid(el, 'sdtContent')), width, ctx)); break;
+        case 'customXml': case 'ins': els.push(...measureBlocks(kids(el), width, ctx)); break;
+      }
+    }
+    return els;
+  }
+
+  function pageGeometry(sectPr) {
+    const sz = kid(sectPr, 'pgSz');
+    const mar = kid(sectPr, 'pgMar');
+    const tw = (el, name, dflt) => (wNum(el, name) ?? dflt) / 20;
+    return {
+      width: tw(sz, 'w', 11906),
+      height: tw(sz, 'h', 16838),
+      top: Math.abs(tw(mar, 'top', 1417)),
+      bottom: Math.abs(tw(mar, 'bottom', 1134)),
+      left: tw(mar, 'left', 1417),
+      right: tw(mar, 'right', 1417),
+      header: tw(mar, 'header', 708),
+      footer: tw(mar, 'footer', 708),
+      titlePg: !!kid(sectPr, 'titlePg') && wOn(kid(sectPr, 'titlePg'))
+    };
+  }
+
+  // Body flow elements -> pages of placed elements; headings become bookmarks,
+  // `anchors` collects the position of every Word bookmark (PAGEREF, links)
+  function paginate(els, geo, bodyTop, bodyBottom, anchors) {
+    const pages = [];
+    let page, y;
+    const newPage = () => { page = { placed: [], outline: [] }; pages.push(page); y = bodyTop(pages.length); };
+    newPage();
+    for (let i = 0; i < els.length; i++) {
+      const el = els[i];
+      const bottom = bodyBottom(pages.length);
+      if (el.pageBreak) { newPage(); continue; }
+      if (el.gap != null) {
+        if (page.placed.length && y > bodyTop(pages.length)) y = Math.min(y + el.gap, bottom);
+        continue;
+      }
+      let need = el.h;
+      if (el.keepNext) {
+        const next = els.slice(i + 1).find(e => e.h != null || e.pageBreak);
+        if (next?.h != null) need += next.h;
+      }
+      if (y + need > bottom && page.placed.length) newPage();
+      page.placed.push({ el, x: geo.left, top: y });
+      if (el.outline) page.outline.push({ ...el.outline, top: y });
+      for (const name of el.anchors || []) anchors.set(name, { page: pages.length - 1, top: y });
+      y += el.h;
+    }
+    return pages;
+  }
+
+  function buildOutline(pdf, entries, pageIds, geo) {
+    if (!entries.length) return null;
+    const rootId = pdf.ref();
+    const nodes = entries.map(e => ({ ...e, id: pdf.ref(), children: [] }));
+    const root = { id: rootId, children: [], level: 0 };
+    const stack = [root];
+    for (const n of nodes) {
+      while (stack.length > 1 && stack[stack.length - 1].level >= n.level) stack.pop();
+      n.parent = stack[stack.length - 1];
+      n.parent.children.push(n);
+      stack.push(n);
+    }
+    const count = (n) => n.children.reduce((c, k) => c + 1 + count(k), 0);
+    for (const n of nodes) {
+      const sib = n.parent.children;
+      const i = sib.indexOf(n);
+      let d = `<< /Title ${pdfTextString(n.title)} /Parent ${n.parent.id} 0 R /Dest [${pageIds[n.page]} 0 R /XYZ 0 ${num(geo.height - n.top)} null]`;
+      if (i > 0) d += ` /Prev ${sib[i - 1].id} 0 R`;
+      if (i < sib.length - 1) d += ` /Next ${sib[i + 1].id} 0 R`;
+      if (n.children.length) d += ` /First ${n.children[0].id} 0 R /Last ${n.children[n.children.length - 1].id} 0 R /Count ${count(n)}`;
+      pdf.set(n.id, d + ' >>');
+    }
+    pdf.set(rootId, `<< /Type /Outlines /First ${root.children[0].id} 0 R /Last ${root.children[root.children.length - 1].id} 0 R /Count ${count(root)} >>`);
+    return rootId;
+  }
+
+  async function docxToPdf(bytes, { title } = {}) {
+    const JSZip = await core().ensureJSZip();
+    const zip = await JSZip.loadAsync(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+    const DOC_PATH = 'word/document.xml';
+    const doc = await readPart(zip, DOC_PATH);
+    if (!doc) throw new Error('word/document.xml fehlt');
+    const body = firstDesc(doc, W_NS, 'body');
+    const docRels = await readRels(zip, DOC_PATH);
+    const styles = readStyles(await readPart(zip, 'word/styles.xml'));
+    const numbering = readNumbering(await readPart(zip, 'word/numbering.xml'));
+    const sectPr = kid(body, 'sectPr');
+    const geo = pageGeometry(sectPr);
+    const width = geo.width - geo.left - geo.right;
+
+    // Headers / footers of the last section (default and first page)
+    const stories = {};
+    const parts = [{ doc, rels: docRels }];
+    for (const kind of ['header', 'footer']) {
+      for (const ref of kids(sectPr, `${kind}Reference`)) {
+        const type = wAttr(ref, 'type') || 'default';
+        const path = docRels.get(ref.getAttributeNS(R_NS, 'id') || ref.getAttribute('r:id'));
+        const part = path && await readPart(zip, path);
+        if (!part) continue;
+        const rels = await readRels(zip, path);
+        parts.push({ doc: part, rels });
+        stories[`${kind}:${type}`] = { root: part.documentElement, rels };
+      }
+    }
+
+    const pdf = createPdf();
+    const images = await loadImages(pdf, zip, parts);
+    const ctxFor = (rels) => ({
+      styles,
+      numbering,
+      images,
+      rels,
+      font(paraRun, rp) {
+        const charStyle = rp.charStyle ? resolveStyle(styles, rp.charStyle).r : {};
+        const r = { ...paraRun, ...charStyle, ...rp };
+        const headingSize = [0, 16, 13, 12, 11, 11, 11][paraRun.heading] || 11;
+        return {
+          bold: r.bold ?? (paraRun.heading > 0 && !paraRun.size),
+          italic: !!r.italic,
+          underline: !!r.underline,
+          strike: !!r.strike,
+          caps: !!r.caps,
+          hidden: !!r.hidden,
+          script: r.script === 'superscript' || r.script === 'subscript' ? r.script : null,
+          size: r.size || (paraRun.heading ? headingSize : 11),
+          color: r.color || '000000'
+        };
+      }
+    });
+
+    const measureStory = (key) => {
+      const story = stories[key];
+      if (!story) return null;
+      const els = measureBlocks(kids(story.root), width, ctxFor(story.rels)).filter(e => !e.pageBreak);
+      while (els.length && els[els.length - 1].gap != null) els.pop();
+      return { els, h: els.reduce((n, e) => n + (e.h ?? e.gap), 0) };
+    };
+    const header = { default: measureStory('header:default'), first: measureStory('header:first') };
+    const footer = { default: measureStory('footer:default'), first: measureStory('footer:first') };
+    const pick = (set, pageNo) => (geo.titlePg && pageNo === 1 ? set.first : set.default);
+
+    // The body starts below the header (at least at the top margin), ends above the footer
+    const bodyTop = (pageNo) => Math.max(geo.top, geo.header + (pick(header, pageNo)?.h || 0));
+    const bodyBottom = (pageNo) => geo.height - Math.max(geo.bottom, geo.footer + (pick(footer, pageNo)?.h || 0));
+
+    const bodyEls = measureBlocks(kids(body), width, ctxFor(docRels));
+    const anchors = new Map();
+    const pages = paginate(bodyEls, geo, bodyTop, bodyBottom, anchors);
+
+    const fontIds = {};
+    for (const [key, base] of Object.entries(FONTS)) {
+      fontIds[key] = pdf.add(`<< /Type /Font /Subtype /Type1 /BaseFont /${base} /Encoding /WinAnsiEncoding >>`);
+    }
+    const xobjects = Array.from(images.values()).filter(Boolean).map(im => `/${im.name} ${im.id} 0 R`).join(' ');
+    const resources = pdf.add(`<< /Font << ${Object.entries(fontIds).map(([k, id]) => `/${k} ${id} 0 R`).join(' ')} >>` +
+      (xobjects ? ` /XObject << ${xobjects} >>` : '') + ' >>');
+
+    const pagesId = pdf.ref();
+    const pageIds = pages.map(() => pdf.ref());
+    for (let i = 0; i < pages.length; i++) {
+      const pageNo = i + 1;
+      const vars = { page: pageNo, pages: pages.length, anchors, links: [], y: (top) => geo.height - top };
+      const ops = [];
+      const drawStory = (story, top) => {
+        if (!story) return;
+        let y = top;
+        for (const e of story.els) {
+          if (e.gap != null) { y += e.gap; continue; }
+          e.draw(ops, geo.left, y, vars);
+          y += e.h;
+        }
+      };
+      drawStory(pick(header, pageNo), geo.header);
+      const foot = pick(footer, pageNo);
+      if (foot) drawStory(foot, geo.height - geo.footer - foot.h);
+      for (const { el, x, top } of pages[i].placed) el.draw(ops, x, top, vars);
+
+      const content = latin1(ops.join('\n'));
+      const packed = canDeflate() ? await pipeBytes(content, new CompressionStream('deflate')) : null;
+      const contentId = pdf.add(packed ? '<< /Filter /FlateDecode >>' : '<< >>', packed || content);
+      const annots = vars.links.filter(l => anchors.has(l.anchor)).map(l => {
+        const dest = anchors.get(l.anchor);
+        return pdf.add(`<< /Type /Annot /Subtype /Link /Border [0 0 0] /Rect [${num(l.x0)} ${num(vars.y(l.bottom))} ${num(l.x1)} ${num(vars.y(l.top))}] ` +
+          `/Dest [${pageIds[dest.page]} 0 R /XYZ 0 ${num(geo.height - dest.top)} null] >>`);
+      });
+      pdf.set(pageIds[i], `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(geo.width)} ${num(geo.height)}] ` +
+        `/Resources ${resources} 0 R /Contents ${contentId} 0 R${annots.length ? ` /Annots [${annots.map(id => `${id} 0 R`).join(' ')}]` : ''} >>`);
+    }
+    pdf.set(pagesId, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+
+    const outline = buildOutline(pdf, pages.flatMap((p, i) => p.outline.map(o => ({ ...o, page: i }))), pageIds, geo);
+    const catalog = pdf.add(`<< /Type /Catalog /Pages ${pagesId} 0 R` +
+      (outline ? ` /Outlines ${outline} 0 R /PageMode /UseOutlines` : '') + ' >>');
+    const info = pdf.add(`<< /Producer (Form Suite)${title ? ` /Title ${pdfTextString(String(title))}` : ''} >>`);
+    return pdf.bytes(catalog, info);
+  }
+
+  const api = {
+    PDF_MIME,
+    docxToPdf
+  };
+
+  if (global) global.docxPdf = api;
+
+  // CommonJS (headless)
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof window !== 'undefined' ? window : null);
@@ -0,0 +1,47 @@
+// docx-pdf.test.js
+// Rendering checks for docx-pdf.js:  node --test docx-pdf.test.js
+// (needs jszip and @xmldom/xmldom, see docx-core.node.js)
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+
+let JSZip = null;
+try { JSZip = require('jszip'); } catch {}
+const docxPdf = JSZip ? require('./docx-pdf.js') : null;
+const skip = !docxPdf && 'jszip is not installed';
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+async function docxWithBody(body) {
+  const zip = new JSZip();
+  zip.file('word/document.xml', `<?xml version="1.0"?><w:document xmlns:w="${W_NS}"><w:body>${body}</w:body></w:document>`);
+  return zip.generateAsync({ type: 'uint8array' });
+}
+
+// Inflated content streams that draw text
+function pageStreams(pdf) {
+  const s = Buffer.from(pdf).toString('latin1');
+  const out = [];
+  for (const m of s.matchAll(/stream\n([\s\S]*?)\nendstream/g)) {
+    let text;
+    try { text = zlib.inflateSync(Buffer.from(m[1], 'latin1')).toString('latin1'); } catch { text = m[1]; }
+    if (text.includes(' Tf ')) out.push(text);
+  }
+  return out;
+}
+
+test('check boxes are drawn instead of printed as "?" or bullets', { skip }, async () => {
+  const body =
+    '<w:p><w:r><w:t xml:space="preserve">☐ nein ☒ ja ☑ ok</w:t></w:r></w:p>' +
+    '<w:p><w:r><w:t xml:space="preserve"> alt  alt</w:t></w:r><w:r><w:sym w:font="Wingdings" w:char="F0FD"/></w:r></w:p>';
+  const [ops] = pageStreams(await docxPdf.docxToPdf(await docxWithBody(body)));
+  const shown = Array.from(ops.matchAll(/\((.*?)\) Tj/g), m => m[1]).join('|');
+
+  assert.doesNotMatch(shown, /\?|\x95/);
+  assert.match(shown, /nein/);
+  assert.equal((ops.match(/ re S/g) || []).length, 6);
+  assert.equal((ops.match(/ l S/g) || []).length, 4);   // two ticks, two crosses
+});
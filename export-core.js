@@ -0,0 +1,1807 @@
+// export-core.js
+// Export pipeline for the final DOCX (load after docx-core.js, docx-pdf.js,
+// fs-payload.js, persistence.js and rules-core.js).
+//
+// The form (index.html) exports straight from the active document:
+//
+//   const res = await fsExport.exportDocument(docId, { payload });
+//   fsExport.downloadFile(res.bytes, res.fileName);
+//
+// exportDocument reads the DOCX from the persistence layer (bytes or file handle)
+// and the payload from the saved state when none is given. Heading rules in
+// payload.rules select the sections to remove, `if:<name>` targets the clauses;
+// then {{mustaches}} and SDTs are filled, TOCs regenerated from the remaining
+// headings, the payload is embedded and the result validated (DocxValidationError
+// with err.problems).
+// Options: { removeIds, clauseTags, rebuildToc = true, stripHidden = false,
+// payloadMode: 'plain' | 'encrypt' | 'strip', passphrase, format: 'docx' | 'pdf',
+// removalMode: 'rebuild' | 'remove' | 'vanish' | 'track' (see buildExportDocx), debug }.
+// The result is { bytes, fileName, mimeType, removedIds, hiddenClauses, reasons, matchedRules,
+// report } (report: docx-core's removal report, null for removalMode 'rebuild').
+// format 'pdf' renders the finished DOCX with docx-pdf.js (toPdf for bytes at hand).
+//
+// Headless (Node.js, jszip + @xmldom/xmldom via docx-core.node.js) there is no
+// persistence layer; start from the bytes instead:
+//
+//   const fsExport = require('./export-core.js');
+//   const { bytes } = await fsExport.exportDocx(docxBytes, { payload });
+//   const { bytes: pdf } = await fsExport.exportDocx(docxBytes, { payload, format: 'pdf' });
+//
+// The preview page (workingrmvpayloadtest.html) drives the same steps one by one:
+// loadExportSource -> planRemovals -> transformRemoveFromBase -> buildExportDocx.
+
+(function (global) {
+  const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+  const BASE_PATH = 'customXml/originalDocument.xml';
+  const INDEX_PATH = 'customXml/sections.json';
+  const SEL_PATH = 'customXml/selection.json';
+  const META_PATH = 'customXml/rebuilder_meta.json';
+  const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+  const PDF_MIME = 'application/pdf';
+
+  // Browser: the page globals; headless: the sibling modules
+  function lib(globalName, file) {
+    if (global?.[globalName]) return global[globalName];
+    if (typeof require === 'function') {
+      try { return require(file); } catch {}
+    }
+    return null;
+  }
+  const core = () => lib('docxCore', './docx-core.node.js');
+  const rulesApi = () => lib('FS_RULES', './rules-core.js') || {};
+  const payloadApi = () => lib('fsPayload', './fs-payload.js');
+  const pdfApi = () => lib('docxPdf', './docx-pdf.js');
+  const persist = () => global?.formSuitePersist || null;
+
+  // XML implementations configured for docx-core (xmldom headless), else the browser's
+  function xmlEnv() {
+    const env = core()?.configureDocxCore?.() || {};
+    return {
+      DOMParser: env.DOMParser || globalThis.DOMParser,
+      XMLSerializer: env.XMLSerializer || globalThis.XMLSerializer
+    };
+  }
+  function parseXml(text) {
+    return new (xmlEnv().DOMParser)().parseFromString(text, 'application/xml');
+  }
+  function serializeXml(doc) {
+    return new (xmlEnv().XMLSerializer)().serializeToString(doc);
+  }
+
+  function dbgGroup(on, title, fn) {
+    if (!on) return;
+    try { console.groupCollapsed('[FSDBG] ' + title); fn(); } finally { try { console.groupEnd(); } catch {} }
+  }
+  function dbg(...args) {
+    try { console.log('[FSDBG]', ...args); } catch {}
+  }
+
+  /* ===== Tag matching helpers ===== */
+  function normTagToken(s){
+    s = String(s||'').trim();
+    if(!s) return '';
+    const m = s.match(/\{\{\s*([^}]+?)\s*\}\}/);
+    if(m) s = m[1];
+    return s.replace(/\s+/g,' ').trim().toLowerCase();
+  }
+  function payloadTagMapIndex(payload){
+    const idx = new Map(); // normTag -> {rawTag, fieldId}
+    const tm = payload?.tagMap && typeof payload.tagMap==='object' ? payload.tagMap : {};
+    for(const [rawTag, fieldId] of Object.entries(tm)){
+      const k = normTagToken(rawTag);
+      if(!k) continue;
+      if(!idx.has(k)) idx.set(k, { rawTag, fieldId });
+    }
+    return idx;
+  }
+
+  function normalizePayloadShape(payload){
+    // Older / newer payloads: bring them to the current schemaVersion first (fs-payload.js)
+    if(payload && typeof payload === 'object' && payloadApi()){
+      payload = payloadApi().migratePayload(payload).payload;
+    }
+    const p = (payload && typeof payload === 'object') ? payload : {};
+    const schema = (p.schema && typeof p.schema === 'object') ? p.schema : {};
+    return {
+      ...p,
+      title: p.title ?? schema.title ?? '',
+      fields: Array.isArray(p.fields) ? p.fields : (Array.isArray(schema.fields) ? schema.fields : []),
+      values: (p.values && typeof p.values === 'object') ? p.values : {},
+      tagMap: (p.tagMap && typeof p.tagMap === 'object') ? p.tagMap : {},
+      rules: Array.isArray(p.rules) ? p.rules : []
+    };
+  }
+
+  /* ===== Tag replacement helpers (preview + export) ===== */
+  function formatValue(v){
+    if(v==null) return '';
+    if(Array.isArray(v)){
+      if(v.length && typeof v[0]==='object' && !Array.isArray(v[0])) return `[Tabelle: ${v.length} Zeilen]`;
+      return v.map(x=>formatValue(x)).filter(Boolean).join(', ');
+    }
+    if(typeof v==='object'){
+      if(typeof v.formatted==='string' && v.formatted.trim()) return v.formatted.trim();
+      try{ return JSON.stringify(v); }catch{ return String(v); }
+    }
+    return String(v);
+  }
+  function buildTagCtx(payload){
+    const np = normalizePayloadShape(payload);
+    const fields = Array.isArray(np.fields) ? np.fields : [];
+    const fieldById = new Map(fields.map(f => [String(f?.id || ''), f]).filter(([id]) => !!id));
+    return {
+      idx: payloadTagMapIndex(np||{}),
+      values: (np && np.values && typeof np.values==='object') ? np.values : {},
+      fieldById
+    };
+  }
+  // Rich text as plain text (mustaches / preview); SDTs get the formatted version from writeStructuredSDTs
+  function richTextToPlain(v){
+    const esc = ['\\', '*', '_'];
+    return String(v ?? '')
+      .replace(/\\([\\*_])/g, (m, c) => String.fromCharCode(0xE000 + esc.indexOf(c)))
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/(^|[^\p{L}\p{N}])([*_])(?!\s)(.+?)\2(?![\p{L}\p{N}])/gmu, '$1$3')
+      .replace(/[\uE000-\uE002]/g, c => esc[c.charCodeAt(0) - 0xE000]);
+  }
+  function resolveValueByToken(token, ctx, opts={}){
+    const { skipTables=false } = opts || {};
+    const raw = String(token||'').trim();
+    if(!raw) return null;
+    const k = normTagToken(raw);
+    if(!k) return null;
+
+    const hit = ctx.idx.get(k);
+    if(hit && hit.fieldId){
+      const field = ctx.fieldById?.get?.(String(hit.fieldId || ''));
+      const v = ctx.values[hit.fieldId];
+
+      if(field && String(field.type || '') === 'table'){
+        if(skipTables) return null;
+        const rows = Array.isArray(v) ? v : [];
+        return `[Tabelle: ${rows.length} Zeilen]`;
+      }
+      if(field && String(field.type || '') === 'image'){
+        // written into the picture control by writeImageSDTs, never as text
+        if(skipTables) return null;
+        return v?.assetId ? `[Bild: ${v.name || v.assetId}]` : null;
+      }
+      if(field && String(field.type || '') === 'richtext'){
+        return (v == null || v === '') ? null : richTextToPlain(v);
+      }
+
+      return formatValue(v);
+    }
+
+    if(ctx.values[raw]!=null) return formatValue(ctx.values[raw]);
+
+    for(const key of Object.keys(ctx.values)){
+      if(normTagToken(key)===k) return formatValue(ctx.values[key]);
+    }
+    return null;
+  }
+  // Raw value and schema field behind a token (native controls need the value, not its text)
+  function resolveFieldByToken(token, ctx){
+    const raw = String(token||'').trim();
+    const k = normTagToken(raw);
+    if(!k) return null;
+    const hit = ctx.idx.get(k);
+    if(hit && hit.fieldId){
+      return { field: ctx.fieldById?.get?.(String(hit.fieldId)) || null, value: ctx.values[hit.fieldId] };
+    }
+    const key = ctx.values[raw]!=null ? raw : Object.keys(ctx.values).find(key => normTagToken(key)===k);
+    return key==null ? null : { field: ctx.fieldById?.get?.(key) || null, value: ctx.values[key] };
+  }
+  function buildStructuredBindingsFromPayloadFS(payloadObj){
+    const np = normalizePayloadShape(payloadObj);
+    const fields = Array.isArray(np.fields) ? np.fields : [];
+    const valuesObj = (np.values && typeof np.values === 'object') ? np.values : {};
+    const tagMapObj = (np.tagMap && typeof np.tagMap === 'object') ? np.tagMap : {};
+    const fieldById = new Map(fields.map(f => [String(f?.id || ''), f]).filter(([id]) => !!id));
+    const out = {};
+
+    for(const [tag, fieldIdRaw] of Object.entries(tagMapObj)){
+      const fieldId = String(fieldIdRaw || '');
+      const field = fieldById.get(fieldId);
+      if(field && String(field.type || '') === 'richtext' && typeof valuesObj[fieldId] === 'string'){
+        out[String(tag)] = { kind: 'richtext', fieldId, text: valuesObj[fieldId] };
+        continue;
+      }
+      if(!field || String(field.type || '') !== 'table') continue;
+
+      const rawRows = Array.isArray(valuesObj[fieldId]) ? valuesObj[fieldId] : [];
+      const columns = Array.isArray(field.columns) ? field.columns : [];
+
+      out[String(tag)] = {
+        kind: 'table',
+        fieldId,
+        field: {
+          columns: columns.map((col, idx) => ({
+            id: String(col?.id || `col_${idx+1}`),
+            label: String(col?.label || col?.id || `col_${idx+1}`),
+            type: String(col?.type || 'text'),
+            multiple: !!col?.multiple,
+            width: col?.width ?? null,
+            align: String(col?.align || ''),
+            format: String(col?.format || ''),
+            calc: (col?.calc && typeof col.calc === 'object') ? col.calc : null
+          })),
+          tableStyle: String(field.tableStyle || '')
+        },
+        rows: rawRows
+          .filter(r => r && typeof r === 'object')
+          .map(r => {
+            const obj = {};
+            columns.forEach((col, idx) => {
+              const cid = String(col?.id || `col_${idx+1}`);
+              obj[cid] = Object.prototype.hasOwnProperty.call(r, cid)
+                ? r[cid]
+                : (col?.type === 'select' && col?.multiple ? [] : '');
+            });
+            return obj;
+          })
+      };
+    }
+
+    return out;
+  }
+  // getAsset(assetId) -> { bytes, type, name }; the persistence layer by default
+  async function buildImageBindingsFromPayloadFS(payloadObj, getAsset = (id)=> persist()?.getAsset?.(id)){
+    const np = normalizePayloadShape(payloadObj);
+    const fields = Array.isArray(np.fields) ? np.fields : [];
+    const valuesObj = (np.values && typeof np.values === 'object') ? np.values : {};
+    const tagMapObj = (np.tagMap && typeof np.tagMap === 'object') ? np.tagMap : {};
+    const fieldById = new Map(fields.map(f => [String(f?.id || ''), f]).filter(([id]) => !!id));
+    const out = {};
+
+    for(const [tag, fieldIdRaw] of Object.entries(tagMapObj)){
+      const fieldId = String(fieldIdRaw || '');
+      const field = fieldById.get(fieldId);
+      const ref = valuesObj[fieldId];
+      if(!field || String(field.type || '') !== 'image' || !ref?.assetId) continue;
+
+      const asset = await getAsset(ref.assetId);
+      if(!asset?.bytes){
+        console.warn('[FSDBG][export] image asset missing', { tag, assetId: ref.assetId });
+        continue;
+      }
+      out[String(tag)] = {
+        bytes: new Uint8Array(asset.bytes),
+        contentType: asset.type || ref.type || null,
+        name: ref.name || asset.name || ''
+      };
+    }
+
+    return out;
+  }
+  /* ===== Mustache template syntax ===== */
+  // Paragraph text (collapsed across runs) is rendered as a small template against the
+  // payload values:
+  //   {{field}}                              value as before (tagMap first, then value keys)
+  //   {{betrag | currency}}                  formatters, chainable: currency[:"EUR"],
+  //   {{datum | date:"dd.MM.yyyy"}}          number[:decimals], date[:pattern], upper, lower,
+  //                                          default:"…"
+  //   {{#if field == "x"}}…{{else}}…{{/if}}  ==, !=, >, <, >=, <= or a rule operator (equals,
+  //                                          notEquals, anyOf, allOf, contains, isEmpty,
+  //                                          isNotEmpty, gt, lt, gte, lte) via ruleMatchesValue;
+  //                                          {{#if field}} / {{#if !field}} test for a value
+  //   {{#each table}}…{{/each}}              once per table row / list value; inside, column
+  //                                          ids resolve first and {{this}} is the item
+  // Blocks either open and close within one paragraph, or stand in paragraphs of their
+  // own ({{#if …}} / {{else}} / {{/if}} alone in a paragraph) and then keep, drop or repeat
+  // the paragraphs and tables between them. Anything else unbalanced is left as it is
+  // (preview) or fails the export with a TemplateSyntaxError (strict). Literals may use
+  // "…" or Word's „…“ quotes.
+  const TEMPLATE_TOKEN_RE = /\{\{\s*([^}]+?)\s*\}\}/g;
+  const TEMPLATE_QUOTES = '"\'„“”‚‘’';
+  const TEMPLATE_SYMBOL_OPS = { '==':'equals', '!=':'notEquals', '>=':'gte', '<=':'lte', '>':'gt', '<':'lt' };
+  const TEMPLATE_RULE_OPS = ['equals','notEquals','anyOf','allOf','contains','isEmpty','isNotEmpty','gte','lte','gt','lt'];
+  const TEMPLATE_MONTHS = ['Januar','Februar','März','April','Mai','Juni','Juli','August','September','Oktober','November','Dezember'];
+
+  function isTemplateControlToken(inner){
+    return /^(#(if|each)\s|\/(if|each)$|else$)/.test(String(inner||'').trim());
+  }
+
+  function splitOutsideQuotes(s, sep){
+    const out = [];
+    let cur = '', quoted = false;
+    for(const ch of String(s ?? '')){
+      if(TEMPLATE_QUOTES.includes(ch)) quoted = !quoted;
+      if(ch === sep && !quoted){ out.push(cur.trim()); cur = ''; }
+      else cur += ch;
+    }
+    out.push(cur.trim());
+    return out;
+  }
+  function templateLiteral(s){
+    s = String(s ?? '').trim();
+    if(s.length >= 2 && TEMPLATE_QUOTES.includes(s[0]) && TEMPLATE_QUOTES.includes(s[s.length-1])) return s.slice(1, -1);
+    return s;
+  }
+
+  // Applies one control token to the stack of open blocks; false when it does not fit
+  function pushTemplateControl(stack, inner){
+    const top = stack[stack.length-1];
+    let m;
+    if((m = inner.match(/^#if\s+(.+)$/))){
+      const node = { if: m[1].trim(), then: [], else: [] };
+      top.list.push(node);
+      stack.push({ node, list: node.then });
+    } else if((m = inner.match(/^#each\s+(.+)$/))){
+      const node = { each: m[1].trim(), body: [] };
+      top.list.push(node);
+      stack.push({ node, list: node.body });
+    } else if(inner === 'else'){
+      if(!top.node || !('if' in top.node) || top.list === top.node.else) return false;
+      top.list = top.node.else;
+    } else if((m = inner.match(/^\/(if|each)$/))){
+      if(!top.node || !(m[1] in top.node)) return false;
+      stack.pop();
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  // Text -> nodes (strings, { var }, { if, then, else }, { each, body }); null when unbalanced
+  function parseMustacheTemplate(text){
+    text = String(text || '');
+    const root = [];
+    const stack = [{ node:null, list:root }];
+    let last = 0;
+    for(const tok of text.matchAll(TEMPLATE_TOKEN_RE)){
+      const top = stack[stack.length-1];
+      if(tok.index > last) top.list.push(text.slice(last, tok.index));
+      last = tok.index + tok[0].length;
+      const inner = tok[1].trim();
+      if(!isTemplateControlToken(inner)) top.list.push({ var: inner, raw: tok[0] });
+      else if(!pushTemplateControl(stack, inner)) return null;
+    }
+    if(stack.length > 1) return null;
+    if(last < text.length) root.push(text.slice(last));
+    return root;
+  }
+
+  // {{#if …}} expression -> { name, op, expected, bare, negate }
+  function parseTemplateCondition(expr){
+    expr = String(expr || '').trim();
+    let m = expr.match(/^(!?)\s*([^\s=!<>]+)$/);
+    if(m) return { name: m[2], op: m[1] ? 'isEmpty' : 'isNotEmpty', expected: '', bare: true, negate: !!m[1] };
+    m = expr.match(/^(.+?)\s*(==|!=|>=|<=|>|<)\s*(.+)$/);
+    if(m) return { name: m[1].trim(), op: TEMPLATE_SYMBOL_OPS[m[2]], expected: m[3] };
+    m = expr.match(new RegExp(`^(.+?)\\s+(${TEMPLATE_RULE_OPS.join('|')})(?:\\s+(.+))?$`));
+    if(m) return { name: m[1].trim(), op: m[2], expected: m[3] || '' };
+    return null;
+  }
+
+  // Field reference(s) behind a mustache token (field-id diagnostics)
+  function templateTokenRefs(inner){
+    const s = String(inner || '').trim();
+    let m;
+    if((m = s.match(/^#each\s+(.+)$/))) return [m[1].trim()];
+    if((m = s.match(/^#if\s+(.+)$/))){
+      const cond = parseTemplateCondition(m[1]);
+      return cond ? [cond.name] : [];
+    }
+    if(isTemplateControlToken(s)) return [];
+    return [splitOutsideQuotes(s, '|')[0]];
+  }
+
+  // Innermost {{#each}} item first: the item itself ({{this}}) or one of its columns
+  function lookupEachItem(name, scope){
+    const k = normTagToken(name);
+    for(let s = scope; s; s = s.parent){
+      if(!('item' in s)) continue;
+      if(name === 'this') return { value: s.item, type: '' };
+      const row = s.item;
+      if(!row || typeof row !== 'object' || Array.isArray(row)) continue;
+      const key = Object.keys(row).find(c => c === name || normTagToken(c) === k);
+      if(key == null) continue;
+      const col = (s.columns || []).find(c => String(c?.id) === key);
+      return { value: row[key], type: String(col?.type || '') };
+    }
+    return null;
+  }
+
+  // Raw value behind a token (not formatted): each item, then tagMap, then value keys
+  function lookupTemplateValue(name, scope){
+    const item = lookupEachItem(name, scope);
+    if(item) return item;
+    const ctx = scope.ctx;
+    const k = normTagToken(name);
+    if(!k) return null;
+    const hit = ctx.idx.get(k);
+    const fieldId = hit?.fieldId ? String(hit.fieldId)
+      : (ctx.values[name] != null ? name : Object.keys(ctx.values).find(key => normTagToken(key) === k));
+    if(fieldId == null) return null;
+    const field = ctx.fieldById?.get?.(fieldId) || null;
+    return { value: ctx.values[fieldId], type: String(field?.type || ''), field };
+  }
+
+  function templateNumber(v){
+    if(typeof v === 'number') return v;
+    let s = String(v ?? '').replace(/[\s€]/g, '');
+    if(!s) return NaN;
+    if(s.includes(',')) s = s.replace(/\./g, '').replace(',', '.');
+    return Number(s);
+  }
+  function templateDate(v){
+    if(v instanceof Date) return Number.isNaN(v.getTime()) ? null : v;
+    const s = String(v ?? '').trim();
+    let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if(m) return new Date(+m[1], m[2]-1, +m[3]);
+    m = s.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+    if(m) return new Date(+m[3], m[2]-1, +m[1]);
+    return null;
+  }
+
+  const TEMPLATE_FORMATTERS = {
+    currency(v, code='EUR'){
+      const n = templateNumber(v);
+      return Number.isNaN(n) ? v : new Intl.NumberFormat('de-DE', { style:'currency', currency:code }).format(n);
+    },
+    number(v, decimals){
+      const n = templateNumber(v);
+      const d = Number(decimals);
+      if(Number.isNaN(n)) return v;
+      return new Intl.NumberFormat('de-DE', (decimals != null && d >= 0) ? { minimumFractionDigits:d, maximumFractionDigits:d } : {}).format(n);
+    },
+    date(v, pattern='dd.MM.yyyy'){
+      const d = templateDate(v);
+      if(!d) return v;
+      const pad = (n)=> String(n).padStart(2, '0');
+      const parts = {
+        yyyy: d.getFullYear(), yy: pad(d.getFullYear() % 100),
+        MMMM: TEMPLATE_MONTHS[d.getMonth()], MM: pad(d.getMonth()+1), M: d.getMonth()+1,
+        dd: pad(d.getDate()), d: d.getDate()
+      };
+      return String(pattern).replace(/yyyy|yy|MMMM|MM|M|dd|d/g, t => parts[t]);
+    },
+    upper: (v)=> formatValue(v).toUpperCase(),
+    lower: (v)=> formatValue(v).toLowerCase(),
+    default: (v, fallback='')=> (v == null || v === '' || (Array.isArray(v) && !v.length)) ? fallback : v
+  };
+
+  function evalTemplateCondition(expr, scope){
+    const cond = parseTemplateCondition(expr);
+    if(!cond){
+      console.warn('[FSDBG][template] unreadable condition', expr);
+      return false;
+    }
+    const hit = lookupTemplateValue(cond.name, scope);
+    const actual = hit?.value;
+    const type = hit?.type || '';
+
+    // {{#if agb}}: an unticked checkbox counts as empty too
+    if(cond.bare){
+      const on = rulesApi().ruleMatchesValue('isNotEmpty', null, actual, type) && actual !== false && String(actual) !== 'false';
+      return cond.negate ? !on : on;
+    }
+
+    const list = splitOutsideQuotes(cond.expected, ',').map(templateLiteral);
+    const expected = (cond.op === 'anyOf' || cond.op === 'allOf') ? list : list[0];
+    if(type === 'date' && ['equals','notEquals','gt','lt','gte','lte'].includes(cond.op)){
+      const a = templateDate(actual), b = templateDate(expected);
+      return !!(a && b) && rulesApi().ruleMatchesValue(cond.op, b.getTime(), a.getTime(), 'number');
+    }
+    return rulesApi().ruleMatchesValue(cond.op, expected, actual, type);
+  }
+
+  function renderTemplateVar(inner, scope, opts={}){
+    const [name, ...pipes] = splitOutsideQuotes(inner, '|');
+    if(!pipes.length){
+      const item = lookupEachItem(name, scope);
+      return item ? formatValue(item.value) : resolveValueByToken(name, scope.ctx, opts);
+    }
+
+    const hit = lookupTemplateValue(name, scope);
+    let v = (hit?.type === 'richtext') ? richTextToPlain(hit.value) : hit?.value;
+    for(const pipe of pipes){
+      const [fname, ...args] = splitOutsideQuotes(pipe, ':');
+      const fn = TEMPLATE_FORMATTERS[fname];
+      if(!fn){ console.warn('[FSDBG][template] unknown formatter', fname); continue; }
+      try { v = fn(v, ...args.map(templateLiteral)); }
+      catch(e){ console.warn('[FSDBG][template] formatter failed', fname, e); }
+    }
+    return (hit || v != null) ? formatValue(v) : null;
+  }
+
+  function renderTemplateNodes(nodes, scope, opts={}){
+    let out = '';
+    for(const n of nodes){
+      if(typeof n === 'string'){
+        out += n;
+      } else if('var' in n){
+        const v = renderTemplateVar(n.var, scope, opts);
+        out += (v != null) ? v : (opts.removeUnmatched ? '' : n.raw);
+      } else if('if' in n){
+        out += renderTemplateNodes(evalTemplateCondition(n.if, scope) ? n.then : n.else, scope, opts);
+      } else {
+        const hit = lookupTemplateValue(n.each, scope);
+        const items = Array.isArray(hit?.value) ? hit.value : [];
+        const columns = Array.isArray(hit?.field?.columns) ? hit.field.columns : [];
+        for(const item of items) out += renderTemplateNodes(n.body, { ctx: scope.ctx, parent: scope, item, columns }, opts);
+      }
+    }
+    return out;
+  }
+
+  // opts.scope: the {{#each}} item scope of a repeated paragraph (block templates)
+  function replaceMustachesInText(text, ctx, opts={}){
+    const { removeUnmatched=false, skipTables=false, scope=null } = opts || {};
+    const nodes = parseMustacheTemplate(text);
+    if(nodes) return renderTemplateNodes(nodes, scope || { ctx }, { removeUnmatched, skipTables });
+
+    console.warn('[FSDBG][template] unbalanced {{#if}}/{{#each}}, blocks left as they are', text);
+    return String(text||'').replace(TEMPLATE_TOKEN_RE, (m, inner)=>{
+      if(isTemplateControlToken(inner)) return m;
+      const v = renderTemplateVar(inner, { ctx }, { skipTables });
+      if(v!=null) return v;
+      return removeUnmatched ? '' : m;
+    });
+  }
+
+  /* ===== Block templates: {{#if}} / {{#each}} markers in paragraphs of their own ===== */
+  // Control tokens of a paragraph that holds nothing else, else null (section breaks stay)
+  function templateMarkerTokens(el, skip){
+    if(el.namespaceURI !== W_NS || el.localName !== 'p' || skip?.has(el)) return null;
+    if(el.getElementsByTagNameNS(W_NS,'sdt').length || el.getElementsByTagNameNS(W_NS,'sectPr').length) return null;
+    const text = tNodesOutsideSDT(el).map(t => t.textContent || '').join('');
+    if(!text.includes('{{')) return null;
+    const toks = [];
+    const rest = text.replace(TEMPLATE_TOKEN_RE, (m, inner)=>{ toks.push(inner.trim()); return ''; });
+    return (!rest.trim() && toks.every(isTemplateControlToken)) ? toks : null;
+  }
+
+  // Sibling elements -> nodes (elements, { if, then, else }, { each, body }); null when unbalanced
+  function parseBlockTemplate(children, skip){
+    const root = [];
+    const stack = [{ node:null, list:root }];
+    for(const el of children){
+      const toks = templateMarkerTokens(el, skip);
+      if(!toks){ stack[stack.length-1].list.push(el); continue; }
+      for(const inner of toks) if(!pushTemplateControl(stack, inner)) return null;
+    }
+    return stack.length > 1 ? null : root;
+  }
+
+  // -> [{ el, scope }] in document order; repeated elements are clones
+  function renderBlockNodes(nodes, scope, clone){
+    const out = [];
+    for(const n of nodes){
+      if(n.nodeType === 1){
+        out.push({ el: clone ? n.cloneNode(true) : n, scope });
+      } else if('if' in n){
+        out.push(...renderBlockNodes(evalTemplateCondition(n.if, scope) ? n.then : n.else, scope, clone));
+      } else {
+        const hit = lookupTemplateValue(n.each, scope);
+        const items = Array.isArray(hit?.value) ? hit.value : [];
+        const columns = Array.isArray(hit?.field?.columns) ? hit.field.columns : [];
+        for(const item of items){
+          out.push(...renderBlockNodes(n.body, { ctx: scope.ctx, parent: scope, item, columns }, true));
+        }
+      }
+    }
+    return out;
+  }
+
+  // Paragraph mustaches inside el, rendered in an {{#each}} item scope
+  function replaceScopedMustaches(el, scope, opts){
+    const ps = el.localName === 'p' ? [el] : Array.from(el.getElementsByTagNameNS(W_NS,'p'));
+    for(const p of ps){
+      const ts = tNodesOutsideSDT(p);
+      const combined = ts.map(t => t.textContent || '').join('');
+      if(!combined.includes('{{') || !parseMustacheTemplate(combined)) continue;
+      ts[0].textContent = replaceMustachesInText(combined, scope.ctx, { ...opts, scope });
+      for(let i=1;i<ts.length;i++) ts[i].textContent = '';
+    }
+  }
+
+  // Keeps, drops or repeats the paragraphs/tables between marker paragraphs, in every
+  // block container (body, cells, headers, …); returns the number of blocks expanded.
+  // Paragraphs in opts.skip are never markers.
+  function applyBlockTemplates(doc, ctx, opts={}){
+    const skip = opts.skip || null;
+    const containers = [];
+    for(const p of Array.from(doc.getElementsByTagNameNS(W_NS,'p'))){
+      if(templateMarkerTokens(p, skip) && !containers.includes(p.parentNode)) containers.push(p.parentNode);
+    }
+    let expanded = 0;
+    for(const container of containers.reverse()){
+      const children = Array.from(container.childNodes).filter(n => n.nodeType === 1);
+      const nodes = parseBlockTemplate(children, skip);
+      if(!nodes){
+        console.warn('[FSDBG][template] unbalanced block markers in', container.localName);
+        continue;
+      }
+      const rendered = renderBlockNodes(nodes, { ctx }, false);
+      const anchor = children.length ? children[children.length-1].nextSibling : null;
+      for(const el of children) container.removeChild(el);
+      for(const { el, scope } of rendered){
+        container.insertBefore(el, anchor);
+        if(scope.parent) replaceScopedMustaches(el, scope, opts);
+      }
+      expanded++;
+    }
+    return expanded;
+  }
+
+  function templateSyntaxError(texts){
+    const sample = texts.slice(0, 3).map(t => `„${normalizeText(t).slice(0, 80)}“`).join(', ');
+    const e = new Error(`Vorlagenfehler: {{#if}}/{{#each}} ohne passendes {{/if}}/{{/each}} in ${texts.length} Absatz/Absätzen: ${sample}`);
+    e.name = 'TemplateSyntaxError';
+    e.paragraphs = texts;
+    return e;
+  }
+
+  /* ===== FIX: helpers to avoid rewriting SDT-contained runs during paragraph mustache collapse ===== */
+  function hasAncestorW(n, localName){
+    while(n){
+      if(n.nodeType === 1 && n.namespaceURI === W_NS && n.localName === localName) return true;
+      n = n.parentNode;
+    }
+    return false;
+  }
+  function tNodesOutsideSDT(p){
+    const all = Array.from(p.getElementsByTagNameNS(W_NS,'t'));
+    return all.filter(t => !hasAncestorW(t, 'sdt'));
+  }
+
+  function textOfNodeWithSDT(node, ctx){
+    let out='';
+    const rec = (n)=>{
+      if(!n) return;
+      if(n.nodeType===3){ out+=n.nodeValue||''; return; }
+      if(n.nodeType!==1) return;
+      const ln = n.localName;
+      if(ln==='t'){ out+=n.textContent||''; return; }
+      if(ln==='sdt'){
+        const pr = n.getElementsByTagNameNS(W_NS,'sdtPr')[0];
+        let tagVal='', alias='';
+        if(pr){
+          const tEl = pr.getElementsByTagNameNS(W_NS,'tag')[0];
+          if(tEl) tagVal = tEl.getAttributeNS(W_NS,'val') || tEl.getAttribute('w:val') || '';
+          const aEl = pr.getElementsByTagNameNS(W_NS,'alias')[0];
+          if(aEl) alias = aEl.getAttributeNS(W_NS,'val') || aEl.getAttribute('w:val') || '';
+        }
+        const v = resolveValueByToken(tagVal||alias, ctx, { skipTables:true });
+        if(v!=null){ out+=v; return; }
+      }
+      for(const ch of n.childNodes) rec(ch);
+    };
+    rec(node);
+    return out;
+  }
+
+  // opts.strict: unbalanced {{#if}}/{{#each}} throw a TemplateSyntaxError instead of
+  // being left in the document. opts.skip: paragraphs removed after filling (docx-core
+  // removal modes); their markers are neither expanded nor checked.
+  function applyTagReplacementsToDoc(doc, payload, opts={}){
+    const ctx = buildTagCtx(payload||{});
+    const dc = core();
+    const { removeUnmatched=false, skipTables=false, debug=false, strict=false, skip=null } = opts || {};
+
+    const __stats = {
+      sdtTotal:0, sdtTokenResolved:0, sdtTokenUnresolved:0, sdtRemoved:0, sdtInserted:0,
+      mustacheHits:0, mustacheContainersTouched:0, mustacheContainersChanged:0, mustacheRemoved:0
+    };
+    const __unresolved = new Map(); // token -> count
+    const __resolved = new Map();   // token -> {count, value}
+    const recUnres = (tok)=>{ tok=String(tok||'').trim()||'(empty-token)'; __unresolved.set(tok, (__unresolved.get(tok)||0)+1); };
+    const recRes = (tok, val)=>{ tok=String(tok||'').trim()||'(empty-token)'; const cur=__resolved.get(tok)||{count:0, value:val}; cur.count++; cur.value=val; __resolved.set(tok, cur); };
+
+    // ============================================================
+    // 0) Block templates spanning paragraphs (marker paragraphs)
+    // ============================================================
+    __stats.templateBlocks = applyBlockTemplates(doc, ctx, { removeUnmatched, skipTables, skip });
+
+    // ============================================================
+    // 1) FIXED mustache replacement across split runs:
+    //    Only operate on <w:t> OUTSIDE any <w:sdt>.
+    // ============================================================
+    const unbalanced = [];
+    const psAll = Array.from(doc.getElementsByTagNameNS(W_NS,'p'));
+    for(const p of psAll){
+      const ts = tNodesOutsideSDT(p);
+      if(!ts.length) continue;
+
+      let combined = '';
+      for(const t of ts) combined += (t.textContent || '');
+
+      if(!/\{\{/.test(combined)) continue;
+
+      __stats.mustacheContainersTouched++;
+      if(strict && !skip?.has(p) && !parseMustacheTemplate(combined)){
+        unbalanced.push(combined);
+        continue;
+      }
+
+      const ms = combined.match(/\{\{\s*[^}]+?\s*\}\}/g);
+      if(ms){
+        __stats.mustacheHits += ms.length;
+        for(const mm of ms){
+          const inner = (mm.match(/\{\{\s*([^}]+?)\s*\}\}/)||[])[1] || '';
+          if(isTemplateControlToken(inner)) continue;
+          const rv = renderTemplateVar(inner, { ctx });
+          if(rv==null) recUnres(inner);
+          else recRes(inner, rv);
+        }
+      }
+
+      const replaced = replaceMustachesInText(combined, ctx, { removeUnmatched, skipTables });
+
+      if(replaced !== combined){
+        __stats.mustacheContainersChanged++;
+
+        if(removeUnmatched){
+          if(/\{\{/.test(combined) && !/\{\{/.test(replaced) && (replaced||'').trim()==='') __stats.mustacheRemoved++;
+        }
+
+        ts[0].textContent = replaced;
+        for(let i=1;i<ts.length;i++) ts[i].textContent = '';
+      }
+    }
+
+    if(unbalanced.length) throw templateSyntaxError(unbalanced);
+
+    // ============================================================
+    // 2) SDT token replacement (w:tag or w:alias)
+    // ============================================================
+    const sdts = Array.from(doc.getElementsByTagNameNS(W_NS,'sdt'));
+    __stats.sdtTotal = sdts.length;
+
+    for(const sdt of sdts){
+      const pr = sdt.getElementsByTagNameNS(W_NS,'sdtPr')[0];
+      const content = sdt.getElementsByTagNameNS(W_NS,'sdtContent')[0];
+      if(!pr || !content) continue;
+
+      const tEl = pr.getElementsByTagNameNS(W_NS,'tag')[0];
+      const aEl = pr.getElementsByTagNameNS(W_NS,'alias')[0];
+      const tagVal = tEl ? (tEl.getAttributeNS(W_NS,'val') || tEl.getAttribute('w:val') || '') : '';
+      const alias  = aEl ? (aEl.getAttributeNS(W_NS,'val') || aEl.getAttribute('w:val') || '') : '';
+      const token = (tagVal||alias||'').trim();
+
+      if(!token) continue;
+
+      // Checkbox, drop-down and date controls get their native state (docx-core), never raw text
+      if(dc?.nativeControlKind?.(sdt)){
+        const hit = resolveFieldByToken(token, ctx);
+        if(hit && dc.writeNativeControl(doc, sdt, hit.value, hit.field)){
+          __stats.sdtTokenResolved++;
+          recRes(token, hit.value);
+        } else {
+          __stats.sdtTokenUnresolved++;
+          recUnres(token);
+        }
+        continue;
+      }
+
+      const v = resolveValueByToken(token, ctx, { skipTables });
+      if(v==null){
+        __stats.sdtTokenUnresolved++;
+        recUnres(token);
+        continue;
+      }
+
+      __stats.sdtTokenResolved++;
+      recRes(token, v);
+
+      const ts = Array.from(content.getElementsByTagNameNS(W_NS,'t'));
+      if(ts.length){
+        ts[0].textContent = v;
+        for(let i=1;i<ts.length;i++) ts[i].textContent = '';
+      }else{
+        __stats.sdtInserted++;
+        const r = doc.createElementNS(W_NS,'w:r');
+        const tt = doc.createElementNS(W_NS,'w:t');
+        tt.textContent = v;
+        r.appendChild(tt);
+        content.appendChild(r);
+      }
+    }
+
+    dbgGroup(debug, 'Tag replacement summary', ()=>{
+      dbg('ctx.idx size', ctx?.idx ? ctx.idx.size : 0);
+      dbg('stats', __stats);
+      const unres = Array.from(__unresolved.entries()).sort((a,b)=>b[1]-a[1]).slice(0,50);
+      const res = Array.from(__resolved.entries()).sort((a,b)=>b[1].count-a[1].count).slice(0,50);
+      dbg('top unresolved (token,count)', unres);
+      dbg('top resolved (token,count,value)', res.map(([k,v])=>[k,v.count,v.value]));
+    });
+  }
+
+  function normalizeText(s){ return String(s||'').replace(/\u00A0/g,' ').replace(/\s+/g,' ').trim(); }
+
+  /* ===== Style map detection ===== */
+  function levelFromStyleHint(str){
+    if(!str) return 0; const s=String(str).trim().toLowerCase();
+    const ps=[/heading\s*([1-9])/,/überschrift\s*([1-9])/,/titre\s*([1-9])/,/t[ií]tulo\s*([1-9])/,/encabezado\s*([1-9])/,/rubrik\s*([1-9])/,/zagolovok\s*([1-9])/,/заголовок\s*([1-9])/];
+    for(const re of ps){ const m=s.match(re); if(m) return +m[1]; }
+    const m2=s.match(/^heading([1-9])$/i); return m2?+m2[1]:0;
+  }
+  async function buildStyleMap(zip){
+    const f=zip.file('word/styles.xml'); if(!f) return {};
+    const xml=parseXml(await f.async('string'));
+    const byId={}, styles=xml.getElementsByTagNameNS(W_NS,'style');
+    for(let i=0;i<styles.length;i++){
+      const st=styles[i]; if((st.getAttributeNS(W_NS,'type')||st.getAttribute('w:type'))!=='paragraph') continue;
+      const id=st.getAttributeNS(W_NS,'styleId')||st.getAttribute('w:styleId')||''; if(!id) continue;
+      const nameEl=st.getElementsByTagNameNS(W_NS,'name')[0];
+      const name=nameEl?(nameEl.getAttributeNS(W_NS,'val')||nameEl.getAttribute('w:val')||''):'';
+      const basedEl=st.getElementsByTagNameNS(W_NS,'basedOn')[0];
+      const basedOn=basedEl?((basedEl.getAttributeNS && basedEl.getAttributeNS(W_NS,'val'))||(basedEl.getAttribute && basedEl.getAttribute('w:val'))||''):'';
+      let lvl=0; const pPr=st.getElementsByTagNameNS(W_NS,'pPr')[0];
+      if(pPr){
+        const ol=pPr.getElementsByTagNameNS(W_NS,'outlineLvl')[0];
+        if(ol){
+          const v=ol.getAttributeNS(W_NS,'val')||ol.getAttribute('w:val');
+          if(v!=null&&v!==''){ const n=+v; if(Number.isFinite(n)) lvl=Math.max(1,Math.min(9,n+1)); }
+        }
+      }
+      if(!lvl) lvl=levelFromStyleHint(id)||levelFromStyleHint(name)||0;
+      byId[id]={basedOn, rawLevel:lvl};
+    }
+    const res={}, resolve=(id,d=0)=>{
+      if(!id||!byId[id]||d>12) return 0;
+      if(res[id]!=null) return res[id];
+      const info=byId[id];
+      if(info.rawLevel){ res[id]=info.rawLevel; return res[id]; }
+      return res[id]=resolve(info.basedOn, d+1)||0;
+    };
+    Object.keys(byId).forEach(id=>resolve(id));
+    return res;
+  }
+
+  /* ===== Paragraph utils ===== */
+  function textOfPara(p){
+    const ts=p.getElementsByTagNameNS(W_NS,'t'); let s='';
+    for(let i=0;i<ts.length;i++) s+=ts[i].textContent;
+    return normalizeText(s);
+  }
+  function detectHeadingLevel(p, styleMap){
+    const pPr=p.getElementsByTagNameNS(W_NS,'pPr')[0];
+    if(pPr){
+      const ol=pPr.getElementsByTagNameNS(W_NS,'outlineLvl')[0];
+      if(ol){
+        const v=ol.getAttributeNS(W_NS,'val')||ol.getAttribute('w:val');
+        if(v!=null&&v!==''){ const n=+v; if(Number.isFinite(n)) return Math.max(1,Math.min(9,n+1)); }
+      }
+      const pStyle=pPr.getElementsByTagNameNS(W_NS,'pStyle')[0];
+      if(pStyle){
+        const id=pStyle.getAttributeNS(W_NS,'val')||pStyle.getAttribute('w:val')||'';
+        const lvl=styleMap?.[id];
+        if(lvl) return lvl;
+      }
+    }
+    return 0;
+  }
+  function stripLeadingNumber(s){
+    return String(s||'').replace(/^[\s\t\u00A0]*\d+(?:[.\u00A0 \t]+\d+)*[.\u00A0 \t]*/,'').trim();
+  }
+
+  /* ===== Baseline sections ===== */
+  // Source = the loaded DOCX with its embedded baseline (customXml/originalDocument.xml):
+  // { zip, fileNameBase, styleMap, baseDoc, paras, paraIndex, headings, tableMeta }.
+  // Paragraph indices (headings[].start/end, tableMeta) refer to baseDoc.
+  function collectAllParagraphsBase(src){
+    src.paras = Array.from(src.baseDoc.getElementsByTagNameNS(W_NS,'p'));
+    src.paraIndex = new WeakMap();
+    for(let i=0;i<src.paras.length;i++) src.paraIndex.set(src.paras[i], i);
+  }
+  function buildBaseTableMeta(src){
+    src.tableMeta = [];
+    const tbls = Array.from(src.baseDoc.getElementsByTagNameNS(W_NS,'tbl'));
+    for(let ord=0; ord<tbls.length; ord++){
+      const tbl = tbls[ord];
+      const ps = Array.from(tbl.getElementsByTagNameNS(W_NS,'p'));
+      let pMin = Infinity, pMax = -Infinity;
+      for(const p of ps){
+        const idx = src.paraIndex.get(p);
+        if(idx == null) continue;
+        if(idx < pMin) pMin = idx;
+        if(idx > pMax) pMax = idx;
+      }
+      if(!Number.isFinite(pMin) || pMax < 0){
+        src.tableMeta.push({ ord, pMin: null, pMax: null });
+      } else {
+        src.tableMeta.push({ ord, pMin, pMax });
+      }
+    }
+  }
+
+  function computeSectionsFromBase(src){
+    const paras = src.paras;
+    const headings = src.headings = [];
+    for(let i=0;i<paras.length;i++){
+      const p=paras[i], lvl=detectHeadingLevel(p, src.styleMap); if(!lvl) continue;
+      const t=textOfPara(p); if(!t) continue;
+      headings.push({
+        id:`sec_${i.toString().padStart(6,'0')}`,
+        pIdx:i, level:lvl, title:t,
+        normTitle:stripLeadingNumber(t),
+        start:i, end:paras.length
+      });
+    }
+    for(let i=0;i<headings.length;i++){
+      const cur=headings[i]; let end=paras.length;
+      for(let j=i+1;j<headings.length;j++){
+        if(headings[j].level<=cur.level){ end=headings[j].pIdx; break; }
+      }
+      cur.end=end;
+    }
+  }
+
+  /* ===== Baseline/Index ===== */
+  async function loadBaseline(src){
+    src.baseDoc = parseXml(await src.zip.file(BASE_PATH).async('string'));
+    collectAllParagraphsBase(src);
+    computeSectionsFromBase(src);
+    buildBaseTableMeta(src);
+  }
+  async function ensureBaselineAndIndex(src){
+    const zip = src.zip;
+    if(!zip.file(BASE_PATH)){
+      const docText = await zip.file('word/document.xml').async('string');
+      zip.file(BASE_PATH, docText);
+      zip.file(META_PATH, JSON.stringify({ version:1, baselineCreated: new Date().toISOString() }, null, 2));
+    }
+    if(!zip.file(INDEX_PATH)){
+      await loadBaseline(src);
+      const idx = {version:1, sections: src.headings.map(h=>({id:h.id,start:h.start,end:h.end,level:h.level,title:h.title}))};
+      zip.file(INDEX_PATH, JSON.stringify(idx, null, 2));
+    }
+  }
+
+  // DOCX bytes -> source (adds the baseline + section index on first load)
+  async function loadExportSource(bytes, name='document.docx'){
+    const JSZip = await core().ensureJSZip();
+    const src = {
+      zip: await JSZip.loadAsync(bytes),
+      fileNameBase: String(name||'document').replace(/\.docx$/i,'') || 'document'
+    };
+    src.styleMap = await buildStyleMap(src.zip);
+    await ensureBaselineAndIndex(src);
+    await loadBaseline(src);
+    return src;
+  }
+
+  /* ===== Cleanup helpers ===== */
+  function hasAnyText(node){
+    const ts = node.getElementsByTagNameNS(W_NS,'t');
+    for(let i=0;i<ts.length;i++){ if((normalizeText(ts[i].textContent)||'')!=='') return true; }
+    return false;
+  }
+  function paragraphHasNontrivialContent(p){
+    if(p.getElementsByTagNameNS(W_NS,'fldSimple').length) return true;
+    if(p.getElementsByTagNameNS(W_NS,'fldChar').length) return true;   // keeps fields balanced
+    if(p.getElementsByTagNameNS(W_NS,'drawing').length) return true;
+    if(p.getElementsByTagNameNS(W_NS,'object').length) return true;
+    if(p.getElementsByTagNameNS(W_NS,'pict').length) return true;
+    return hasAnyText(p);
+  }
+  function isEmptyParagraph(p){
+    if(p.namespaceURI!==W_NS || p.localName!=='p') return false;
+    if (paragraphHasNontrivialContent(p)) return false;
+    return true;
+  }
+  function pruneEmptySDTs(doc){
+    const sdts = Array.from(doc.getElementsByTagNameNS(W_NS,'sdt'));
+    let removed = 0;
+
+    for(const sdt of sdts){
+      if(sdt.getElementsByTagNameNS(W_NS,'tbl').length>0) continue;
+      if(hasAnyText(sdt)) continue;
+      if(sdt.getElementsByTagNameNS(W_NS,'fldSimple').length) continue;
+      if(sdt.getElementsByTagNameNS(W_NS,'drawing').length) continue;
+      if(sdt.getElementsByTagNameNS(W_NS,'object').length) continue;
+      if(sdt.getElementsByTagNameNS(W_NS,'pict').length) continue;
+      if(sdt.getElementsByTagNameNS(W_NS,'picture').length) continue;
+
+      const ps = sdt.getElementsByTagNameNS(W_NS,'p');
+      let hasMeaning = false;
+      for(let i=0;i<ps.length;i++){
+        if(paragraphHasNontrivialContent(ps[i])){ hasMeaning=true; break; }
+      }
+      if(hasMeaning) continue;
+
+      if(sdt.parentNode){
+        sdt.parentNode.removeChild(sdt);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  function tableHasNontrivialContent(tbl){
+    if(tbl.getElementsByTagNameNS(W_NS,'drawing').length) return true;
+    if(tbl.getElementsByTagNameNS(W_NS,'object').length) return true;
+    if(tbl.getElementsByTagNameNS(W_NS,'pict').length) return true;
+    if(tbl.getElementsByTagNameNS(W_NS,'fldSimple').length) return true;
+
+    const ps = tbl.getElementsByTagNameNS(W_NS,'p');
+    for(let i=0;i<ps.length;i++){
+      if(paragraphHasNontrivialContent(ps[i])) return true;
+    }
+    const ts = tbl.getElementsByTagNameNS(W_NS,'t');
+    for(let i=0;i<ts.length;i++){
+      if((normalizeText(ts[i].textContent)||'')!=='') return true;
+    }
+    return false;
+  }
+
+  function pruneEmptyTables(doc, impactedTableOrdSet){
+    const tbls = Array.from(doc.getElementsByTagNameNS(W_NS,'tbl'));
+    for(let ord=0; ord<tbls.length; ord++){
+      const tbl = tbls[ord];
+      if(impactedTableOrdSet && !impactedTableOrdSet.has(ord)) continue;
+      if(!tableHasNontrivialContent(tbl)){
+        if(tbl.parentNode) tbl.parentNode.removeChild(tbl);
+      }
+    }
+  }
+
+  function compactWhitespace(doc){
+    const body = doc.getElementsByTagNameNS(W_NS,'body')[0] || doc.documentElement;
+    let n = body.firstChild;
+    while(n){
+      const next = n.nextSibling;
+      if(n.namespaceURI===W_NS && n.localName==='p'){
+        if(isEmptyParagraph(n)){ body.removeChild(n); }
+      }
+      n = next;
+    }
+  }
+
+  /* ===== Transform – REMOVE (document-order safe) ===== */
+  function rangesOverlap(a0,a1,b0,b1){
+    return a0 < b1 && b0 < a1;
+  }
+  function computeRemovedRanges(src, selectedIdsSet){
+    return src.headings
+      .filter(h => selectedIdsSet.has(h.id))
+      .map(h => ({ start:h.start, end:h.end }))
+      .sort((a,b)=>a.start-b.start);
+  }
+  function computeImpactedTableOrds(src, removedRanges){
+    const impacted = new Set();
+    if(!removedRanges?.length) return impacted;
+    for(const tm of src.tableMeta){
+      if(tm.pMin == null || tm.pMax == null) continue;
+      const t0 = tm.pMin, t1 = tm.pMax + 1;
+      for(const r of removedRanges){
+        if(rangesOverlap(t0,t1,r.start,r.end)){ impacted.add(tm.ord); break; }
+      }
+    }
+    return impacted;
+  }
+
+  /* ===== Conditional clauses (rule targets "if:<name>") ===== */
+  function sdtTagOf(sdt){
+    const tagEl = sdt.getElementsByTagNameNS(W_NS,'sdtPr')[0]?.getElementsByTagNameNS(W_NS,'tag')[0];
+    return String(tagEl?.getAttributeNS(W_NS,'val') || tagEl?.getAttribute('w:val') || '').trim();
+  }
+
+  // Paragraphs inside the SDTs tagged with one of `tags`, added to `into`
+  function clauseParagraphs(doc, tags, into=new Set()){
+    if(!tags?.size) return into;
+    for(const sdt of Array.from(doc.getElementsByTagNameNS(W_NS,'sdt'))){
+      if(!tags.has(sdtTagOf(sdt))) continue;
+      for(const p of Array.from(sdt.getElementsByTagNameNS(W_NS,'p'))) into.add(p);
+    }
+    return into;
+  }
+
+  // Removes the block/inline SDTs tagged with one of `tags`. An inline clause takes its
+  // paragraph along when nothing else is left in it (unless it ends a cell/part).
+  function removeHiddenClauses(doc, tags){
+    if(!tags?.size) return 0;
+    const lastElementOf = (el)=> Array.from(el.childNodes).filter(n => n.nodeType === 1).pop();
+    let removed = 0;
+    for(const sdt of Array.from(doc.getElementsByTagNameNS(W_NS,'sdt'))){
+      if(!tags.has(sdtTagOf(sdt))) continue;
+
+      const parent = sdt.parentNode;
+      const p = findAncestor(parent, ['p']);
+      parent.removeChild(sdt);
+      removed++;
+
+      if(p){
+        const container = p.parentNode;
+        const keep = paragraphHasNontrivialContent(p)
+          || p.getElementsByTagNameNS(W_NS,'sectPr').length
+          || (container.localName !== 'body' && lastElementOf(container) === p);
+        if(!keep) container.removeChild(p);
+      } else if(parent.localName === 'tc' && lastElementOf(parent)?.localName !== 'p'){
+        parent.appendChild(doc.createElementNS(W_NS,'w:p'));
+      }
+    }
+    return removed;
+  }
+
+  // Copy of the baseline body without the selected sections and clauses
+  function transformRemoveFromBase(src, selectedIdsSet, clauseTags){
+    const d = parseXml(serializeXml(src.baseDoc));
+
+    const removedRanges = computeRemovedRanges(src, selectedIdsSet);
+    const impactedTableOrds = computeImpactedTableOrds(src, removedRanges);
+
+    function paragraphList(){ return Array.from(d.getElementsByTagNameNS(W_NS,'p')); }
+
+    const work = removedRanges.slice().sort((a,b)=>b.start-a.start);
+    for(const { start, end } of work){
+      let paras = paragraphList();
+      if(start < 0 || start >= paras.length) continue;
+      const e = Math.min(end, paras.length);
+      for(let i = e - 1; i >= start; i--){
+        const p = paras[i];
+        if(p && p.parentNode) p.parentNode.removeChild(p);
+      }
+    }
+    removeHiddenClauses(d, clauseTags);
+
+    pruneEmptySDTs(d);
+    pruneEmptyTables(d, impactedTableOrds);
+    compactWhitespace(d);
+
+    return d;
+  }
+
+  /* ===== TOC ===== */
+  // TOC fields are regenerated from the remaining headings instead of waiting for F9:
+  // one "toc N" paragraph per heading (dotted right tab), linked to a _Toc bookmark on
+  // the heading (\h) and with its page number as a PAGEREF field, which Word fills on
+  // open (settings updateFields) and docx-pdf.js while laying out the PDF.
+  // Heading numbers from numbering.xml are not part of the entry text.
+  function findAncestor(node, names){ const set=new Set(names); let n=node; while(n){ if(n.namespaceURI===W_NS && set.has(n.localName)) return n; n=n.parentNode; } return null; }
+  function nextNodeInDocOrder(node, root){
+    if(!node) return null;
+    if(node.firstChild) return node.firstChild;
+    while(node && node!==root){ if(node.nextSibling) return node.nextSibling; node=node.parentNode; }
+    return null;
+  }
+  function wAttr(el, name){ return el ? (el.getAttributeNS(W_NS,name) || el.getAttribute('w:'+name) || '') : ''; }
+  function wEl(doc, name, attrs={}, children=[]){
+    const el = doc.createElementNS(W_NS, 'w:'+name);
+    for(const [k,v] of Object.entries(attrs)) el.setAttributeNS(W_NS, 'w:'+k, String(v));
+    for(const c of children) el.appendChild(c);
+    return el;
+  }
+  function wRun(doc, child){ return wEl(doc, 'r', {}, [child]); }
+  function wText(doc, name, text){
+    const t = wEl(doc, name);
+    t.setAttributeNS('http://www.w3.org/XML/1998/namespace', 'xml:space', 'preserve');
+    t.textContent = text;
+    return t;
+  }
+
+  // Complex TOC fields { begin, separate, end, instr } and simple ones { fldSimple, instr }
+  function findAllTOCRanges(docx){
+    const ranges=[]; const body=docx.getElementsByTagNameNS(W_NS,'body')[0]||docx.documentElement;
+    const fldType = (el)=> wAttr(el,'fldCharType');
+    const fldChars=Array.from(docx.getElementsByTagNameNS(W_NS,'fldChar'));
+    for(const begin of fldChars){
+      if(fldType(begin)!=='begin') continue;
+      let cur=begin, instr='', depth=0, separate=null, end=null;
+      while(cur){ cur=nextNodeInDocOrder(cur,body); if(!cur) break;
+        if(cur.namespaceURI!==W_NS) continue;
+        if(cur.localName==='instrText' && depth===0 && !separate) instr+=cur.textContent||'';
+        if(cur.localName==='fldChar'){
+          const t=fldType(cur);
+          if(t==='begin') depth++;
+          else if(t==='separate' && depth===0) separate=cur;
+          else if(t==='end'){ if(depth===0){ end=cur; break; } depth--; }
+        }
+      }
+      if(/^\s*TOC\b/i.test(instr) && end) ranges.push({begin,separate,end,instr:instr.trim()});
+    }
+    for(const fs of Array.from(docx.getElementsByTagNameNS(W_NS,'fldSimple'))){
+      const instr = wAttr(fs,'instr');
+      if(/^\s*TOC\b/i.test(instr)) ranges.push({fldSimple:fs, instr:instr.trim()});
+    }
+    return ranges;
+  }
+
+  function parseTocSwitches(instr){
+    const s = String(instr||'');
+    const o = s.match(/\\o\s*"(\d)-(\d)"/i);
+    const n = s.match(/\\n(?:\s*"(\d)-(\d)")?/i);
+    return {
+      from: o ? +o[1] : 1,
+      to: o ? +o[2] : 3,
+      links: /\\h\b/i.test(s),
+      noPageNumbers: n ? { from: n[1] ? +n[1] : 1, to: n[2] ? +n[2] : 9 } : null
+    };
+  }
+
+  // The block-level paragraphs a TOC field occupies (null when it spans containers)
+  function tocRangeParagraphs(rg){
+    if(rg.fldSimple){ const p=findAncestor(rg.fldSimple,['p']); return p ? [p] : null; }
+    const first=findAncestor(rg.begin,['p']), last=findAncestor(rg.end,['p']);
+    if(!first || !last || first.parentNode!==last.parentNode) return null;
+    const out=[];
+    for(let n=first; n; n=n.nextSibling){ if(n.nodeType===1) out.push(n); if(n===last) return out; }
+    return null;
+  }
+
+  // Name of the heading's _Toc bookmark, added around the paragraph content when missing
+  function ensureTocBookmark(docx, p, state){
+    for(const b of Array.from(p.getElementsByTagNameNS(W_NS,'bookmarkStart'))){
+      if(/^_Toc/.test(wAttr(b,'name'))) return wAttr(b,'name');
+    }
+    let name;
+    do { name = `_Toc${100000000 + (++state.seq)}`; } while(state.names.has(name));
+    state.names.add(name);
+    const id = String(++state.maxId);
+    const pPr = Array.from(p.childNodes).find(n => n.namespaceURI===W_NS && n.localName==='pPr');
+    p.insertBefore(wEl(docx,'bookmarkStart',{ id, name }), pPr ? pPr.nextSibling : p.firstChild);
+    p.appendChild(wEl(docx,'bookmarkEnd',{ id }));
+    return name;
+  }
+
+  // Text width of the last section in twips (right tab of the entries)
+  function bodyTextWidth(docx){
+    const sects = docx.getElementsByTagNameNS(W_NS,'sectPr');
+    const sect = sects[sects.length-1];
+    const pgSz = sect?.getElementsByTagNameNS(W_NS,'pgSz')[0];
+    const pgMar = sect?.getElementsByTagNameNS(W_NS,'pgMar')[0];
+    const w = +wAttr(pgSz,'w') || 11906;
+    const width = w - (+wAttr(pgMar,'left') || 1417) - (+wAttr(pgMar,'right') || 1417);
+    return width > 0 ? width : 9072;
+  }
+
+  function tocParagraphs(docx, instr, entries, { tocStyles, tabPos }){
+    const sw = parseTocSwitches(instr);
+    const fieldRuns = [
+      wRun(docx, wEl(docx,'fldChar',{ fldCharType:'begin' })),
+      wRun(docx, wText(docx,'instrText',` ${instr} `)),
+      wRun(docx, wEl(docx,'fldChar',{ fldCharType:'separate' }))
+    ];
+    const endRun = wRun(docx, wEl(docx,'fldChar',{ fldCharType:'end' }));
+    if(!entries.length) return [wEl(docx,'p',{},[...fieldRuns, endRun])];
+
+    return entries.map((h, i)=>{
+      const pPr = wEl(docx,'pPr',{},[
+        wEl(docx,'pStyle',{ val: tocStyles[h.level] || `TOC${h.level}` }),
+        wEl(docx,'tabs',{},[wEl(docx,'tab',{ val:'right', leader:'dot', pos: tabPos })])
+      ]);
+      const runs = [wRun(docx, wText(docx,'t',h.text))];
+      const noPage = sw.noPageNumbers && h.level>=sw.noPageNumbers.from && h.level<=sw.noPageNumbers.to;
+      if(!noPage){
+        runs.push(
+          wRun(docx, wEl(docx,'tab')),
+          wRun(docx, wEl(docx,'fldChar',{ fldCharType:'begin' })),
+          wRun(docx, wText(docx,'instrText',` PAGEREF ${h.bookmark} \\h `)),
+          wRun(docx, wEl(docx,'fldChar',{ fldCharType:'separate' })),
+          wRun(docx, wEl(docx,'fldChar',{ fldCharType:'end' }))
+        );
+      }
+      const p = wEl(docx,'p',{},[pPr]);
+      if(i===0) fieldRuns.forEach(r => p.appendChild(r));
+      if(sw.links) p.appendChild(wEl(docx,'hyperlink',{ anchor:h.bookmark, history:1 }, runs));
+      else runs.forEach(r => p.appendChild(r));
+      if(i===entries.length-1) p.appendChild(endRun);
+      return p;
+    });
+  }
+
+  // Regenerates every TOC field of the document from its headings.
+  // opts: { styleMap (heading levels), tocStyles (level -> "toc N" styleId) }.
+  // -> { tocs, entries, missingStyles } (levels whose "toc N" style is not in tocStyles)
+  // `skip`: heading paragraphs to leave out (sections removed later by docx-core)
+  function rebuildTOCs(docx, { styleMap=null, tocStyles={}, skip=null }={}){
+    const body=docx.getElementsByTagNameNS(W_NS,'body')[0]||docx.documentElement;
+    const ranges = findAllTOCRanges(docx).map(rg => ({ ...rg, paras: tocRangeParagraphs(rg) }));
+    const inToc = new Set();
+    for(const el of ranges.flatMap(rg => rg.paras || [])){
+      inToc.add(el);
+      for(const p of Array.from(el.getElementsByTagNameNS(W_NS,'p'))) inToc.add(p);
+    }
+
+    const headings = [];
+    for(const p of Array.from(body.getElementsByTagNameNS(W_NS,'p'))){
+      if(inToc.has(p) || skip?.has(p) || findAncestor(p,['txbxContent'])) continue;
+      const level = detectHeadingLevel(p, styleMap);
+      const text = level ? textOfPara(p) : '';
+      if(text) headings.push({ p, level, text });
+    }
+
+    const state = { seq:0, names:new Set(), maxId:0 };
+    for(const b of Array.from(docx.getElementsByTagNameNS(W_NS,'bookmarkStart'))){
+      state.names.add(wAttr(b,'name'));
+      state.maxId = Math.max(state.maxId, +wAttr(b,'id') || 0);
+    }
+
+    const tabPos = bodyTextWidth(docx);
+    const result = { tocs:0, entries:0, missingStyles:new Set() };
+    for(const rg of ranges){
+      if(!rg.paras){ console.warn('[FSDBG][toc] TOC field spans several containers, left as is'); continue; }
+      const sw = parseTocSwitches(rg.instr);
+      const entries = headings
+        .filter(h => h.level>=sw.from && h.level<=sw.to)
+        .map(h => ({ ...h, bookmark: ensureTocBookmark(docx, h.p, state) }));
+      const first = rg.paras[0], parent = first.parentNode;
+      for(const p of tocParagraphs(docx, rg.instr, entries, { tocStyles, tabPos })) parent.insertBefore(p, first);
+      for(const p of rg.paras) parent.removeChild(p);
+      entries.forEach(h => { if(!tocStyles[h.level]) result.missingStyles.add(h.level); });
+      result.tocs++;
+      result.entries += entries.length;
+    }
+    return result;
+  }
+
+  // "toc N" paragraph styles of styles.xml: level -> styleId
+  function tocStyleIds(stylesDoc){
+    const ids = {};
+    for(const st of Array.from(stylesDoc?.getElementsByTagNameNS(W_NS,'style') || [])){
+      const name = wAttr(st.getElementsByTagNameNS(W_NS,'name')[0],'val');
+      const m = name.match(/^toc ([1-9])$/i);
+      if(m && wAttr(st,'type')==='paragraph') ids[+m[1]] = wAttr(st,'styleId');
+    }
+    return ids;
+  }
+
+  // Word's built-in "toc N" definitions for levels the document does not define yet
+  function addTocStyles(stylesDoc, levels){
+    const root = stylesDoc.documentElement;
+    const normal = Array.from(root.getElementsByTagNameNS(W_NS,'style'))
+      .find(st => wAttr(st,'type')==='paragraph' && ['1','true'].includes(wAttr(st,'default')));
+    for(const level of levels){
+      const st = wEl(stylesDoc,'style',{ type:'paragraph', styleId:`TOC${level}` },[
+        wEl(stylesDoc,'name',{ val:`toc ${level}` }),
+        ...(normal ? [wEl(stylesDoc,'basedOn',{ val:wAttr(normal,'styleId') }), wEl(stylesDoc,'next',{ val:wAttr(normal,'styleId') })] : []),
+        wEl(stylesDoc,'uiPriority',{ val:39 }),
+        wEl(stylesDoc,'unhideWhenUsed'),
+        wEl(stylesDoc,'pPr',{},[
+          wEl(stylesDoc,'spacing',{ after:100 }),
+          wEl(stylesDoc,'ind',{ left:(level-1)*220 })
+        ])
+      ]);
+      root.appendChild(st);
+    }
+  }
+
+  /* ===== Hidden field values (kept out of the export) ===== */
+  // Field ids referenced by the SDTs (tag/alias) and {{mustaches}} of a part
+  function fieldIdsReferencedIn(doc, ctx){
+    const ids = new Set();
+    const add = (token)=>{
+      const raw = String(token||'').trim();
+      const hit = ctx.idx.get(normTagToken(raw));
+      if(hit?.fieldId) ids.add(String(hit.fieldId));
+      else if(ctx.fieldById.has(raw)) ids.add(raw);
+    };
+    for(const sdt of Array.from(doc.getElementsByTagNameNS(W_NS,'sdt'))){
+      const pr = sdt.getElementsByTagNameNS(W_NS,'sdtPr')[0];
+      for(const name of ['tag','alias']){
+        const el = pr?.getElementsByTagNameNS(W_NS,name)[0];
+        if(el) add(el.getAttributeNS(W_NS,'val') || el.getAttribute('w:val'));
+      }
+    }
+    for(const p of Array.from(doc.getElementsByTagNameNS(W_NS,'p'))){
+      const text = Array.from(p.getElementsByTagNameNS(W_NS,'t')).map(t=>t.textContent||'').join('');
+      for(const m of text.matchAll(TEMPLATE_TOKEN_RE)) templateTokenRefs(m[1]).forEach(add);
+    }
+    return ids;
+  }
+
+  // Invisible fields: hidden by field rules (evaluateFieldRulesToVisibility), or only
+  // referenced inside hidden sections/clauses — rule-hidden headings and "if:" clauses
+  // (evaluateRulesToVisibility) plus the sections removed by this export. Headers,
+  // footers, notes and comments count as visible outside their hidden clauses.
+  async function computeHiddenFieldIds(src, payload, removedIds, clauseTags){
+    const np = normalizePayloadShape(payload);
+    const schema = { title: np.title, fields: np.fields };
+    const hidden = new Set();
+    const rules = rulesApi();
+
+    if(typeof rules.evaluateFieldRulesToVisibility === 'function'){
+      const vis = rules.evaluateFieldRulesToVisibility(schema, np.values, np.fieldRules || []);
+      for(const [id, effect] of Object.entries(vis)){
+        if(effect === 'HIDE' && !id.includes('__opt__')) hidden.add(id);
+      }
+    }
+
+    const hiddenSections = new Set(removedIds || []);
+    const hiddenClauses = new Set(clauseTags || []);
+    if(typeof rules.evaluateRulesToVisibility === 'function'){
+      const resolver = rules.buildHeadingTargetIndex({
+        flat: src.headings.map((h, i)=>({ idx:i, id:h.id, title:h.normTitle || h.title, level:h.level }))
+      });
+      const vis = rules.evaluateRulesToVisibility(schema, np.values, np.rules, resolver);
+      for(const [key, effect] of Object.entries(vis)){
+        if(effect !== 'HIDE') continue;
+        if(rules.parseSdtTarget(key)) hiddenClauses.add(key);
+        else if(src.headings[key]) hiddenSections.add(src.headings[key].id);
+      }
+    }
+
+    const ctx = buildTagCtx(np);
+    const referenced = fieldIdsReferencedIn(src.baseDoc, ctx);
+    const visible = fieldIdsReferencedIn(transformRemoveFromBase(src, hiddenSections, hiddenClauses), ctx);
+    for(const name of Object.keys(src.zip.files)){
+      if(name === 'word/document.xml' || !core().isStoryPart(name)) continue;
+      const partDoc = parseXml(await src.zip.file(name).async('string'));
+      for(const id of fieldIdsReferencedIn(partDoc, ctx)) referenced.add(id);
+      removeHiddenClauses(partDoc, hiddenClauses);
+      for(const id of fieldIdsReferencedIn(partDoc, ctx)) visible.add(id);
+    }
+    for(const id of referenced) if(!visible.has(id)) hidden.add(id);
+    return hidden;
+  }
+
+  // Payload copy without the values of invisible fields; their SDTs then resolve empty
+  async function stripHiddenFieldValues(src, payload, removedIds, clauseTags, debug=false){
+    const hidden = await computeHiddenFieldIds(src, payload, removedIds, clauseTags);
+    const values = { ...(payload?.values || {}) };
+    for(const id of hidden) delete values[id];
+    if(debug) dbg('[export] hidden field values stripped', Array.from(hidden));
+    return { ...payload, values };
+  }
+
+
+  /* ===== Export ===== */
+  const REMOVAL_MODES = ['rebuild', 'remove', 'vanish', 'track'];
+
+  // Removal selection as a docx-core visibility map (baseline paragraph idx /
+  // `if:` tag -> 'HIDE') and the rule ids behind each key
+  function removalVisibilityMap(src, selectedIds, clauseTags, reasons){
+    const map = {}, why = {};
+    const ruleIds = (key)=> (reasons?.get?.(key) || []).map(r => r.id);
+    for(const h of src.headings){
+      if(!selectedIds.has(h.id)) continue;
+      map[h.start] = 'HIDE';
+      why[h.start] = ruleIds(h.id);
+    }
+    for(const tag of clauseTags){
+      map[tag] = 'HIDE';
+      why[tag] = ruleIds(tag);
+    }
+    return { map, reasons: why };
+  }
+
+  // Final DOCX for the removal selection: mustaches/SDTs filled in the
+  // body and the other story parts, CRONOS_PAYLOAD embedded per payloadMode, table,
+  // rich-text and picture controls written, then validated (DocxValidationError).
+  // removalMode 'rebuild' (default) builds the body from the baseline without the
+  // selected sections; 'remove' | 'vanish' | 'track' fill the whole document and
+  // leave the sections and clauses to docx-core's applyRemovalWithBackup in that
+  // mode (`reasons`: planRemovals().reasons for its report). With `withReport`
+  // the result is { bytes, report } (report null for 'rebuild').
+  async function buildExportDocx(src, opts={}){
+    const {
+      payload=null, removedIds=[], clauseTags=[], reasons=null, rebuildToc=true, stripHidden=false,
+      payloadMode='plain', passphrase='', removalMode='rebuild', withReport=false, getAsset, debug=false
+    } = opts;
+    const dc = core();
+    const JSZip = await dc.ensureJSZip();
+    const zip = src.zip;
+    const selectedIds = Array.from(removedIds);
+    const hiddenClauses = new Set(clauseTags);
+    const delegate = removalMode !== 'rebuild';
+
+    // Delegated modes keep every paragraph until docx-core removes them; those still
+    // stay out of the TOC and, like in 'rebuild', out of the template checks
+    const newDoc = delegate ? parseXml(serializeXml(src.baseDoc)) : transformRemoveFromBase(src, new Set(selectedIds), hiddenClauses);
+    const removedLater = new Set();
+    if(delegate){
+      const paras = Array.from(newDoc.getElementsByTagNameNS(W_NS,'p'));
+      for(const { start, end } of computeRemovedRanges(src, new Set(selectedIds))){
+        for(let i = start; i < end; i++) if(paras[i]) removedLater.add(paras[i]);
+      }
+      clauseParagraphs(newDoc, hiddenClauses, removedLater);
+    }
+
+    const s = zip.file('word/settings.xml');
+    const settingsDoc = s ? parseXml(await s.async('string')) : parseXml(`<w:settings xmlns:w="${W_NS}"/>`);
+    {
+      const root = settingsDoc.documentElement;
+      let upd = root.getElementsByTagNameNS(W_NS,'updateFields')[0];
+      if(!upd){ upd = settingsDoc.createElementNS(W_NS,'w:updateFields'); root.appendChild(upd); }
+      upd.setAttributeNS(W_NS,'w:val','true');
+    }
+
+    const exportPayload = (payload && stripHidden)
+      ? await stripHiddenFieldValues(src, payload, selectedIds, hiddenClauses, debug)
+      : payload;
+    const selectionJson = JSON.stringify({version:1, removedIds:selectedIds}, null, 2);
+    const meta = zip.file(META_PATH) ? JSON.parse(await zip.file(META_PATH).async('string')) : {version:1};
+    meta.lastExport = new Date().toISOString();
+    zip.file(META_PATH, JSON.stringify(meta, null, 2));
+
+    if(!zip.file(BASE_PATH)){
+      const original = await zip.file('word/document.xml').async('string');
+      zip.file(BASE_PATH, original);
+    }
+
+    dbgGroup(debug, 'Export: payload snapshot', ()=>{
+      dbg('payload present?', !!payload);
+      dbg('payload keys', payload ? Object.keys(payload) : []);
+      dbg('tagMap size', payload?.tagMap ? Object.keys(payload.tagMap).length : 0);
+      dbg('values keys count', payload?.values ? Object.keys(payload.values).length : 0);
+      dbg('sample tagMap entries', payload?.tagMap ? Object.entries(payload.tagMap).slice(0,10) : []);
+      dbg('selection removedIds count', selectedIds.length);
+      dbg('hidden clauses', Array.from(hiddenClauses));
+    });
+
+    applyTagReplacementsToDoc(newDoc, exportPayload||{}, { removeUnmatched:true, skipTables:true, debug, strict:true, skip: removedLater });
+    const pruned = pruneEmptySDTs(newDoc);
+    if(debug) dbg('[export] empty SDTs removed', pruned);
+    compactWhitespace(newDoc);
+
+    // TOC entries from the headings as they end up (filled, sections removed)
+    let stylesDoc = null;
+    if(rebuildToc){
+      const st = zip.file('word/styles.xml');
+      stylesDoc = st ? parseXml(await st.async('string')) : null;
+      const toc = rebuildTOCs(newDoc, { styleMap: src.styleMap, tocStyles: tocStyleIds(stylesDoc), skip: removedLater });
+      if(stylesDoc && toc.missingStyles.size) addTocStyles(stylesDoc, toc.missingStyles);
+      else stylesDoc = null;
+      if(debug) dbg('[export] TOCs regenerated', { tocs: toc.tocs, entries: toc.entries });
+    }
+
+    const out = new JSZip();
+    for (const [name, entry] of Object.entries(zip.files)) {
+      if (entry.dir) continue;
+      if (name === 'word/document.xml' || name === 'word/settings.xml' || name === SEL_PATH) continue;
+      out.file(name, await zip.file(name).async('arraybuffer'));
+    }
+    out.file('word/document.xml', serializeXml(newDoc));
+    out.file('word/settings.xml', serializeXml(settingsDoc));
+    if(stylesDoc) out.file('word/styles.xml', serializeXml(stylesDoc));
+    out.file(SEL_PATH, selectionJson);
+    await dc.registerPartContentTypes(out, [BASE_PATH, INDEX_PATH, SEL_PATH, META_PATH]);
+
+    // Headers, footers, notes and comments get the same clause removal and tag replacement as the body
+    for (const name of Object.keys(zip.files)) {
+      if (name === 'word/document.xml' || !dc.isStoryPart(name)) continue;
+      const partDoc = parseXml(await zip.file(name).async('string'));
+      if(!delegate) removeHiddenClauses(partDoc, hiddenClauses);
+      const skip = delegate ? clauseParagraphs(partDoc, hiddenClauses) : null;
+      applyTagReplacementsToDoc(partDoc, exportPayload||{}, { removeUnmatched:true, skipTables:true, debug, strict:true, skip });
+      out.file(name, serializeXml(partDoc));
+    }
+
+    let outU8 = await out.generateAsync({ type:'uint8array' });
+
+    // Encrypted / final exports must not keep a clear-text payload from the source DOCX
+    if(payloadMode !== 'plain'){
+      outU8 = await dc.deleteDocVar(outU8, 'CRONOS_PAYLOAD');
+      if(debug) dbg('[export] embedded payload removed', { payloadMode });
+    }
+
+    if(exportPayload){
+      const pa = payloadApi();
+      let json = JSON.stringify(pa ? pa.stampPayload(exportPayload) : exportPayload, null, 0);
+      if(payloadMode === 'encrypt') json = await pa.encryptPayload(json, passphrase);
+
+      if(payloadMode === 'strip'){
+        // final export: values only end up in the document content
+      } else {
+        try {
+          outU8 = await dc.writeDocVarSettings(outU8, 'CRONOS_PAYLOAD', json);
+          if(debug) dbg('[export] payload written via writeDocVarSettings');
+        } catch(e){
+          console.warn('[FSDBG][export] writeDocVarSettings failed', e);
+        }
+      }
+
+      const structuredBindings = buildStructuredBindingsFromPayloadFS(exportPayload);
+      if(debug) dbg('[export] structuredBindings', {
+        count: Object.keys(structuredBindings).length,
+        tags: Object.keys(structuredBindings)
+      });
+      if(Object.keys(structuredBindings).length){
+        outU8 = await dc.writeStructuredSDTs(outU8, structuredBindings);
+      }
+
+      const imageBindings = await buildImageBindingsFromPayloadFS(exportPayload, getAsset);
+      if(Object.keys(imageBindings).length){
+        outU8 = await dc.writeImageSDTs(outU8, imageBindings);
+        if(debug) dbg('[export] picture SDTs applied', { tags: Object.keys(imageBindings) });
+      }
+    }
+
+    let report = null;
+    if(delegate){
+      const vis = removalVisibilityMap(src, new Set(selectedIds), hiddenClauses, reasons);
+      ({ bytes: outU8, report } = await dc.applyRemovalWithBackup(outU8, vis.map, null, {
+        mode: removalMode, reasons: vis.reasons, withReport: true
+      }));
+      if(debug) dbg('[export] removal via docx-core', { mode: removalMode, status: report.status, reason: report.reason });
+    }
+
+    const bytes = await dc.ensureValidDocx(outU8);
+    return withReport ? { bytes, report } : bytes;
+  }
+
+  // Encrypted exports need the passphrase before anything is built
+  function checkExportOptions(opts){
+    if(opts.payloadMode === 'encrypt' && !opts.passphrase){
+      const e = new Error('Bitte eine Passphrase für den verschlüsselten Payload eingeben.');
+      e.name = 'ExportOptionsError';
+      throw e;
+    }
+    if(opts.removalMode && !REMOVAL_MODES.includes(opts.removalMode)){
+      const e = new Error(`Unbekannter Entfernen-Modus: ${opts.removalMode}`);
+      e.name = 'ExportOptionsError';
+      throw e;
+    }
+    if(opts.format && opts.format !== 'docx' && opts.format !== 'pdf'){
+      const e = new Error(`Unbekanntes Exportformat: ${opts.format}`);
+      e.name = 'ExportOptionsError';
+      throw e;
+    }
+  }
+
+  // Finished DOCX -> PDF (docx-pdf.js)
+  async function toPdf(docxBytes, { title } = {}){
+    const pdf = pdfApi();
+    if(!pdf?.docxToPdf) throw new Error('PDF-Export nicht verfügbar (docx-pdf.js nicht geladen)');
+    return await pdf.docxToPdf(docxBytes, { title });
+  }
+
+  // DOCX bytes + payload -> exported DOCX (headless entry point)
+  async function exportDocx(bytes, opts={}){
+    checkExportOptions(opts);
+    const src = await loadExportSource(bytes, opts.name);
+    const payload = opts.payload ? normalizePayloadShape(opts.payload) : null;
+    const plan = payload ? planRemovals(src, payload) : { matchedRules:0, removedIds:new Set(), clauseTags:new Set(), reasons:new Map() };
+    for(const id of (opts.removeIds || [])) plan.removedIds.add(id);
+    for(const tag of (opts.clauseTags || [])) plan.clauseTags.add(tag);
+
+    const { bytes: out, report } = await buildExportDocx(src, {
+      ...opts,
+      payload,
+      removedIds: plan.removedIds,
+      clauseTags: plan.clauseTags,
+      reasons: plan.reasons,
+      withReport: true
+    });
+    const asPdf = opts.format === 'pdf';
+    return {
+      bytes: asPdf ? await toPdf(out, { title: src.fileNameBase }) : out,
+      fileName: `${src.fileNameBase}-removed.${asPdf ? 'pdf' : 'docx'}`,
+      mimeType: asPdf ? PDF_MIME : DOCX_MIME,
+      removedIds: Array.from(plan.removedIds),
+      hiddenClauses: Array.from(plan.clauseTags),
+      reasons: plan.reasons,
+      matchedRules: plan.matchedRules,
+      report
+    };
+  }
+
+  /* ===== Documents from the persistence layer ===== */
+  // Stored bytes first, else the file handle (asks for read permission once)
+  async function loadDocxBytes(docId){
+    if(!docId) throw new Error('missing docId');
+
+    const bytes = await persist()?.getBytes?.(docId);
+    if(bytes && (bytes.byteLength || bytes.length)) return { bytes, name: 'document.docx' };
+
+    const h = await persist()?.getHandle?.(docId);
+    if(h?.getFile){
+      try {
+        if(h.queryPermission){
+          const p = await h.queryPermission({ mode:'read' });
+          if(p !== 'granted' && h.requestPermission){
+            try { await h.requestPermission({ mode:'read' }); } catch {}
+          }
+        }
+      } catch {}
+      const f = await h.getFile();
+      return { bytes: await f.arrayBuffer(), name: f.name || 'document.docx' };
+    }
+
+    throw new Error('No file bytes/handle available for this docId (manual load required).');
+  }
+
+  // CRONOS_PAYLOAD from the document's saved state (schema, values, rules, tagMap)
+  async function payloadFromState(docId){
+    const st = await persist()?.loadState?.(docId);
+    if(!st) return null;
+    return {
+      docId,
+      name: st.name || docId,
+      schema: st.schema || null,
+      values: (st.values && typeof st.values === 'object') ? st.values : {},
+      rules: Array.isArray(st.rules) ? st.rules : [],
+      fieldRules: Array.isArray(st.fieldRules) ? st.fieldRules : [],
+      tagMap: st.tagMap || null
+    };
+  }
+
+  async function exportDocument(docId, opts={}){
+    checkExportOptions(opts);
+    const { bytes, name } = await loadDocxBytes(docId);
+    const payload = opts.payload !== undefined ? opts.payload : await payloadFromState(docId);
+    const fileName = opts.name || (payload?.name ? `${String(payload.name).replace(/\.docx$/i,'')}.docx` : name);
+    return await exportDocx(bytes, { ...opts, name: fileName, payload });
+  }
+
+  // Browser download; the type follows the file extension (.pdf / .docx)
+  function downloadFile(bytes, fileName){
+    const blob = new Blob([bytes], { type: /\.pdf$/i.test(fileName) ? PDF_MIME : DOCX_MIME });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /* ===== Rule evaluation for CRONOS_PAYLOAD heading rules ===== */
+  // Sections and clauses the payload's heading rules take out of the export, with
+  // the rules behind each (heading id / clause tag -> [{ id, text }]). Evaluated by
+  // rules-core (evaluateRulesToVisibility, SHOW beats HIDE) against the baseline
+  // headings, like the form's "removed in the export" panel.
+  function planRemovals(src, payload){
+    const rc = rulesApi();
+    const p = normalizePayloadShape(payload);
+    const schema = { fields: p.fields };
+    const baseline = src.headings.map(h => ({ id: h.id, idx: h.start, level: h.level, text: h.normTitle }));
+    const rules = rc.normalizeHeadingsRulesForSchema(schema, p.rules, baseline);
+    const explain = {};
+    const visibility = rc.evaluateRulesToVisibility(schema, p.values, rules, rc.buildHeadingTargetIndex(baseline), explain);
+
+    const ruleById = new Map();
+    rules.forEach((r, i)=> ruleById.set((r.id != null && r.id !== '') ? String(r.id) : `#${i}`, r));
+    const headingByIdx = new Map(src.headings.map(h => [String(h.start), h]));
+
+    const removedIds = new Set();
+    const clauseTags = new Set();
+    const reasons = new Map();
+    const matched = new Set();
+    for(const [key, v] of Object.entries(visibility)){
+      if(v !== 'HIDE') continue;
+      const tag = rc.parseSdtTarget(key);
+      const heading = tag ? null : headingByIdx.get(key);
+      if(!tag && !heading) continue;
+      const ids = explain[key]?.hideRuleIds || [];
+      ids.forEach(id => matched.add(id));
+      if(tag) clauseTags.add(tag); else removedIds.add(heading.id);
+      reasons.set(tag || heading.id, ids.map(id => ({ id, text: rc.describeRule(schema, ruleById.get(id)) })));
+    }
+
+    return { matchedRules: matched.size, removedIds, clauseTags, reasons };
+  }
+
+  const api = {
+    BASE_PATH,
+    SEL_PATH,
+    REMOVAL_MODES,
+    exportDocument,
+    exportDocx,
+    toPdf,
+    downloadFile,
+    loadDocxBytes,
+    payloadFromState,
+    loadExportSource,
+    planRemovals,
+    transformRemoveFromBase,
+    removeHiddenClauses,
+    rebuildTOCs,
+    buildExportDocx,
+    computeHiddenFieldIds,
+    normalizePayloadShape,
+    normTagToken,
+    payloadTagMapIndex,
+    buildTagCtx,
+    resolveValueByToken,
+    renderTemplateVar,
+    replaceMustachesInText,
+    applyTagReplacementsToDoc,
+    buildStructuredBindingsFromPayloadFS,
+    detectHeadingLevel,
+    normalizeText,
+    pruneEmptySDTs,
+    compactWhitespace
+  };
+
+  if (global) global.fsExport = api;
+
+  // CommonJS (headless)
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof window !== 'undefined' ? window : null);
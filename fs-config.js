@@ -0,0 +1,138 @@
+// fs-config.js
+// Runtime configuration shared by all Form Suite pages (load before the other scripts).
+//
+// Offline / air-gapped installs either edit DEFAULTS below or predefine the
+// config before this file is loaded:
+//
+//   <script>window.FS_CONFIG = { assetBase: 'vendor/', addressApi: null };</script>
+//   <script src="fs-config.js"></script>
+//
+//   assetBase   When set, third-party libraries and their stylesheets are loaded
+//               from `${assetBase}${file}` (see ASSETS) instead of the public CDNs.
+//   addressApi  Photon-compatible endpoint for address autocomplete.
+//               null disables lookups (plain text input, no preconnect).
+
+(function (global) {
+  const DEFAULTS = {
+    assetBase: null,
+    addressApi: 'https://photon.komoot.io/api/'
+  };
+
+  const FLATPICKR_CDN = 'https://cdn.jsdelivr.net/npm/flatpickr@4.6.13/dist/';
+
+  // name -> file below assetBase / public CDN fallback / global it defines.
+  // `ready` overrides the global check (plugins extending another library),
+  // `after` is loaded first, `css` entries become <link rel="stylesheet">.
+  const ASSETS = {
+    jszip:   { file: 'jszip/jszip.min.js', cdn: 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js', global: 'JSZip' },
+    pyodide: { file: 'pyodide/pyodide.js', cdn: 'https://cdn.jsdelivr.net/pyodide/v0.25.1/full/pyodide.js', global: 'loadPyodide' },
+    flatpickr: { file: 'flatpickr/flatpickr.min.js', cdn: FLATPICKR_CDN + 'flatpickr.min.js', global: 'flatpickr' },
+    'flatpickr-de': {
+      file: 'flatpickr/l10n/de.js', cdn: FLATPICKR_CDN + 'l10n/de.js', global: 'flatpickr',
+      after: 'flatpickr', ready: () => !!global.flatpickr?.l10ns?.de
+    },
+    'flatpickr-css': { file: 'flatpickr/flatpickr.min.css', cdn: FLATPICKR_CDN + 'flatpickr.min.css', css: true },
+    'flatpickr-theme': { file: 'flatpickr/themes/material_blue.css', cdn: FLATPICKR_CDN + 'themes/material_blue.css', css: true }
+  };
+
+  const cfg = Object.assign({}, DEFAULTS, global.FS_CONFIG || {});
+  const pending = new Map();   // name -> Promise
+  const errorListeners = new Set();
+
+  function baseUrl() {
+    const b = String(cfg.assetBase || '').trim();
+    if (!b) return '';
+    return b.endsWith('/') ? b : b + '/';
+  }
+
+  function assetUrl(name) {
+    const a = ASSETS[name];
+    if (!a) return null;
+    const base = baseUrl();
+    return base ? base + a.file : a.cdn;
+  }
+
+  // Directory of an asset (Pyodide needs its indexURL for the wasm/stdlib files)
+  function assetDir(name) {
+    const url = assetUrl(name);
+    return url ? url.replace(/[^/]*$/, '') : null;
+  }
+
+  function dependencyError(name, url, cause) {
+    const e = new Error(`Abhängigkeit „${name}“ konnte nicht geladen werden (${url || 'keine URL'}).` +
+      (baseUrl() ? '' : ' Offline-Betrieb: FS_CONFIG.assetBase setzen.'));
+    e.name = 'DependencyError';
+    e.fsDependency = name;
+    e.url = url;
+    e.cause = cause;
+    return e;
+  }
+
+  function reportDependencyError(err) {
+    const message = err?.message || String(err);
+    try { console.error('[fs-config] dependency error', err); } catch {}
+    for (const cb of errorListeners) {
+      try { cb(message, err); } catch {}
+    }
+    try {
+      global.dispatchEvent(new CustomEvent('fs:dependency-error', { detail: { message, name: err?.fsDependency || null, url: err?.url || null } }));
+    } catch {}
+  }
+
+  function onDependencyError(cb) {
+    if (typeof cb !== 'function') return () => {};
+    errorListeners.add(cb);
+    return () => errorListeners.delete(cb);
+  }
+
+  function isLoaded(a) {
+    return a.ready ? a.ready() : !!global[a.global];
+  }
+
+  function injectTag(name, a, url) {
+    return new Promise((res, rej) => {
+      const el = document.createElement(a.css ? 'link' : 'script');
+      if (a.css) { el.rel = 'stylesheet'; el.href = url; } else { el.src = url; }
+      el.dataset.fsAsset = name;
+      el.onload = () => {
+        if (a.css) res(el);
+        else if (isLoaded(a)) res(global[a.global]);
+        else rej(dependencyError(name, url, new Error(`${a.global} missing after load`)));
+      };
+      el.onerror = (ev) => rej(dependencyError(name, url, ev));
+      document.head.appendChild(el);
+    });
+  }
+
+  // Inject <script> (or <link> for stylesheets) for a known asset once; resolves
+  // to the global it defines. Failures are reported and rethrown to the caller.
+  function loadAsset(name) {
+    const a = ASSETS[name];
+    if (!a) return Promise.reject(new Error(`Unknown asset: ${name}`));
+    if (!a.css && isLoaded(a)) return Promise.resolve(global[a.global]);
+    if (pending.has(name)) return pending.get(name);
+
+    const url = assetUrl(name);
+    const p = Promise.resolve(a.after ? loadAsset(a.after) : null)
+      .then(() => injectTag(name, a, url))
+      .catch((err) => {
+        pending.delete(name);
+        if (err?.fsDependency === name) reportDependencyError(err);
+        throw err;
+      });
+
+    pending.set(name, p);
+    return p;
+  }
+
+  Object.assign(cfg, {
+    assetUrl,
+    assetDir,
+    loadAsset,
+    dependencyError,
+    reportDependencyError,
+    onDependencyError
+  });
+
+  global.FS_CONFIG = cfg;
+})(window);
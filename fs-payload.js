@@ -0,0 +1,310 @@
+// fs-payload.js
+// CRONOS_PAYLOAD schema version and migrations (load before persistence.js).
+//
+// Every payload written carries `schemaVersion`. Payloads read back from a DOCX
+// (or pasted / handed over between pages) go through migratePayload, which runs
+// the registered steps from the payload's version up to SCHEMA_VERSION:
+//
+//   const { payload, applied, newer, warnings } = fsPayload.migratePayload(raw);
+//
+// A step is { from, to, name, migrate(payload) -> payload }. Steps are pure and
+// can be run on their own (module.exports in Node):
+//
+//   const { MIGRATIONS } = require('./fs-payload.js');
+//   MIGRATIONS[0].migrate({ schema: { fields: [] }, rules: '[]' });
+//
+// Unversioned payloads count as version 0. Payloads from a newer version are
+// passed through unchanged with a warning: fields this version does not know
+// about may be lost when the document is saved again.
+//
+// Encrypted payloads (documents leaving the company) are stored as an envelope
+// instead of the JSON: AES-GCM with a PBKDF2-SHA-256 key from a passphrase.
+//
+//   const stored = await fsPayload.encryptPayload(json, passphrase);
+//   const { json, encrypted, cancelled, error } = await fsPayload.openPayload(stored);   // prompts
+//
+// Passphrases that opened a payload are kept in memory for the session only.
+
+(function (global) {
+  const SCHEMA_VERSION = 1;
+
+  function isPlainObject(x) {
+    return !!x && typeof x === 'object' && !Array.isArray(x);
+  }
+
+  // Rule collections (arrays, JSON strings, id-keyed maps, nested containers)
+  // are flattened by rules-core's normalizeRuleCollection, so both readers of
+  // the legacy shapes stay the same. Pages load rules-core.js after this file;
+  // it is only needed once a payload is migrated.
+  function rulesApi() {
+    if (global?.FS_RULES?.normalizeRuleCollection) return global.FS_RULES;
+    if (typeof require === 'function') {
+      try { return require('./rules-core.js'); } catch {}
+    }
+    const e = new Error('rules-core.js ist nicht geladen (normalizeRuleCollection fehlt).');
+    e.name = 'DependencyError';
+    throw e;
+  }
+
+  const MIGRATIONS = [
+    {
+      from: 0,
+      to: 1,
+      name: 'canonical-shape',
+      // Unwrap { CRONOS_PAYLOAD } containers, lift schema.{title,fields},
+      // flatten rule collections and default the maps.
+      migrate(p) {
+        let src = p;
+        while (isPlainObject(src) && !Array.isArray(src.fields)) {
+          const inner = src.CRONOS_PAYLOAD || src.cronos_payload || src.payload?.CRONOS_PAYLOAD;
+          if (!isPlainObject(inner)) break;
+          src = inner;
+        }
+        const schema = isPlainObject(src.schema) ? src.schema : {};
+        const out = { ...src };
+        delete out.schema;
+        out.title = src.title ?? schema.title ?? 'Form';
+        out.fields = Array.isArray(src.fields) ? src.fields : (Array.isArray(schema.fields) ? schema.fields : []);
+        out.values = isPlainObject(src.values) ? src.values : {};
+        out.tagMap = isPlainObject(src.tagMap) ? src.tagMap : {};
+        const { normalizeRuleCollection } = rulesApi();
+        out.rules = normalizeRuleCollection(src.rules);
+        out.fieldRules = normalizeRuleCollection(src.fieldRules);
+        return out;
+      }
+    }
+  ];
+
+  function payloadSchemaVersion(p) {
+    const v = Number(p?.schemaVersion);
+    return Number.isInteger(v) && v >= 0 ? v : 0;
+  }
+
+  function registerPayloadMigration(step) {
+    if (!step || !Number.isInteger(step.from) || step.to !== step.from + 1 || typeof step.migrate !== 'function') {
+      throw new Error('Payload migration needs { from, to: from + 1, migrate }');
+    }
+    if (MIGRATIONS.some(m => m.from === step.from)) throw new Error(`Payload migration from v${step.from} already registered`);
+    MIGRATIONS.push(step);
+    MIGRATIONS.sort((a, b) => a.from - b.from);
+  }
+
+  function newerVersionWarning(version) {
+    return `Payload-Schema v${version} ist neuer als diese Version (v${SCHEMA_VERSION}); ` +
+      'unbekannte Angaben können beim Speichern verloren gehen.';
+  }
+
+  function migratePayload(raw, { target = SCHEMA_VERSION } = {}) {
+    const fromVersion = payloadSchemaVersion(raw);
+    const result = { payload: raw, fromVersion, toVersion: fromVersion, applied: [], newer: false, warnings: [] };
+    if (!isPlainObject(raw)) return result;
+
+    if (fromVersion > SCHEMA_VERSION) {
+      result.newer = true;
+      result.warnings.push(newerVersionWarning(fromVersion));
+      try { console.warn('[fs-payload]', result.warnings[0]); } catch {}
+      return result;
+    }
+
+    let p = raw;
+    let v = fromVersion;
+    while (v < target) {
+      const step = MIGRATIONS.find(m => m.from === v);
+      if (!step) throw new Error(`No payload migration from v${v}`);
+      p = { ...step.migrate(p), schemaVersion: step.to };
+      result.applied.push(step.name || `v${step.from}->v${step.to}`);
+      v = step.to;
+    }
+    result.payload = p;
+    result.toVersion = v;
+    return result;
+  }
+
+  // Copy with the current schemaVersion (used right before writing)
+  function stampPayload(p) {
+    return { ...(isPlainObject(p) ? p : {}), schemaVersion: SCHEMA_VERSION };
+  }
+
+  // ---- encryption (WebCrypto) ----
+  const ENC_FORMAT = 'fs-payload-enc';
+  const ENC_VERSION = 1;
+  const PBKDF2_ITERATIONS = 310000;
+  const knownPassphrases = new Set();
+  const declinedSalts = new Set();   // envelopes the user cancelled (no re-prompt)
+
+  function subtle() {
+    const s = globalThis.crypto?.subtle;
+    if (!s) {
+      const e = new Error('WebCrypto nicht verfügbar (HTTPS oder localhost erforderlich)');
+      e.name = 'WebCryptoUnavailableError';
+      throw e;
+    }
+    return s;
+  }
+
+  function toBase64(u8) {
+    let bin = '';
+    for (let i = 0; i < u8.length; i += 0x8000) bin += String.fromCharCode.apply(null, u8.subarray(i, i + 0x8000));
+    return btoa(bin);
+  }
+
+  function fromBase64(b64) {
+    const bin = atob(String(b64 || ''));
+    const u8 = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) u8[i] = bin.charCodeAt(i);
+    return u8;
+  }
+
+  async function deriveKey(passphrase, salt, iterations) {
+    const base = await subtle().importKey('raw', new TextEncoder().encode(String(passphrase)), 'PBKDF2', false, ['deriveKey']);
+    return subtle().deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      base,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // Envelope object when `raw` (stored docVar string) is an encrypted payload, else null
+  function parseEncryptedPayload(raw) {
+    if (typeof raw !== 'string' || !raw.includes(ENC_FORMAT)) return null;
+    try {
+      const env = JSON.parse(raw);
+      return (env?.format === ENC_FORMAT && env.data) ? env : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function isEncryptedPayload(raw) {
+    return !!parseEncryptedPayload(raw);
+  }
+
+  async function encryptPayload(json, passphrase) {
+    if (!passphrase) throw new Error('Passphrase fehlt');
+    const salt = globalThis.crypto.getRandomValues(new Uint8Array(16));
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const data = new Uint8Array(await subtle().encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(String(json ?? ''))));
+    knownPassphrases.add(String(passphrase));
+    return JSON.stringify({
+      format: ENC_FORMAT,
+      v: ENC_VERSION,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+      cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+      data: toBase64(data)
+    });
+  }
+
+  // Decoded salt / iv / data of an envelope; PayloadFormatError when it cannot be decrypted at all
+  function envelopeParts(env) {
+    const fail = (why) => {
+      const e = new Error(`Verschlüsselter Payload ungültig: ${why}`);
+      e.name = 'PayloadFormatError';
+      return e;
+    };
+    if (!env) throw fail('kein verschlüsselter Payload');
+    if (env.v !== ENC_VERSION) throw fail(`unbekanntes Format v${env.v}`);
+    if (env.kdf?.name !== 'PBKDF2' || env.cipher?.name !== 'AES-GCM') throw fail('unbekanntes Verfahren');
+    const bytes = (b64, what) => {
+      let u8 = null;
+      try { u8 = typeof b64 === 'string' ? fromBase64(b64) : null; } catch {}
+      if (!u8?.length) throw fail(`${what} fehlt oder ist kein Base64`);
+      return u8;
+    };
+    return {
+      salt: bytes(env.kdf.salt, 'salt'),
+      iterations: Number(env.kdf.iterations) || PBKDF2_ITERATIONS,
+      iv: bytes(env.cipher.iv, 'iv'),
+      data: bytes(env.data, 'data')
+    };
+  }
+
+  // Only a rejected AES-GCM decryption (wrong passphrase, tampered data) is a
+  // PayloadDecryptError; missing WebCrypto and broken envelopes throw as they are.
+  async function decryptPayload(raw, passphrase) {
+    const { salt, iterations, iv, data } = envelopeParts(parseEncryptedPayload(raw));
+    const key = await deriveKey(passphrase, salt, iterations);
+    let plain;
+    try {
+      plain = await subtle().decrypt({ name: 'AES-GCM', iv }, key, data);
+    } catch (cause) {
+      const e = new Error('Passphrase falsch oder Payload beschädigt');
+      e.name = 'PayloadDecryptError';
+      e.cause = cause;
+      throw e;
+    }
+    knownPassphrases.add(String(passphrase));
+    return new TextDecoder().decode(plain);
+  }
+
+  function askPassphrase(retry) {
+    if (typeof global?.prompt !== 'function') return null;
+    return global.prompt(retry
+      ? 'Passphrase falsch. Bitte erneut eingeben:'
+      : 'Die Formulardaten in diesem Dokument sind verschlüsselt. Passphrase:');
+  }
+
+  // Stored docVar string -> { json, encrypted, passphrase, cancelled, error }.
+  // Plain payloads pass through; encrypted ones try the session's passphrases,
+  // then ask (up to `attempts` times). json is null when the payload stays locked;
+  // `error` is set (and nobody asked) when it cannot be decrypted here at all
+  // (no WebCrypto, broken envelope).
+  async function openPayload(raw, { ask = askPassphrase, attempts = 3 } = {}) {
+    const env = parseEncryptedPayload(raw);
+    if (!env) return { json: raw, encrypted: false, passphrase: null, cancelled: false, error: null };
+    const locked = (error) => ({ json: null, encrypted: true, passphrase: null, cancelled: !error, error });
+    const attempt = async (pass) => {
+      try {
+        return { json: await decryptPayload(raw, pass), encrypted: true, passphrase: pass, cancelled: false, error: null };
+      } catch (e) {
+        if (e?.name !== 'PayloadDecryptError') throw e;
+        return null;
+      }
+    };
+
+    try {
+      subtle();
+      envelopeParts(env);
+    } catch (e) {
+      try { console.warn('[fs-payload]', e.message); } catch {}
+      return locked(e);
+    }
+
+    for (const pass of knownPassphrases) {
+      const opened = await attempt(pass);
+      if (opened) return opened;
+    }
+
+    const salt = env.kdf?.salt || '';
+    if (!declinedSalts.has(salt)) {
+      for (let i = 0; i < attempts; i++) {
+        const pass = await ask(i > 0);
+        if (pass == null || pass === '') break;
+        const opened = await attempt(pass);
+        if (opened) return opened;
+      }
+      declinedSalts.add(salt);
+    }
+    return locked(null);
+  }
+
+  const api = {
+    SCHEMA_VERSION,
+    MIGRATIONS,
+    payloadSchemaVersion,
+    registerPayloadMigration,
+    migratePayload,
+    stampPayload,
+    isEncryptedPayload,
+    encryptPayload,
+    decryptPayload,
+    openPayload
+  };
+
+  if (global) global.fsPayload = api;
+
+  // CommonJS (unit tests / headless)
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof window !== 'undefined' ? window : null);
@@ -0,0 +1,101 @@
+// fs-payload.test.js
+// Migration and encryption checks for fs-payload.js:  node --test fs-payload.test.js
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fsPayload = require('./fs-payload.js');
+
+// Unversioned payload as older builders wrote it: wrapped in CRONOS_PAYLOAD,
+// title/fields under `schema`, rules as a JSON string, field rules id-keyed.
+const V0 = {
+  CRONOS_PAYLOAD: {
+    schema: {
+      title: 'Mietvertrag',
+      fields: [
+        { id: 'kind', type: 'select', label: 'Art', options: ['a', 'b'] },
+        { id: 'agb', type: 'checkbox', label: 'AGB' }
+      ]
+    },
+    values: { kind: 'a', agb: true },
+    rules: JSON.stringify([{ whenField: 'kind', equals: 'b', action: 'hide', targets: ['h:2'] }]),
+    fieldRules: { r1: { fieldId: 'agb', whenField: 'kind', equals: 'a', action: 'hide' } }
+  }
+};
+
+test('v0 payload without schemaVersion migrates to v1', () => {
+  const { payload, fromVersion, toVersion, applied, newer } = fsPayload.migratePayload(V0);
+
+  assert.equal(fromVersion, 0);
+  assert.equal(toVersion, fsPayload.SCHEMA_VERSION);
+  assert.deepEqual(applied, ['canonical-shape']);
+  assert.equal(newer, false);
+
+  assert.equal(payload.schemaVersion, 1);
+  assert.equal(payload.title, 'Mietvertrag');
+  assert.equal('schema' in payload, false);
+  assert.deepEqual(payload.fields.map(f => f.id), ['kind', 'agb']);
+  assert.deepEqual(payload.values, { kind: 'a', agb: true });
+  assert.deepEqual(payload.tagMap, {});
+  assert.deepEqual(payload.rules, [{ whenField: 'kind', equals: 'b', action: 'hide', targets: ['h:2'] }]);
+  assert.deepEqual(payload.fieldRules, [{ fieldId: 'agb', whenField: 'kind', equals: 'a', action: 'hide' }]);
+});
+
+test('migrated payload round-trips through JSON unchanged', () => {
+  const first = fsPayload.migratePayload(V0).payload;
+  const stored = JSON.stringify(fsPayload.stampPayload(first));
+  const again = fsPayload.migratePayload(JSON.parse(stored));
+
+  assert.equal(again.fromVersion, 1);
+  assert.deepEqual(again.applied, []);
+  assert.deepEqual(again.payload, first);
+});
+
+test('rule collections are flattened by rules-core', () => {
+  const { normalizeRuleCollection } = require('./rules-core.js');
+  const raw = new Set([{ action: 'show', targets: ['h:1'] }]);
+  const out = fsPayload.MIGRATIONS[0].migrate({ schema: { fields: [] }, rules: raw });
+
+  assert.deepEqual(out.rules, normalizeRuleCollection(raw));
+});
+
+test('a wrong passphrase is asked for again', async () => {
+  const stored = JSON.parse(await fsPayload.encryptPayload('{"a":1}', 'richtig'));
+  stored.data = Buffer.from(Buffer.from(stored.data, 'base64').map(b => b ^ 1)).toString('base64');
+  const raw = JSON.stringify(stored);
+  const asked = [];
+  const opened = await fsPayload.openPayload(raw, { ask: async (retry) => { asked.push(retry); return 'richtig'; } });
+
+  assert.deepEqual(asked, [false, true, true]);
+  assert.equal(opened.json, null);
+  assert.equal(opened.cancelled, true);
+  assert.equal(opened.error, null);
+  await assert.rejects(fsPayload.decryptPayload(raw, 'richtig'), { name: 'PayloadDecryptError' });
+});
+
+test('a broken envelope is reported without asking', async () => {
+  const stored = JSON.parse(await fsPayload.encryptPayload('{"a":1}', 'geheim'));
+  delete stored.cipher.iv;
+  let asked = 0;
+  const opened = await fsPayload.openPayload(JSON.stringify(stored), { ask: async () => { asked++; return 'geheim'; } });
+
+  assert.equal(asked, 0);
+  assert.equal(opened.json, null);
+  assert.equal(opened.cancelled, false);
+  assert.equal(opened.error.name, 'PayloadFormatError');
+});
+
+test('missing WebCrypto is reported without asking', async (t) => {
+  const stored = await fsPayload.encryptPayload('{"a":1}', 'anders');
+  const crypto = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+  Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+  t.after(() => Object.defineProperty(globalThis, 'crypto', crypto));
+  let asked = 0;
+  const opened = await fsPayload.openPayload(stored, { ask: async () => { asked++; return 'anders'; } });
+
+  assert.equal(asked, 0);
+  assert.equal(opened.json, null);
+  assert.equal(opened.error.name, 'WebCryptoUnavailableError');
+  await assert.rejects(fsPayload.decryptPayload(stored, 'anders'), { name: 'WebCryptoUnavailableError' });
+});
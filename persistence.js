@@ -23,6 +23,8 @@
  *  - docx-core.js:
  *      window.readDocVarSettings / window.readDocVarCustom
  *      window.writeDocVarSettings / window.writeDocVarCustom
+ *  - fs-payload.js (load before this file):
+ *      window.fsPayload — payload schemaVersion + migrations
  * ----------------------------------------------------------------------------
  * Public API: window.formSuitePersist
  * ============================================================================
@@ -94,10 +96,11 @@
   const bc = ('BroadcastChannel' in window) ? new BroadcastChannel(BC_NAME) : null;
 
   const DB_NAME = 'formsuite_v2';
-  const DB_VER = 2;
+  const DB_VER = 3;
   const DB_STORE_HANDLES = 'handles'; // { docId, handle }
   const DB_STORE_BYTES = 'bytes';     // { docId, ab, ts, len }
   const DB_STORE_META = 'meta';       // { k, v } future-proof
+  const DB_STORE_ASSETS = 'assets';   // { assetId, docId, ab, type, name, len, ts } (image uploads)
 
   const PAYLOAD_KEY = 'CRONOS_PAYLOAD';
   const DOC_GUID_KEY = 'FS_DOC_GUID';
@@ -256,6 +259,9 @@
         if (!db.objectStoreNames.contains(DB_STORE_META)) {
           db.createObjectStore(DB_STORE_META, { keyPath: 'k' });
         }
+        if (!db.objectStoreNames.contains(DB_STORE_ASSETS)) {
+          db.createObjectStore(DB_STORE_ASSETS, { keyPath: 'assetId' });
+        }
       };
       req.onsuccess = () => { tr.end('ok'); resolve(req.result); };
       req.onerror = () => { tr.error('idb open failed', req.error); tr.end(); reject(req.error); };
@@ -263,7 +269,7 @@
   }
 
   async function idbPut(store, keyObj) {
-    const tr = TRACE('idbPut', { store, key: keyObj?.docId ?? keyObj?.k ?? '(unknown)' });
+    const tr = TRACE('idbPut', { store, key: keyObj?.assetId ?? keyObj?.docId ?? keyObj?.k ?? '(unknown)' });
     try {
       const db = await openDB();
       await new Promise((res, rej) => {
@@ -300,6 +306,25 @@
     }
   }
 
+  async function idbDelete(store, key) {
+    const tr = TRACE('idbDelete', { store, key });
+    try {
+      const db = await openDB();
+      await new Promise((res, rej) => {
+        const tx = db.transaction(store, 'readwrite');
+        tx.objectStore(store).delete(key);
+        tx.oncomplete = res;
+        tx.onerror = () => rej(tx.error);
+      });
+      tr.end('deleted');
+      return true;
+    } catch (e) {
+      tr.warn('idbDelete failed', e);
+      tr.end('fail');
+      return false;
+    }
+  }
+
   async function idbPutHandle(docId, handle) {
     const tr = TRACE('idbPutHandle', { docId, hasHandle: !!handle });
     if (!docId || !handle) { tr.end('skip'); return false; }
@@ -392,14 +417,13 @@
     }
   }
 
-  async function opfsPut(docId, bytes) {
+  async function opfsPut(docId, bytes, fname = opfsFileNameForDocId(docId)) {
     const tr = TRACE('opfsPut', { docId, len: bytes?.byteLength || bytes?.length });
     try {
       const root = await opfsRoot();
       if (!root) { tr.end('no root'); return false; }
 
       const u8 = (bytes instanceof Uint8Array) ? bytes : new Uint8Array(bytes || []);
-      const fname = opfsFileNameForDocId(docId);
       tr.step('fname', fname);
 
       const fh = await root.getFileHandle(fname, { create: true });
@@ -416,13 +440,12 @@
     }
   }
 
-  async function opfsGet(docId) {
+  async function opfsGet(docId, fname = opfsFileNameForDocId(docId)) {
     const tr = TRACE('opfsGet', { docId });
     try {
       const root = await opfsRoot();
       if (!root) { tr.end('no root'); return null; }
 
-      const fname = opfsFileNameForDocId(docId);
       tr.step('fname', fname);
 
       const fh = await root.getFileHandle(fname, { create: false });
@@ -437,6 +460,79 @@
     }
   }
 
+  // ===========================================================================
+  // ASSETS (uploaded images): OPFS file + IDB record, referenced from field values
+  // ===========================================================================
+  function opfsFileNameForAsset(assetId) {
+    return 'asset_' + String(assetId || '').replace(/^asset:/i, '').replace(/[^a-z0-9._-]/gi, '_');
+  }
+
+  function makeAssetId() {
+    try { if (crypto?.randomUUID) return 'asset:' + crypto.randomUUID(); } catch {}
+    return 'asset:' + Date.now().toString(36) + '_' + Math.random().toString(16).slice(2);
+  }
+
+  /**
+   * putAsset(docId, file|{ bytes, type, name })
+   * Stores the bytes and returns the reference kept as field value:
+   * { assetId, name, type, size }.
+   */
+  async function putAsset(docId, file) {
+    const tr = TRACE('putAsset', { docId, name: file?.name || null });
+    try {
+      if (!docId || !file) { tr.end('skip'); return null; }
+      const raw = (typeof file.arrayBuffer === 'function') ? await file.arrayBuffer() : file.bytes;
+      const u8 = (raw instanceof Uint8Array) ? raw : new Uint8Array(raw || []);
+      const ab = u8.buffer.slice(u8.byteOffset, u8.byteOffset + u8.byteLength);
+      const ref = {
+        assetId: makeAssetId(),
+        name: String(file.name || 'bild'),
+        type: String(file.type || 'application/octet-stream'),
+        size: u8.byteLength
+      };
+
+      const okOpfs = await opfsPut(docId, u8, opfsFileNameForAsset(ref.assetId));
+      const okIdb = await idbPut(DB_STORE_ASSETS, { ...ref, docId, ab, len: ref.size, ts: Date.now() });
+
+      tr.end({ ok: !!(okOpfs || okIdb), opfs: okOpfs, idb: okIdb, assetId: ref.assetId });
+      return (okOpfs || okIdb) ? ref : null;
+    } catch (e) {
+      tr.error('putAsset failed', e);
+      tr.end('fail');
+      return null;
+    }
+  }
+
+  // -> { bytes: ArrayBuffer, type, name } | null
+  async function getAsset(assetId) {
+    const tr = TRACE('getAsset', { assetId });
+    try {
+      if (!assetId) { tr.end('no assetId'); return null; }
+      const rec = await idbGet(DB_STORE_ASSETS, assetId);
+      const opfs = await opfsGet(rec?.docId || null, opfsFileNameForAsset(assetId));
+      const bytes = opfs || rec?.ab || null;
+      if (!bytes) { tr.end('miss'); return null; }
+      tr.end({ via: opfs ? 'opfs' : 'idb', len: bytes.byteLength });
+      return { bytes, type: rec?.type || null, name: rec?.name || null };
+    } catch (e) {
+      tr.error('getAsset failed', e);
+      tr.end('fail');
+      return null;
+    }
+  }
+
+  async function deleteAsset(assetId) {
+    const tr = TRACE('deleteAsset', { assetId });
+    if (!assetId) { tr.end('no assetId'); return false; }
+    try {
+      const root = await opfsRoot();
+      if (root) await root.removeEntry(opfsFileNameForAsset(assetId));
+    } catch {}
+    const ok = await idbDelete(DB_STORE_ASSETS, assetId);
+    tr.end({ ok });
+    return ok;
+  }
+
   // ===========================================================================
   // PERMISSIONS (HANDLE OPTIONAL)
   // ===========================================================================
@@ -571,10 +667,15 @@
   // ===========================================================================
   // STATE + CANONICAL PAYLOAD MIRROR
   // ===========================================================================
+  // schemaVersion stamp / migrations come from fs-payload.js when loaded
+  function stampPayload(p) {
+    return window.fsPayload ? window.fsPayload.stampPayload(p) : p;
+  }
+
   function buildCanonicalPayloadFromState(state) {
     const schema = isPlainObject(state?.schema) ? state.schema : {};
     const fields = Array.isArray(schema.fields) ? schema.fields : [];
-    return {
+    return stampPayload({
       title: schema.title || 'Form',
       fields,
       values: isPlainObject(state?.values) ? state.values : {},
@@ -582,7 +683,7 @@
       rules: Array.isArray(state?.rules) ? state.rules : [],
       fieldRules: Array.isArray(state?.fieldRules) ? state.fieldRules : [],
       updatedAt: _nowIso()
-    };
+    });
   }
 
   function normalizeState(docId, stIn) {
@@ -622,7 +723,7 @@
         tagMap: {},
         rules: [],
         fieldRules: [],
-        payload: { [PAYLOAD_KEY]: { title: 'Form', fields: [], values: {}, tagMap: {}, rules: [], fieldRules: [], updatedAt: _nowIso() } },
+        payload: { [PAYLOAD_KEY]: stampPayload({ title: 'Form', fields: [], values: {}, tagMap: {}, rules: [], fieldRules: [], updatedAt: _nowIso() }) },
         __v: 1
       };
     }
@@ -764,10 +865,17 @@
     }
   }
 
+  // Encrypted payloads are opened via fs-payload.js (asks for the passphrase);
+  // null when the user cancels.
   async function readPayloadFromDocx(bytes) {
     const tr = TRACE('readPayloadFromDocx');
     try {
-      const raw = await readDocVar(bytes, PAYLOAD_KEY);
+      let raw = await readDocVar(bytes, PAYLOAD_KEY);
+      if (raw != null && window.fsPayload?.isEncryptedPayload(raw)) {
+        const opened = await window.fsPayload.openPayload(raw);
+        tr.step('encrypted payload', { opened: opened.json != null, error: opened.error?.name });
+        raw = opened.json;
+      }
       tr.end({ has: raw != null, len: raw ? String(raw).length : 0 });
       return raw;
     } catch (e) {
@@ -812,6 +920,8 @@
   // ===========================================================================
   let __hydrating = false;
 
+  // A payload from a newer schema version is still loaded; its warning is kept
+  // as state.payloadWarning for the pages' status lines.
   async function hydrateFromDocxIfEmpty(docId) {
     const tr = TRACE('hydrateFromDocxIfEmpty', { docId, locked: __hydrating });
     if (!docId || __hydrating) { tr.end('skip'); return false; }
@@ -828,7 +938,17 @@
       if (!raw) { tr.end('no payload in docx'); return false; }
 
       let payload = null;
+      let payloadWarning = null;
       try { payload = JSON.parse(raw); } catch { payload = null; }
+      if (payload && window.fsPayload) {
+        const m = window.fsPayload.migratePayload(payload);
+        payload = m.payload;
+        if (m.applied.length) tr.step('payload migrated', { from: m.fromVersion, to: m.toVersion, applied: m.applied });
+        if (m.newer) {
+          payloadWarning = m.warnings[0];
+          tr.warn(payloadWarning);
+        }
+      }
       if (!payload || !Array.isArray(payload.fields) || payload.fields.length === 0) {
         tr.end('payload invalid/empty');
         return false;
@@ -840,7 +960,7 @@
       const rules = Array.isArray(payload.rules) ? payload.rules : [];
       const fieldRules = Array.isArray(payload.fieldRules) ? payload.fieldRules : [];
 
-      setState(docId, { schema, values, tagMap, rules, fieldRules, hydratedAt: _nowIso() }, { broadcast: true });
+      setState(docId, { schema, values, tagMap, rules, fieldRules, payloadWarning, hydratedAt: _nowIso() }, { broadcast: true });
       tr.end({ fields: schema.fields.length, rulesLen: rules.length, fieldRulesLen: fieldRules.length });
       return true;
     } catch (e) {
@@ -1319,6 +1439,11 @@
     getCurrentDocBytes,
     putBytes,
 
+    // assets (image fields)
+    putAsset,
+    getAsset,
+    deleteAsset,
+
     // hydration
     ensureHydrated,
     hydrateFromDocxIfEmpty,
@@ -387,7 +387,7 @@ function __coerceRuleForMultichoiceOption(schema, rule, whenField) {
   if (!['multichoice', 'select'].includes(type)) return rule;
 
   const r = { ...rule };
-  if (!Array.isArray(r.values)) r.values = [r.values];
+  if (!Array.isArray(r.values)) r.values = [r.values ?? r.value ?? r.expected];
   return r;
 }
 
@@ -593,6 +593,31 @@ function parseTargetIdx(t, headingResolver) {
   return Number.isFinite(n) ? n : NaN;
 }
 
+// ---------- conditional clause targets ----------
+
+// Besides headings, a rule target can name a tagged content control (block or
+// inline SDT) holding a single sentence/clause: the string 'if:clause_x' or an
+// object { sdt: 'clause_x' } / { tag: 'if:clause_x' }. Returns the SDT tag
+// ('if:clause_x') or null for heading targets. The tag is also the key in the
+// evaluateRulesToVisibility() result; docxCore removal deletes/keeps exactly that
+// control's content.
+const SDT_TARGET_PREFIX = 'if:';
+
+function parseSdtTarget(t) {
+  if (t == null) return null;
+  let raw = null;
+  if (typeof t === 'object') {
+    raw = t.sdt ?? t.tag ?? null;
+    if (raw == null) return null;
+    raw = String(raw).trim();
+    if (raw && !raw.startsWith(SDT_TARGET_PREFIX)) raw = SDT_TARGET_PREFIX + raw;
+  } else {
+    raw = String(t).trim();
+    if (!raw.startsWith(SDT_TARGET_PREFIX)) return null;
+  }
+  return raw.length > SDT_TARGET_PREFIX.length ? raw : null;
+}
+
 // ---------- value sanitizing ----------
 
 function sanitizeValues(schema, vals) {
@@ -779,7 +804,7 @@ function normalizeHeadingsRulesForSchema(schema, rulesIn, headingBaseline) {
         r0.targets = r0.targets.filter(t => t != null);
       } else {
         r0.targets = r0.targets
-          .map(t => headingIndex.normalizeTarget(t) || t)
+          .map(t => (parseSdtTarget(t) ? t : (headingIndex.normalizeTarget(t) || t)))
           .filter(t => t != null);
       }
     }
@@ -948,7 +973,10 @@ function deriveNormalizedRulesForDoc(state, schema, headingBaseline) {
 
 // ---------- evaluation: headings ----------
 
-function evaluateRulesToVisibility(schema, values, rules, headingResolver) {
+// Optional `explain` object collects, per heading idx, which rule ids voted
+// HIDE / SHOW: explain[idx] = { hideRuleIds: [], showRuleIds: [] }.
+// Conditional clause targets (see parseSdtTarget) are keyed by their SDT tag.
+function evaluateRulesToVisibility(schema, values, rules, headingResolver, explain) {
   const out = Object.create(null);
   if (!Array.isArray(rules) || !rules.length) return out;
 
@@ -998,7 +1026,9 @@ function evaluateRulesToVisibility(schema, values, rules, headingResolver) {
     return { actual: getVal(baseId), type: String(fld?.type || '').toLowerCase(), baseId, parsed: null };
   }
 
+  let ruleNo = -1;
   for (const r of rules) {
+    ruleNo++;
     if (!r) continue;
 
     const action = (String(r.action || '').toUpperCase() === 'SHOW') ? 'SHOW'
@@ -1053,17 +1083,99 @@ function evaluateRulesToVisibility(schema, values, rules, headingResolver) {
     if (!match) continue;
 
     for (const tTarget of targets) {
-      const idx = parseTargetIdx(tTarget, headingResolver);
-      if (!Number.isFinite(idx)) continue;
+      const idx = parseSdtTarget(tTarget) ?? parseTargetIdx(tTarget, headingResolver);
+      if (typeof idx === 'number' && !Number.isFinite(idx)) continue;
       const prev = out[idx];
       if (action === 'SHOW') out[idx] = 'SHOW';
       else if (action === 'HIDE' && prev !== 'SHOW') out[idx] = 'HIDE';
+
+      if (explain && typeof explain === 'object') {
+        const e = explain[idx] || (explain[idx] = { hideRuleIds: [], showRuleIds: [] });
+        const rid = (r.id != null && r.id !== '') ? String(r.id) : `#${ruleNo}`;
+        const list = (action === 'SHOW') ? e.showRuleIds : e.hideRuleIds;
+        if (!list.includes(rid)) list.push(rid);
+      }
     }
   }
 
   return out;
 }
 
+// ---------- explanation: hidden headings ----------
+
+const __OP_LABELS = {
+  equals: '=', notEquals: '≠', anyOf: 'ist eines von', allOf: 'enthält alle',
+  contains: 'enthält', isEmpty: 'ist leer', isNotEmpty: 'ist nicht leer',
+  gt: '>', lt: '<', gte: '≥', lte: '≤'
+};
+
+// Short human-readable form of a rule, e.g. "Vertragsart = Miete" (for report panels).
+function describeRule(schema, rule) {
+  if (!rule) return '';
+  const ref = rule.fieldId || rule.field || rule.whenField || '';
+  const parsed = __parseOptionFieldRef(schema, ref);
+  const fld = __resolveFieldRef(schema, parsed?.fieldId || ref);
+  let left = String(fld?.label || parsed?.fieldId || ref);
+  if (parsed?.kind === 'option') left += ` [${parsed.optionLabel || parsed.optionSlug}]`;
+
+  const op = rule.op || rule.operator || 'equals';
+  const opLabel = __OP_LABELS[op] || op;
+  if (op === 'isEmpty' || op === 'isNotEmpty') return `${left} ${opLabel}`;
+
+  const exp = rule.values ?? rule.value ?? rule.expected;
+  const vals = (Array.isArray(exp) ? exp : [exp]).filter(v => v != null && v !== '').map(String);
+  return `${left} ${opLabel} ${vals.join(', ')}`.trim();
+}
+
+// Hidden headings with the rules that caused them:
+//   { visibility, reasons, hidden: [{ idx, id, label, level, ruleIds, rules: [{ id, text }] }] }
+// Hidden conditional clauses follow the headings with idx null and `tag` set.
+// `reasons` is the evaluateRulesToVisibility() explain map and can be handed to
+// docxCore.applyRemovalWithBackup(..., { reasons }) for the removal report.
+function explainHiddenHeadings(schema, values, rules, baseline) {
+  const resolver = buildHeadingTargetIndex(baseline || []);
+  const reasons = Object.create(null);
+  const visibility = evaluateRulesToVisibility(schema, values, rules, resolver, reasons);
+
+  const ruleById = new Map();
+  (Array.isArray(rules) ? rules : []).forEach((r, i) => {
+    if (r) ruleById.set((r.id != null && r.id !== '') ? String(r.id) : `#${i}`, r);
+  });
+
+  const hidden = [];
+  const clauses = [];
+  for (const k of Object.keys(visibility)) {
+    if (visibility[k] !== 'HIDE') continue;
+    if (parseSdtTarget(k)) {
+      const ruleIds = reasons[k]?.hideRuleIds || [];
+      clauses.push({
+        idx: null,
+        id: null,
+        tag: k,
+        label: `Klausel „${k.slice(SDT_TARGET_PREFIX.length)}“`,
+        level: null,
+        ruleIds,
+        rules: ruleIds.map(id => ({ id, text: describeRule(schema, ruleById.get(id)) }))
+      });
+      continue;
+    }
+    const entry = resolver.byIdx.get(String(k)) || null;
+    const ruleIds = reasons[k]?.hideRuleIds || [];
+    hidden.push({
+      idx: Number(k),
+      id: entry?.id ?? null,
+      label: resolver.buildLabel(entry, `#${k}`),
+      level: entry?.level ?? null,
+      ruleIds,
+      rules: ruleIds.map(id => ({ id, text: describeRule(schema, ruleById.get(id)) }))
+    });
+  }
+  hidden.sort((a, b) => a.idx - b.idx);
+  clauses.sort((a, b) => a.tag.localeCompare(b.tag));
+
+  return { visibility, reasons, hidden: hidden.concat(clauses) };
+}
+
 // ---------- evaluation: fields/options ----------
 
 function evaluateFieldRulesToVisibility(schema, values, rules) {
@@ -1181,34 +1293,42 @@ function evaluateFieldRulesToVisibility(schema, values, rules) {
   return out;
 }
 
-// ---------- export for debugging ----------
+// ---------- export (window.FS_RULES; CommonJS for the headless export) ----------
+
+const FS_RULES_API = {
+  __slug,
+  hasOwn,
+  getValidFieldIdSet,
+  normalizeRuleCollection,
+  dedupeRules,
+  extractRulesFromState,
+  resolveRulesForState,
+  __buildSchemaIndex,
+  __resolveFieldRef,
+  __buildOptionIndex,
+  __parseOptionFieldRef,
+  __normalizeWhenOptionRefAgainstSchema,
+  __coerceRuleForMultichoiceOption,
+  buildHeadingTargetIndex,
+  parseTargetIdx,
+  parseSdtTarget,
+  sanitizeValues,
+  ruleMatchesValue,
+  normalizeHeadingsRulesForSchema,
+  normalizeFieldRulesForSchema,
+  deriveNormalizedRulesForDoc,
+  evaluateRulesToVisibility,
+  evaluateFieldRulesToVisibility,
+  describeRule,
+  explainHiddenHeadings
+};
 
 if (typeof window !== 'undefined') {
-  window.FS_RULES = Object.assign(window.FS_RULES || {}, {
-    __slug,
-    hasOwn,
-    getValidFieldIdSet,
-    normalizeRuleCollection,
-    dedupeRules,
-    extractRulesFromState,
-    resolveRulesForState,
-    __buildSchemaIndex,
-    __resolveFieldRef,
-    __buildOptionIndex,
-    __parseOptionFieldRef,
-    __normalizeWhenOptionRefAgainstSchema,
-    __coerceRuleForMultichoiceOption,
-    buildHeadingTargetIndex,
-    parseTargetIdx,
-    sanitizeValues,
-    ruleMatchesValue,
-    normalizeHeadingsRulesForSchema,
-    normalizeFieldRulesForSchema,
-    deriveNormalizedRulesForDoc,
-    evaluateRulesToVisibility,
-    evaluateFieldRulesToVisibility
-  });
+  window.FS_RULES = Object.assign(window.FS_RULES || {}, FS_RULES_API);
   try { window.__parseOptionFieldRef = __parseOptionFieldRef; } catch {}
   try { window.__normalizeWhenOptionRefAgainstSchema = __normalizeWhenOptionRefAgainstSchema; } catch {}
+}
 
-}
\ No newline at end of file
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FS_RULES_API;
+}